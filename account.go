@@ -0,0 +1,284 @@
+package main
+
+import (
+	"database/sql"
+	"errors"
+	"fmt"
+	"log"
+	"net/http"
+	"strings"
+	"time"
+
+	"golang.org/x/crypto/bcrypt"
+)
+
+// Подтверждение email и сброс пароля. Оба сценария – одноразовая ссылка с токеном,
+// отправленная письмом; в БД хранится только хеш токена. Пока email не подтвержден,
+// бронировать нельзя.
+
+const (
+	tokenPurposeVerifyEmail   = "verify_email"
+	tokenPurposeResetPassword = "reset_password"
+
+	verifyEmailTTL   = 48 * time.Hour
+	resetPasswordTTL = time.Hour
+)
+
+var errInvalidUserToken = errors.New("invalid or expired token")
+
+type tokenRequest struct {
+	Token string `json:"token"`
+}
+
+type forgotPasswordRequest struct {
+	Email string `json:"email"`
+}
+
+type resetPasswordRequest struct {
+	Token    string `json:"token"`
+	Password string `json:"password"`
+}
+
+// issueUserToken выдает токен для ссылки из письма. Прежние неиспользованные токены той же
+// цели гасятся: действует только последняя отправленная ссылка.
+func (a *App) issueUserToken(userID int64, purpose string, ttl time.Duration) (string, error) {
+	token, err := newRandomToken()
+	if err != nil {
+		return "", err
+	}
+
+	tx, err := a.DB.Begin()
+	if err != nil {
+		return "", err
+	}
+	defer tx.Rollback()
+
+	_, err = tx.Exec(
+		`UPDATE user_tokens SET used_at = now() WHERE user_id = $1 AND purpose = $2 AND used_at IS NULL`,
+		userID, purpose,
+	)
+	if err != nil {
+		return "", err
+	}
+	_, err = tx.Exec(
+		`INSERT INTO user_tokens (token_hash, user_id, purpose, expires_at) VALUES ($1, $2, $3, $4)`,
+		hashToken(token), userID, purpose, time.Now().Add(ttl),
+	)
+	if err != nil {
+		return "", err
+	}
+	return token, tx.Commit()
+}
+
+// consumeUserToken отмечает токен использованным и возвращает его владельца
+func consumeUserToken(tx *sql.Tx, token, purpose string) (int64, error) {
+	var userID int64
+	err := tx.QueryRow(
+		`UPDATE user_tokens SET used_at = now()
+         WHERE token_hash = $1 AND purpose = $2 AND used_at IS NULL AND expires_at > now()
+         RETURNING user_id`,
+		hashToken(token), purpose,
+	).Scan(&userID)
+	if errors.Is(err, sql.ErrNoRows) {
+		return 0, errInvalidUserToken
+	}
+	return userID, err
+}
+
+func (a *App) sendVerificationEmail(userID int64, email string) error {
+	token, err := a.issueUserToken(userID, tokenPurposeVerifyEmail, verifyEmailTTL)
+	if err != nil {
+		return err
+	}
+	body := fmt.Sprintf(
+		"Здравствуйте!\n\nЧтобы подтвердить адрес %s в bookmyroom, откройте ссылку:\n%s/verify.html?token=%s\n\nСсылка действует %d часов.\n",
+		email, a.BaseURL, token, int(verifyEmailTTL.Hours()),
+	)
+	return a.Mailer.Send(email, "bookmyroom: подтверждение email", body)
+}
+
+// requireVerifiedEmail отвечает 403, если пользователь еще не подтвердил email
+func (a *App) requireVerifiedEmail(w http.ResponseWriter, user *AuthUser) bool {
+	var verified bool
+	err := a.DB.QueryRow(`SELECT email_verified_at IS NOT NULL FROM users WHERE id = $1`, user.ID).Scan(&verified)
+	if err != nil {
+		writeJSON(w, http.StatusInternalServerError, map[string]string{"error": "db error"})
+		return false
+	}
+	if !verified {
+		writeJSON(w, http.StatusForbidden, map[string]string{"error": "Подтвердите email, чтобы бронировать комнаты"})
+		return false
+	}
+	return true
+}
+
+// ===== Handlers =====
+
+func (a *App) handleVerifyEmail(w http.ResponseWriter, r *http.Request) {
+	var req tokenRequest
+	if !readJSON(w, r, &req) {
+		return
+	}
+
+	tx, err := a.DB.Begin()
+	if err != nil {
+		writeJSON(w, http.StatusInternalServerError, map[string]string{"error": "db error"})
+		return
+	}
+	defer tx.Rollback()
+
+	userID, err := consumeUserToken(tx, req.Token, tokenPurposeVerifyEmail)
+	if err != nil {
+		if errors.Is(err, errInvalidUserToken) {
+			writeJSON(w, http.StatusBadRequest, map[string]string{"error": "Ссылка недействительна или устарела"})
+		} else {
+			writeJSON(w, http.StatusInternalServerError, map[string]string{"error": "db error"})
+		}
+		return
+	}
+
+	_, err = tx.Exec(`UPDATE users SET email_verified_at = COALESCE(email_verified_at, now()) WHERE id = $1`, userID)
+	if err != nil {
+		writeJSON(w, http.StatusInternalServerError, map[string]string{"error": "db error"})
+		return
+	}
+	if err := tx.Commit(); err != nil {
+		writeJSON(w, http.StatusInternalServerError, map[string]string{"error": "db error"})
+		return
+	}
+
+	writeJSON(w, http.StatusOK, map[string]string{"status": "verified"})
+}
+
+// handleResendVerification отправляет письмо подтверждения еще раз
+func (a *App) handleResendVerification(w http.ResponseWriter, r *http.Request) {
+	user := getAuthUser(r)
+	if user == nil {
+		writeJSON(w, http.StatusUnauthorized, map[string]string{"error": "unauthorized"})
+		return
+	}
+
+	var (
+		email    string
+		verified bool
+	)
+	err := a.DB.QueryRow(
+		`SELECT email, email_verified_at IS NOT NULL FROM users WHERE id = $1`,
+		user.ID,
+	).Scan(&email, &verified)
+	if err != nil {
+		writeJSON(w, http.StatusInternalServerError, map[string]string{"error": "db error"})
+		return
+	}
+	if verified {
+		writeJSON(w, http.StatusConflict, map[string]string{"error": "email already verified"})
+		return
+	}
+
+	if err := a.sendVerificationEmail(user.ID, email); err != nil {
+		log.Printf("send verification email: user_id=%d: %v", user.ID, err)
+		writeJSON(w, http.StatusBadGateway, map[string]string{"error": "Не удалось отправить письмо"})
+		return
+	}
+
+	writeJSON(w, http.StatusOK, map[string]string{"status": "sent"})
+}
+
+// handleForgotPassword всегда отвечает одинаково и одинаково быстро, чтобы по ответу
+// нельзя было узнать, зарегистрирован ли email: письмо отправляется в фоне.
+func (a *App) handleForgotPassword(w http.ResponseWriter, r *http.Request) {
+	var req forgotPasswordRequest
+	if !readJSON(w, r, &req) {
+		return
+	}
+
+	req.Email = strings.TrimSpace(strings.ToLower(req.Email))
+	if req.Email == "" {
+		writeJSON(w, http.StatusBadRequest, map[string]string{"error": "Требуется указать адрес электронной почты"})
+		return
+	}
+
+	var userID int64
+	err := a.DB.QueryRow(`SELECT id FROM users WHERE email = $1`, req.Email).Scan(&userID)
+	switch {
+	case err == nil:
+		go func() {
+			if err := a.sendPasswordResetEmail(userID, req.Email); err != nil {
+				log.Printf("send password reset email: user_id=%d: %v", userID, err)
+			}
+		}()
+	case !errors.Is(err, sql.ErrNoRows):
+		writeJSON(w, http.StatusInternalServerError, map[string]string{"error": "db error"})
+		return
+	}
+
+	writeJSON(w, http.StatusOK, map[string]string{"status": "sent"})
+}
+
+func (a *App) sendPasswordResetEmail(userID int64, email string) error {
+	token, err := a.issueUserToken(userID, tokenPurposeResetPassword, resetPasswordTTL)
+	if err != nil {
+		return err
+	}
+	body := fmt.Sprintf(
+		"Здравствуйте!\n\nДля аккаунта %s в bookmyroom запрошен сброс пароля. Задать новый пароль:\n%s/reset.html?token=%s\n\nСсылка действует %d минут. Если вы не запрашивали сброс, просто проигнорируйте письмо.\n",
+		email, a.BaseURL, token, int(resetPasswordTTL.Minutes()),
+	)
+	return a.Mailer.Send(email, "bookmyroom: сброс пароля", body)
+}
+
+// handleResetPassword задает новый пароль и завершает все сессии пользователя.
+// Переход по ссылке из письма заодно подтверждает email.
+func (a *App) handleResetPassword(w http.ResponseWriter, r *http.Request) {
+	var req resetPasswordRequest
+	if !readJSON(w, r, &req) {
+		return
+	}
+	if req.Password == "" {
+		writeJSON(w, http.StatusBadRequest, map[string]string{"error": "Требуется указать пароль"})
+		return
+	}
+
+	hash, err := bcrypt.GenerateFromPassword([]byte(req.Password), bcrypt.DefaultCost)
+	if err != nil {
+		writeJSON(w, http.StatusInternalServerError, map[string]string{"error": "failed to hash password"})
+		return
+	}
+
+	tx, err := a.DB.Begin()
+	if err != nil {
+		writeJSON(w, http.StatusInternalServerError, map[string]string{"error": "db error"})
+		return
+	}
+	defer tx.Rollback()
+
+	userID, err := consumeUserToken(tx, req.Token, tokenPurposeResetPassword)
+	if err != nil {
+		if errors.Is(err, errInvalidUserToken) {
+			writeJSON(w, http.StatusBadRequest, map[string]string{"error": "Ссылка недействительна или устарела"})
+		} else {
+			writeJSON(w, http.StatusInternalServerError, map[string]string{"error": "db error"})
+		}
+		return
+	}
+
+	_, err = tx.Exec(
+		`UPDATE users SET password_hash = $1, email_verified_at = COALESCE(email_verified_at, now()) WHERE id = $2`,
+		string(hash), userID,
+	)
+	if err != nil {
+		writeJSON(w, http.StatusInternalServerError, map[string]string{"error": "db error"})
+		return
+	}
+	_, err = tx.Exec(`UPDATE sessions SET revoked_at = now() WHERE user_id = $1 AND revoked_at IS NULL`, userID)
+	if err != nil {
+		writeJSON(w, http.StatusInternalServerError, map[string]string{"error": "db error"})
+		return
+	}
+	if err := tx.Commit(); err != nil {
+		writeJSON(w, http.StatusInternalServerError, map[string]string{"error": "db error"})
+		return
+	}
+
+	writeJSON(w, http.StatusOK, map[string]string{"status": "password changed"})
+}
@@ -0,0 +1,148 @@
+package main
+
+import (
+	"net/http"
+	"os"
+	"path/filepath"
+	"regexp"
+	"sort"
+	"strings"
+	"testing"
+	"time"
+)
+
+// Сценарии из писем: подтверждение email и сброс пароля. Как и booking_race_test.go,
+// ходят в PostgreSQL из TEST_DB_DSN; письма читаются из каталога fileMailer.
+
+var mailTokenRe = regexp.MustCompile(`token=([0-9a-f]+)`)
+
+// lastMailToken ждет письмо на адрес to со ссылкой на page и возвращает токен из нее.
+// Письмо о сбросе пароля уходит в фоне, поэтому файл может появиться не сразу.
+func lastMailToken(t *testing.T, app *App, to, page string) string {
+	t.Helper()
+	dir := app.Mailer.(*fileMailer).dir
+	deadline := time.Now().Add(5 * time.Second)
+	for {
+		names, _ := filepath.Glob(filepath.Join(dir, "*.eml"))
+		sort.Sort(sort.Reverse(sort.StringSlice(names)))
+		for _, name := range names {
+			data, err := os.ReadFile(name)
+			if err != nil {
+				t.Fatalf("read mail: %v", err)
+			}
+			msg := string(data)
+			if !strings.Contains(msg, "\r\nTo: "+to+"\r\n") || !strings.Contains(msg, "/"+page+"?token=") {
+				continue
+			}
+			if m := mailTokenRe.FindStringSubmatch(msg); m != nil {
+				return m[1]
+			}
+		}
+		if time.Now().After(deadline) {
+			t.Fatalf("no %s mail to %s in %s", page, to, dir)
+		}
+		time.Sleep(20 * time.Millisecond)
+	}
+}
+
+// Регистрация → письмо → POST /api/auth/verify-email → бронировать можно.
+// Повторный переход по той же ссылке – 400.
+func TestRegisterVerifyEmailAllowsBooking(t *testing.T) {
+	db := openTestDB(t)
+	app, srv := newTestApp(t, db)
+
+	var roomID int64
+	if err := db.QueryRow(`INSERT INTO rooms (name, capacity) VALUES ('Verify', 4) RETURNING id`).Scan(&roomID); err != nil {
+		t.Fatalf("create room: %v", err)
+	}
+
+	const email = "new@example.com"
+	creds := registerRequest{Email: email, Password: "secret123"}
+	if code := doJSON(t, srv, http.MethodPost, "/api/register", "", creds, nil); code != http.StatusCreated {
+		t.Fatalf("register: status %d", code)
+	}
+	var login loginResponse
+	if code := doJSON(t, srv, http.MethodPost, "/api/login", "", loginRequest(creds), &login); code != http.StatusOK {
+		t.Fatalf("login: status %d", code)
+	}
+
+	start := time.Now().Add(24 * time.Hour).Truncate(time.Hour)
+	booking := createBookingRequest{
+		RoomID:    roomID,
+		StartTime: start.Format(time.RFC3339),
+		EndTime:   start.Add(time.Hour).Format(time.RFC3339),
+	}
+	if code := doJSON(t, srv, http.MethodPost, "/api/bookings", login.Token, booking, nil); code != http.StatusForbidden {
+		t.Fatalf("booking before verification: want 403, got %d", code)
+	}
+
+	token := lastMailToken(t, app, email, "verify.html")
+	if code := doJSON(t, srv, http.MethodPost, "/api/auth/verify-email", "", tokenRequest{Token: token}, nil); code != http.StatusOK {
+		t.Fatalf("verify email: status %d", code)
+	}
+	if code := doJSON(t, srv, http.MethodPost, "/api/bookings", login.Token, booking, nil); code != http.StatusCreated {
+		t.Fatalf("booking after verification: want 201, got %d", code)
+	}
+
+	if code := doJSON(t, srv, http.MethodPost, "/api/auth/verify-email", "", tokenRequest{Token: token}, nil); code != http.StatusBadRequest {
+		t.Fatalf("reused verification token: want 400, got %d", code)
+	}
+}
+
+// Забыл пароль → сброс по ссылке: прежние сессии завершены, вход с новым паролем,
+// повторный сброс той же ссылкой – 400.
+func TestResetPasswordRevokesSessions(t *testing.T) {
+	db := openTestDB(t)
+	app, srv := newTestApp(t, db)
+
+	const email = "forgot@example.com"
+	_, oldToken := createTestUser(t, app, email, "Forgot", "user")
+
+	if code := doJSON(t, srv, http.MethodPost, "/api/auth/forgot-password", "", forgotPasswordRequest{Email: email}, nil); code != http.StatusOK {
+		t.Fatalf("forgot password: status %d", code)
+	}
+	token := lastMailToken(t, app, email, "reset.html")
+
+	reset := resetPasswordRequest{Token: token, Password: "new-secret"}
+	if code := doJSON(t, srv, http.MethodPost, "/api/auth/reset-password", "", reset, nil); code != http.StatusOK {
+		t.Fatalf("reset password: status %d", code)
+	}
+	if code := doJSON(t, srv, http.MethodGet, "/api/me", oldToken, nil, nil); code != http.StatusUnauthorized {
+		t.Fatalf("old session after reset: want 401, got %d", code)
+	}
+	login := loginRequest{Email: email, Password: "new-secret"}
+	if code := doJSON(t, srv, http.MethodPost, "/api/login", "", login, nil); code != http.StatusOK {
+		t.Fatalf("login with new password: status %d", code)
+	}
+
+	reset.Password = "another-secret"
+	if code := doJSON(t, srv, http.MethodPost, "/api/auth/reset-password", "", reset, nil); code != http.StatusBadRequest {
+		t.Fatalf("reused reset token: want 400, got %d", code)
+	}
+}
+
+// Просроченная ссылка и ссылка другого назначения не принимаются
+func TestExpiredResetTokenRejected(t *testing.T) {
+	db := openTestDB(t)
+	app, srv := newTestApp(t, db)
+
+	const email = "late@example.com"
+	createTestUser(t, app, email, "Late", "user")
+
+	if code := doJSON(t, srv, http.MethodPost, "/api/auth/forgot-password", "", forgotPasswordRequest{Email: email}, nil); code != http.StatusOK {
+		t.Fatalf("forgot password: status %d", code)
+	}
+	token := lastMailToken(t, app, email, "reset.html")
+
+	if code := doJSON(t, srv, http.MethodPost, "/api/auth/verify-email", "", tokenRequest{Token: token}, nil); code != http.StatusBadRequest {
+		t.Fatalf("reset token as verification token: want 400, got %d", code)
+	}
+
+	if _, err := db.Exec(`UPDATE user_tokens SET expires_at = now() - interval '1 minute' WHERE token_hash = $1`, hashToken(token)); err != nil {
+		t.Fatalf("expire token: %v", err)
+	}
+	reset := resetPasswordRequest{Token: token, Password: "new-secret"}
+	if code := doJSON(t, srv, http.MethodPost, "/api/auth/reset-password", "", reset, nil); code != http.StatusBadRequest {
+		t.Fatalf("expired reset token: want 400, got %d", code)
+	}
+}
@@ -0,0 +1,252 @@
+package main
+
+import (
+	"database/sql"
+	"errors"
+	"log"
+	"net/http"
+	"strconv"
+	"strings"
+	"time"
+
+	"golang.org/x/crypto/bcrypt"
+)
+
+// Управление пользователями для админа: список с поиском, смена роли, отключение
+// аккаунта и отправка ссылки для сброса пароля. Все маршруты – под adminOnlyMiddleware.
+
+const adminUsersLimit = 200
+
+type adminUser struct {
+	User
+	Disabled         bool `json:"disabled"`
+	BookingsTotal    int  `json:"bookings_total"`
+	UpcomingBookings int  `json:"upcoming_bookings"` // активные брони, которые еще не начались
+}
+
+type adminUpdateUserRequest struct {
+	Role     *string `json:"role"`
+	Disabled *bool   `json:"disabled"`
+}
+
+var likeEscaper = strings.NewReplacer(`\`, `\\`, `%`, `\%`, `_`, `\_`)
+
+// containsPattern – шаблон LIKE «содержит s»: %, _ и \ из запроса ищутся как есть
+func containsPattern(s string) string {
+	return "%" + likeEscaper.Replace(s) + "%"
+}
+
+// handleAdminListUsers – пользователи с числом броней; ?q= ищет по email и имени
+func (a *App) handleAdminListUsers(w http.ResponseWriter, r *http.Request) {
+	q := strings.TrimSpace(r.URL.Query().Get("q"))
+	limit := adminUsersLimit
+	if raw := r.URL.Query().Get("limit"); raw != "" {
+		n, err := strconv.Atoi(raw)
+		if err != nil || n <= 0 {
+			writeJSON(w, http.StatusBadRequest, map[string]string{"error": "invalid limit"})
+			return
+		}
+		if n < limit {
+			limit = n
+		}
+	}
+
+	rows, err := a.DB.Query(
+		`SELECT u.id, u.email, u.role, u.display_name, u.email_verified_at IS NOT NULL, u.created_at,
+                u.disabled_at IS NOT NULL,
+                COUNT(b.id),
+                COUNT(b.id) FILTER (WHERE b.status IN ('pending', 'confirmed') AND b.start_time > now())
+         FROM users u
+         LEFT JOIN bookings b ON b.user_id = u.id
+         WHERE $1 = '' OR u.email ILIKE $3 ESCAPE '\' OR u.display_name ILIKE $3 ESCAPE '\'
+         GROUP BY u.id
+         ORDER BY u.email
+         LIMIT $2`,
+		q, limit, containsPattern(q),
+	)
+	if err != nil {
+		writeJSON(w, http.StatusInternalServerError, map[string]string{"error": "db error"})
+		return
+	}
+	defer rows.Close()
+
+	res := []adminUser{}
+	for rows.Next() {
+		var u adminUser
+		if err := rows.Scan(&u.ID, &u.Email, &u.Role, &u.DisplayName, &u.EmailVerified, &u.CreatedAt,
+			&u.Disabled, &u.BookingsTotal, &u.UpcomingBookings); err != nil {
+			writeJSON(w, http.StatusInternalServerError, map[string]string{"error": "db error"})
+			return
+		}
+		res = append(res, u)
+	}
+
+	writeJSON(w, http.StatusOK, res)
+}
+
+// handleAdminUpdateUser меняет роль и/или отключает аккаунт. При отключении сессии
+// завершаются, а будущие брони отменяются; уже идущие остаются как есть.
+// Себя админ не может ни понизить, ни отключить – иначе можно остаться без админов.
+func (a *App) handleAdminUpdateUser(w http.ResponseWriter, r *http.Request) {
+	admin := getAuthUser(r)
+
+	userID, err := parseIDParam(r, "userID")
+	if err != nil {
+		writeJSON(w, http.StatusBadRequest, map[string]string{"error": "invalid user id"})
+		return
+	}
+
+	var req adminUpdateUserRequest
+	if !readJSON(w, r, &req) {
+		return
+	}
+	if req.Role == nil && req.Disabled == nil {
+		writeJSON(w, http.StatusBadRequest, map[string]string{"error": "role or disabled required"})
+		return
+	}
+	if req.Role != nil && *req.Role != "user" && *req.Role != "admin" {
+		writeJSON(w, http.StatusBadRequest, map[string]string{"error": "role must be user or admin"})
+		return
+	}
+	if userID == admin.ID && ((req.Role != nil && *req.Role != "admin") || (req.Disabled != nil && *req.Disabled)) {
+		writeJSON(w, http.StatusConflict, map[string]string{"error": "Нельзя понизить или отключить самого себя"})
+		return
+	}
+
+	tx, err := a.DB.Begin()
+	if err != nil {
+		writeJSON(w, http.StatusInternalServerError, map[string]string{"error": "db error"})
+		return
+	}
+	defer tx.Rollback()
+
+	var wasDisabled bool
+	err = tx.QueryRow(`SELECT disabled_at IS NOT NULL FROM users WHERE id = $1 FOR UPDATE`, userID).Scan(&wasDisabled)
+	if err != nil {
+		if errors.Is(err, sql.ErrNoRows) {
+			writeJSON(w, http.StatusNotFound, map[string]string{"error": "user not found"})
+		} else {
+			writeJSON(w, http.StatusInternalServerError, map[string]string{"error": "db error"})
+		}
+		return
+	}
+
+	if req.Role != nil {
+		if _, err := tx.Exec(`UPDATE users SET role = $1 WHERE id = $2`, *req.Role, userID); err != nil {
+			writeJSON(w, http.StatusInternalServerError, map[string]string{"error": "db error"})
+			return
+		}
+	}
+
+	var cancelled []Booking
+	if req.Disabled != nil && *req.Disabled != wasDisabled {
+		if *req.Disabled {
+			cancelled, err = disableUser(tx, userID)
+		} else {
+			_, err = tx.Exec(`UPDATE users SET disabled_at = NULL WHERE id = $1`, userID)
+		}
+		if err != nil {
+			writeJSON(w, http.StatusInternalServerError, map[string]string{"error": "db error"})
+			return
+		}
+	}
+
+	if err := tx.Commit(); err != nil {
+		writeJSON(w, http.StatusInternalServerError, map[string]string{"error": "db error"})
+		return
+	}
+
+	for i := range cancelled {
+		a.publishBooking(eventBookingCancelled, &cancelled[i])
+	}
+	log.Printf("[admin] user updated: user_id=%d by admin_id=%d cancelled_bookings=%d", userID, admin.ID, len(cancelled))
+
+	writeJSON(w, http.StatusOK, map[string]any{"status": "updated", "cancelled_bookings": len(cancelled)})
+}
+
+// disableUser отключает аккаунт, завершает его сессии и отменяет будущие брони
+func disableUser(tx *sql.Tx, userID int64) ([]Booking, error) {
+	if _, err := tx.Exec(`UPDATE users SET disabled_at = now() WHERE id = $1`, userID); err != nil {
+		return nil, err
+	}
+	if _, err := tx.Exec(`UPDATE sessions SET revoked_at = now() WHERE user_id = $1 AND revoked_at IS NULL`, userID); err != nil {
+		return nil, err
+	}
+
+	rows, err := tx.Query(
+		`UPDATE bookings SET status = 'cancelled'
+         WHERE user_id = $1 AND status IN ('pending', 'confirmed') AND start_time > $2
+         RETURNING `+bookingColumns,
+		userID, time.Now(),
+	)
+	if err != nil {
+		return nil, err
+	}
+	defer rows.Close()
+
+	var cancelled []Booking
+	for rows.Next() {
+		var b Booking
+		if err := scanBooking(rows, &b); err != nil {
+			return nil, err
+		}
+		cancelled = append(cancelled, b)
+	}
+	return cancelled, rows.Err()
+}
+
+// handleAdminResetPassword сбрасывает пароль: старый перестает действовать, сессии
+// завершаются, пользователю уходит ссылка для задания нового. Сам пароль админ не видит.
+func (a *App) handleAdminResetPassword(w http.ResponseWriter, r *http.Request) {
+	userID, err := parseIDParam(r, "userID")
+	if err != nil {
+		writeJSON(w, http.StatusBadRequest, map[string]string{"error": "invalid user id"})
+		return
+	}
+
+	// вместо пароля – хеш случайной строки, которую никто не знает
+	secret, err := newRandomToken()
+	if err != nil {
+		writeJSON(w, http.StatusInternalServerError, map[string]string{"error": "failed to generate token"})
+		return
+	}
+	hash, err := bcrypt.GenerateFromPassword([]byte(secret), bcrypt.DefaultCost)
+	if err != nil {
+		writeJSON(w, http.StatusInternalServerError, map[string]string{"error": "failed to hash password"})
+		return
+	}
+
+	tx, err := a.DB.Begin()
+	if err != nil {
+		writeJSON(w, http.StatusInternalServerError, map[string]string{"error": "db error"})
+		return
+	}
+	defer tx.Rollback()
+
+	var email string
+	err = tx.QueryRow(`UPDATE users SET password_hash = $1 WHERE id = $2 RETURNING email`, string(hash), userID).Scan(&email)
+	if err != nil {
+		if errors.Is(err, sql.ErrNoRows) {
+			writeJSON(w, http.StatusNotFound, map[string]string{"error": "user not found"})
+		} else {
+			writeJSON(w, http.StatusInternalServerError, map[string]string{"error": "db error"})
+		}
+		return
+	}
+	if _, err := tx.Exec(`UPDATE sessions SET revoked_at = now() WHERE user_id = $1 AND revoked_at IS NULL`, userID); err != nil {
+		writeJSON(w, http.StatusInternalServerError, map[string]string{"error": "db error"})
+		return
+	}
+	if err := tx.Commit(); err != nil {
+		writeJSON(w, http.StatusInternalServerError, map[string]string{"error": "db error"})
+		return
+	}
+
+	if err := a.sendPasswordResetEmail(userID, email); err != nil {
+		log.Printf("send password reset email: user_id=%d: %v", userID, err)
+		writeJSON(w, http.StatusBadGateway, map[string]string{"error": "Пароль сброшен, но письмо отправить не удалось"})
+		return
+	}
+
+	writeJSON(w, http.StatusOK, map[string]string{"status": "sent"})
+}
@@ -0,0 +1,56 @@
+package main
+
+import (
+	"net/url"
+	"testing"
+)
+
+func TestContainsPatternEscapesWildcards(t *testing.T) {
+	for in, want := range map[string]string{
+		"anna":    `%anna%`,
+		"a_b":     `%a\_b%`,
+		"100%":    `%100\%%`,
+		`back\sl`: `%back\\sl%`,
+		"":        `%%`,
+	} {
+		if got := containsPattern(in); got != want {
+			t.Errorf("containsPattern(%q) = %q, want %q", in, got, want)
+		}
+	}
+}
+
+// Поиск пользователей: _ и % в запросе – обычные символы, а не шаблоны LIKE
+func TestAdminListUsersSearchUnderscore(t *testing.T) {
+	db := openTestDB(t)
+	app, srv := newTestApp(t, db)
+
+	_, token := createTestUser(t, app, "admin@example.com", "", "admin")
+	createTestUser(t, app, "a_b@example.com", "", "user")
+	createTestUser(t, app, "axb@example.com", "", "user")
+	createTestUser(t, app, "olga@example.com", "olga_k", "user")
+	createTestUser(t, app, "olgak@example.com", "olgaxk", "user")
+
+	search := func(q string) []string {
+		t.Helper()
+		var users []adminUser
+		code := doJSON(t, srv, "GET", "/api/admin/users?q="+url.QueryEscape(q), token, nil, &users)
+		if code != 200 {
+			t.Fatalf("search %q: status %d", q, code)
+		}
+		emails := make([]string, len(users))
+		for i, u := range users {
+			emails[i] = u.Email
+		}
+		return emails
+	}
+
+	if got := search("a_b"); len(got) != 1 || got[0] != "a_b@example.com" {
+		t.Errorf("search a_b: got %v, want only a_b@example.com", got)
+	}
+	if got := search("olga_"); len(got) != 1 || got[0] != "olga@example.com" {
+		t.Errorf("search olga_ (display name): got %v, want only olga@example.com", got)
+	}
+	if got := search("%"); len(got) != 0 {
+		t.Errorf("search %%: got %v, want nothing", got)
+	}
+}
@@ -0,0 +1,458 @@
+package main
+
+import (
+	"net/http"
+	"sort"
+	"strconv"
+	"time"
+)
+
+// Аналитика использования комнат для админа: загрузка комнат за период, тепловая
+// карта по дням недели и часам и самые активные пользователи. Все считается по
+// таблицам bookings и rooms, отдельно ничего не хранится.
+//
+// Период – ?from=YYYY-MM-DD&to=YYYY-MM-DD (включительно) в часовом поясе ?tz=
+// (по умолчанию UTC); без дат – последние 30 дней. Брони попадают в период по началу.
+// Занятым временем считаются только подтвержденные брони.
+
+const (
+	reportDefaultDays = 30
+	reportMaxDays     = 366
+	topBookersLimit   = 10
+)
+
+// reportPeriod – период отчета [From, To) и зона, в которой заданы даты
+type reportPeriod struct {
+	From time.Time
+	To   time.Time
+	Loc  *time.Location
+}
+
+// parseReportPeriod разбирает from/to/tz (аналитика и выгрузка броней); ошибка – текст для 400
+func parseReportPeriod(r *http.Request) (*reportPeriod, string) {
+	q := r.URL.Query()
+	tz := q.Get("tz")
+	if tz == "" {
+		tz = "UTC"
+	}
+	loc, err := time.LoadLocation(tz)
+	if err != nil {
+		return nil, "Неизвестный часовой пояс: " + tz
+	}
+
+	today := time.Now().In(loc)
+	to := time.Date(today.Year(), today.Month(), today.Day(), 0, 0, 0, 0, loc)
+	if raw := q.Get("to"); raw != "" {
+		if to, err = time.ParseInLocation("2006-01-02", raw, loc); err != nil {
+			return nil, "to: ожидается дата YYYY-MM-DD"
+		}
+	}
+	from := to.AddDate(0, 0, 1-reportDefaultDays)
+	if raw := q.Get("from"); raw != "" {
+		if from, err = time.ParseInLocation("2006-01-02", raw, loc); err != nil {
+			return nil, "from: ожидается дата YYYY-MM-DD"
+		}
+	}
+	// to включительно – конец периода в полночь следующего дня
+	to = to.AddDate(0, 0, 1)
+	if !to.After(from) {
+		return nil, "from должен быть не позже to"
+	}
+	if to.After(from.AddDate(0, 0, reportMaxDays)) {
+		return nil, "Период не длиннее " + strconv.Itoa(reportMaxDays) + " дней"
+	}
+	return &reportPeriod{From: from, To: to, Loc: loc}, ""
+}
+
+func (p *reportPeriod) meta() map[string]string {
+	return map[string]string{
+		"from":      p.From.Format("2006-01-02"),
+		"to":        p.To.AddDate(0, 0, -1).Format("2006-01-02"),
+		"time_zone": p.Loc.String(),
+	}
+}
+
+// usageStats – показатели по броням, начавшимся в периоде
+type usageStats struct {
+	Bookings         int     `json:"bookings"`  // все брони, включая отмененные и отклоненные
+	Confirmed        int     `json:"confirmed"` // подтвержденные
+	Cancelled        int     `json:"cancelled"`
+	CancellationRate float64 `json:"cancellation_rate"` // cancelled / bookings, 0..1
+	AvgMinutes       float64 `json:"avg_minutes"`       // средняя длина подтвержденной брони
+	BookedMinutes    int64   `json:"booked_minutes"`    // подтвержденные брони внутри часов работы
+	BookableMinutes  int64   `json:"bookable_minutes"`  // часы работы за период без закрытых дат
+	Occupancy        float64 `json:"occupancy"`         // booked / bookable, 0..1
+}
+
+func (s *usageStats) finish() {
+	if s.Bookings > 0 {
+		s.CancellationRate = float64(s.Cancelled) / float64(s.Bookings)
+	}
+	if s.BookableMinutes > 0 {
+		s.Occupancy = float64(s.BookedMinutes) / float64(s.BookableMinutes)
+	}
+}
+
+type roomUsage struct {
+	RoomID   int64  `json:"room_id"`
+	Name     string `json:"name"`
+	IsActive bool   `json:"is_active"`
+	TimeZone string `json:"time_zone"`
+	usageStats
+}
+
+// timeSpan – полуинтервал [start, end)
+type timeSpan struct {
+	start, end time.Time
+}
+
+func overlapMinutes(a, b timeSpan) int64 {
+	start, end := a.start, a.end
+	if b.start.After(start) {
+		start = b.start
+	}
+	if b.end.Before(end) {
+		end = b.end
+	}
+	if !end.After(start) {
+		return 0
+	}
+	return int64(end.Sub(start) / time.Minute)
+}
+
+// roomSchedule – часы работы и закрытые даты комнаты для подсчета доступного времени
+type roomSchedule struct {
+	loc       *time.Location
+	hours     map[int][2]int // ISO weekday -> [opens, closes] в минутах от полуночи
+	blackouts [][2]string    // [starts_on, ends_on] включительно
+}
+
+// openSpans – интервалы работы комнаты в периоде по ее часам и закрытым датам,
+// по возрастанию. Без часов работы комната открыта круглосуточно.
+func (s *roomSchedule) openSpans(period *reportPeriod) []timeSpan {
+	var spans []timeSpan
+	first := period.From.In(s.loc)
+	last := period.To.Add(-time.Nanosecond).In(s.loc)
+	day := time.Date(first.Year(), first.Month(), first.Day(), 0, 0, 0, 0, s.loc)
+	for !day.After(last) {
+		date := day.Format("2006-01-02")
+		closed := false
+		for _, b := range s.blackouts {
+			if date >= b[0] && date <= b[1] {
+				closed = true
+				break
+			}
+		}
+		opens, closes := 0, 24*60
+		if h, ok := s.hours[isoWeekday(day)]; ok {
+			opens, closes = h[0], h[1]
+		} else if len(s.hours) > 0 {
+			closed = true
+		}
+		if !closed {
+			// через time.Date, а не Add: в день перехода на летнее время сутки не 24 часа
+			span := timeSpan{
+				start: time.Date(day.Year(), day.Month(), day.Day(), 0, opens, 0, 0, s.loc),
+				end:   time.Date(day.Year(), day.Month(), day.Day(), 0, closes, 0, 0, s.loc),
+			}
+			if span.start.Before(period.From) {
+				span.start = period.From
+			}
+			if span.end.After(period.To) {
+				span.end = period.To
+			}
+			if span.end.After(span.start) {
+				spans = append(spans, span)
+			}
+		}
+		day = time.Date(day.Year(), day.Month(), day.Day()+1, 0, 0, 0, 0, s.loc)
+	}
+	return spans
+}
+
+// bookedMinutes – сколько минут брони пришлось на интервалы работы (spans по возрастанию)
+func bookedMinutes(spans []timeSpan, booking timeSpan) int64 {
+	i := sort.Search(len(spans), func(i int) bool { return spans[i].end.After(booking.start) })
+	var total int64
+	for ; i < len(spans) && spans[i].start.Before(booking.end); i++ {
+		total += overlapMinutes(spans[i], booking)
+	}
+	return total
+}
+
+// loadRoomSchedules читает часы работы и закрытые даты всех комнат
+func (a *App) loadRoomSchedules(zones map[int64]string) (map[int64]*roomSchedule, error) {
+	schedules := make(map[int64]*roomSchedule, len(zones))
+	for id, tz := range zones {
+		loc, err := time.LoadLocation(tz)
+		if err != nil {
+			loc = time.UTC
+		}
+		schedules[id] = &roomSchedule{loc: loc, hours: map[int][2]int{}}
+	}
+
+	rows, err := a.DB.Query(`SELECT room_id, weekday, opens_min, closes_min FROM room_opening_hours`)
+	if err != nil {
+		return nil, err
+	}
+	defer rows.Close()
+	for rows.Next() {
+		var roomID int64
+		var weekday, opens, closes int
+		if err := rows.Scan(&roomID, &weekday, &opens, &closes); err != nil {
+			return nil, err
+		}
+		if s := schedules[roomID]; s != nil {
+			s.hours[weekday] = [2]int{opens, closes}
+		}
+	}
+	if err := rows.Err(); err != nil {
+		return nil, err
+	}
+
+	brows, err := a.DB.Query(`SELECT room_id, starts_on, ends_on FROM room_blackouts`)
+	if err != nil {
+		return nil, err
+	}
+	defer brows.Close()
+	for brows.Next() {
+		var roomID int64
+		var from, to time.Time
+		if err := brows.Scan(&roomID, &from, &to); err != nil {
+			return nil, err
+		}
+		if s := schedules[roomID]; s != nil {
+			s.blackouts = append(s.blackouts, [2]string{from.Format("2006-01-02"), to.Format("2006-01-02")})
+		}
+	}
+	return schedules, brows.Err()
+}
+
+// confirmedSpans – подтвержденные брони, пересекающие период, с обрезкой по нему
+func (a *App) confirmedSpans(period *reportPeriod) (map[int64][]timeSpan, error) {
+	rows, err := a.DB.Query(
+		`SELECT room_id, start_time, end_time FROM bookings
+         WHERE status = 'confirmed' AND start_time < $2 AND end_time > $1
+         ORDER BY start_time`,
+		period.From, period.To,
+	)
+	if err != nil {
+		return nil, err
+	}
+	defer rows.Close()
+
+	res := map[int64][]timeSpan{}
+	for rows.Next() {
+		var roomID int64
+		var s timeSpan
+		if err := rows.Scan(&roomID, &s.start, &s.end); err != nil {
+			return nil, err
+		}
+		if s.start.Before(period.From) {
+			s.start = period.From
+		}
+		if s.end.After(period.To) {
+			s.end = period.To
+		}
+		res[roomID] = append(res[roomID], s)
+	}
+	return res, rows.Err()
+}
+
+// handleAnalyticsRooms – загрузка, доля отмен и средняя длина брони по каждой комнате и в целом
+func (a *App) handleAnalyticsRooms(w http.ResponseWriter, r *http.Request) {
+	period, msg := parseReportPeriod(r)
+	if period == nil {
+		writeJSON(w, http.StatusBadRequest, map[string]string{"error": msg})
+		return
+	}
+
+	rows, err := a.DB.Query(
+		`SELECT r.id, r.name, r.is_active, r.time_zone,
+                COUNT(b.id),
+                COUNT(b.id) FILTER (WHERE b.status = 'confirmed'),
+                COUNT(b.id) FILTER (WHERE b.status = 'cancelled'),
+                COALESCE(AVG(EXTRACT(EPOCH FROM b.end_time - b.start_time) / 60) FILTER (WHERE b.status = 'confirmed'), 0)
+         FROM rooms r
+         LEFT JOIN bookings b ON b.room_id = r.id AND b.start_time >= $1 AND b.start_time < $2
+         GROUP BY r.id
+         ORDER BY r.id`,
+		period.From, period.To,
+	)
+	if err != nil {
+		writeJSON(w, http.StatusInternalServerError, map[string]string{"error": "db error"})
+		return
+	}
+	defer rows.Close()
+
+	rooms := []roomUsage{}
+	zones := map[int64]string{}
+	for rows.Next() {
+		var u roomUsage
+		if err := rows.Scan(&u.RoomID, &u.Name, &u.IsActive, &u.TimeZone,
+			&u.Bookings, &u.Confirmed, &u.Cancelled, &u.AvgMinutes); err != nil {
+			writeJSON(w, http.StatusInternalServerError, map[string]string{"error": "db error"})
+			return
+		}
+		rooms = append(rooms, u)
+		zones[u.RoomID] = u.TimeZone
+	}
+	if err := rows.Err(); err != nil {
+		writeJSON(w, http.StatusInternalServerError, map[string]string{"error": "db error"})
+		return
+	}
+
+	schedules, err := a.loadRoomSchedules(zones)
+	if err != nil {
+		writeJSON(w, http.StatusInternalServerError, map[string]string{"error": "db error"})
+		return
+	}
+	booked, err := a.confirmedSpans(period)
+	if err != nil {
+		writeJSON(w, http.StatusInternalServerError, map[string]string{"error": "db error"})
+		return
+	}
+
+	var total usageStats
+	var totalMinutes float64
+	for i := range rooms {
+		u := &rooms[i]
+		spans := schedules[u.RoomID].openSpans(period)
+		for _, s := range spans {
+			u.BookableMinutes += int64(s.end.Sub(s.start) / time.Minute)
+		}
+		for _, b := range booked[u.RoomID] {
+			u.BookedMinutes += bookedMinutes(spans, b)
+		}
+		u.finish()
+
+		total.Bookings += u.Bookings
+		total.Confirmed += u.Confirmed
+		total.Cancelled += u.Cancelled
+		total.BookedMinutes += u.BookedMinutes
+		total.BookableMinutes += u.BookableMinutes
+		totalMinutes += u.AvgMinutes * float64(u.Confirmed)
+	}
+	if total.Confirmed > 0 {
+		total.AvgMinutes = totalMinutes / float64(total.Confirmed)
+	}
+	total.finish()
+
+	res := map[string]any{"rooms": rooms, "total": total}
+	for k, v := range period.meta() {
+		res[k] = v
+	}
+	writeJSON(w, http.StatusOK, res)
+}
+
+// handleAnalyticsHeatmap – занятые минуты по дням недели и часам в зоне tz:
+// cells[0] – понедельник, cells[d][h] – минуты подтвержденных броней в час h.
+// ?room_id= – только одна комната.
+func (a *App) handleAnalyticsHeatmap(w http.ResponseWriter, r *http.Request) {
+	period, msg := parseReportPeriod(r)
+	if period == nil {
+		writeJSON(w, http.StatusBadRequest, map[string]string{"error": msg})
+		return
+	}
+	var roomID int64
+	if raw := r.URL.Query().Get("room_id"); raw != "" {
+		id, err := strconv.ParseInt(raw, 10, 64)
+		if err != nil || id <= 0 {
+			writeJSON(w, http.StatusBadRequest, map[string]string{"error": "invalid room_id"})
+			return
+		}
+		roomID = id
+	}
+
+	booked, err := a.confirmedSpans(period)
+	if err != nil {
+		writeJSON(w, http.StatusInternalServerError, map[string]string{"error": "db error"})
+		return
+	}
+
+	var cells [7][24]int64
+	for id, spans := range booked {
+		if roomID != 0 && id != roomID {
+			continue
+		}
+		for _, s := range spans {
+			// режем бронь по границам часов в зоне отчета
+			for t := s.start.In(period.Loc); t.Before(s.end); {
+				next := time.Date(t.Year(), t.Month(), t.Day(), t.Hour()+1, 0, 0, 0, period.Loc)
+				if next.After(s.end) {
+					next = s.end
+				}
+				cells[isoWeekday(t)-1][t.Hour()] += int64(next.Sub(t) / time.Minute)
+				t = next.In(period.Loc)
+			}
+		}
+	}
+
+	res := map[string]any{"cells": cells}
+	for k, v := range period.meta() {
+		res[k] = v
+	}
+	writeJSON(w, http.StatusOK, res)
+}
+
+type topBooker struct {
+	UserID        int64  `json:"user_id"`
+	Email         string `json:"email"`
+	DisplayName   string `json:"display_name"`
+	Bookings      int    `json:"bookings"`
+	Cancelled     int    `json:"cancelled"`
+	BookedMinutes int64  `json:"booked_minutes"` // подтвержденные брони
+}
+
+// handleAnalyticsTopBookers – пользователи с наибольшим подтвержденным временем за период
+func (a *App) handleAnalyticsTopBookers(w http.ResponseWriter, r *http.Request) {
+	period, msg := parseReportPeriod(r)
+	if period == nil {
+		writeJSON(w, http.StatusBadRequest, map[string]string{"error": msg})
+		return
+	}
+	limit := topBookersLimit
+	if raw := r.URL.Query().Get("limit"); raw != "" {
+		n, err := strconv.Atoi(raw)
+		if err != nil || n <= 0 || n > 100 {
+			writeJSON(w, http.StatusBadRequest, map[string]string{"error": "invalid limit"})
+			return
+		}
+		limit = n
+	}
+
+	rows, err := a.DB.Query(
+		`SELECT u.id, u.email, u.display_name,
+                COUNT(*),
+                COUNT(*) FILTER (WHERE b.status = 'cancelled'),
+                COALESCE(SUM(EXTRACT(EPOCH FROM b.end_time - b.start_time) / 60) FILTER (WHERE b.status = 'confirmed'), 0)::BIGINT
+         FROM bookings b
+         JOIN users u ON u.id = b.user_id
+         WHERE b.start_time >= $1 AND b.start_time < $2
+         GROUP BY u.id
+         ORDER BY 6 DESC, 4 DESC, u.email
+         LIMIT $3`,
+		period.From, period.To, limit,
+	)
+	if err != nil {
+		writeJSON(w, http.StatusInternalServerError, map[string]string{"error": "db error"})
+		return
+	}
+	defer rows.Close()
+
+	bookers := []topBooker{}
+	for rows.Next() {
+		var b topBooker
+		if err := rows.Scan(&b.UserID, &b.Email, &b.DisplayName, &b.Bookings, &b.Cancelled, &b.BookedMinutes); err != nil {
+			writeJSON(w, http.StatusInternalServerError, map[string]string{"error": "db error"})
+			return
+		}
+		bookers = append(bookers, b)
+	}
+
+	res := map[string]any{"users": bookers}
+	for k, v := range period.meta() {
+		res[k] = v
+	}
+	writeJSON(w, http.StatusOK, res)
+}
@@ -0,0 +1,91 @@
+package main
+
+import (
+	"database/sql"
+	"fmt"
+	"strings"
+
+	"github.com/lib/pq"
+)
+
+// Участники брони. Приглашенные хранятся по email: у коллеги может еще не быть аккаунта,
+// а после регистрации с тем же адресом он сразу увидит бронь в "Моих бронированиях".
+// Вместимость комнаты считается с автором брони: участники + 1.
+
+const maxAttendees = 200
+
+// normalizeAttendees приводит адреса к нижнему регистру, убирает повторы и самого автора
+func normalizeAttendees(emails []string, ownerEmail string) ([]string, error) {
+	if len(emails) > maxAttendees {
+		return nil, fmt.Errorf("Не больше %d участников", maxAttendees)
+	}
+	seen := map[string]bool{strings.ToLower(ownerEmail): true}
+	res := []string{}
+	for _, raw := range emails {
+		email := strings.ToLower(strings.TrimSpace(raw))
+		if email == "" || seen[email] {
+			continue
+		}
+		if !validEmail(email) {
+			return nil, fmt.Errorf("Некорректный email участника: %s", raw)
+		}
+		seen[email] = true
+		res = append(res, email)
+	}
+	return res, nil
+}
+
+// checkRoomCapacity возвращает текст ошибки, если участники с автором не помещаются в комнату
+func checkRoomCapacity(q queryer, roomID int64, attendees int) (string, error) {
+	var capacity int
+	if err := q.QueryRow(`SELECT capacity FROM rooms WHERE id = $1`, roomID).Scan(&capacity); err != nil {
+		return "", err
+	}
+	if people := attendees + 1; people > capacity {
+		return fmt.Sprintf("В комнате %d мест, а участников с вами – %d", capacity, people), nil
+	}
+	return "", nil
+}
+
+func insertAttendees(tx *sql.Tx, bookingID int64, emails []string) error {
+	for _, email := range emails {
+		if _, err := tx.Exec(`INSERT INTO booking_attendees (booking_id, email) VALUES ($1, $2)`, bookingID, email); err != nil {
+			return err
+		}
+	}
+	return nil
+}
+
+// loadAttendees – участники для набора броней одним запросом
+func loadAttendees(db *sql.DB, bookingIDs []int64) (map[int64][]string, error) {
+	res := make(map[int64][]string, len(bookingIDs))
+	if len(bookingIDs) == 0 {
+		return res, nil
+	}
+	rows, err := db.Query(
+		`SELECT booking_id, email FROM booking_attendees WHERE booking_id = ANY($1) ORDER BY email`,
+		pq.Array(bookingIDs),
+	)
+	if err != nil {
+		return nil, err
+	}
+	defer rows.Close()
+
+	for rows.Next() {
+		var (
+			id    int64
+			email string
+		)
+		if err := rows.Scan(&id, &email); err != nil {
+			return nil, err
+		}
+		res[id] = append(res[id], email)
+	}
+	return res, rows.Err()
+}
+
+func userEmail(q queryer, userID int64) (string, error) {
+	var email string
+	err := q.QueryRow(`SELECT email FROM users WHERE id = $1`, userID).Scan(&email)
+	return email, err
+}
@@ -0,0 +1,98 @@
+package main
+
+import (
+	"fmt"
+	"net/http"
+)
+
+// Статусы брони и допустимые переходы между ними. Таблица переходов – единственный
+// источник правды: по ней проверяют PATCH/DELETE и ее же отдает
+// GET /api/bookings/transitions, чтобы страницы показывали только допустимые действия.
+
+var bookingStatuses = map[string]bool{
+	"pending":   true,
+	"confirmed": true,
+	"cancelled": true,
+	"rejected":  true,
+}
+
+// isActiveBookingStatus – статус занимает слот в комнате
+func isActiveBookingStatus(status string) bool {
+	return status == "pending" || status == "confirmed"
+}
+
+// роли в таблице переходов: владелец брони и администратор
+const (
+	transitionRoleOwner = "owner"
+	transitionRoleAdmin = "admin"
+)
+
+type bookingTransition struct {
+	From  string   `json:"from"`
+	To    string   `json:"to"`
+	Roles []string `json:"roles"`
+}
+
+var bookingTransitions = []bookingTransition{
+	{From: "pending", To: "confirmed", Roles: []string{transitionRoleAdmin}},
+	{From: "pending", To: "rejected", Roles: []string{transitionRoleAdmin}},
+	{From: "pending", To: "cancelled", Roles: []string{transitionRoleOwner, transitionRoleAdmin}},
+	{From: "confirmed", To: "cancelled", Roles: []string{transitionRoleOwner, transitionRoleAdmin}},
+	// возврат в активный статус – только админ и только после проверки пересечений
+	{From: "cancelled", To: "confirmed", Roles: []string{transitionRoleAdmin}},
+	{From: "rejected", To: "confirmed", Roles: []string{transitionRoleAdmin}},
+}
+
+// bookingChangeError – отказ в изменении брони вместе с HTTP-кодом ответа
+type bookingChangeError struct {
+	Code    int
+	Message string
+}
+
+func (e *bookingChangeError) Error() string {
+	return e.Message
+}
+
+// checkBookingTransition проверяет, может ли user перевести бронь владельца ownerID
+// из статуса from в статус to.
+func checkBookingTransition(from, to string, user *AuthUser, ownerID int64) error {
+	if !bookingStatuses[to] {
+		return &bookingChangeError{Code: http.StatusUnprocessableEntity, Message: fmt.Sprintf("unknown status %q", to)}
+	}
+	if from == to {
+		return &bookingChangeError{Code: http.StatusConflict, Message: fmt.Sprintf("booking is already %s", to)}
+	}
+
+	for _, t := range bookingTransitions {
+		if t.From != from || t.To != to {
+			continue
+		}
+		for _, role := range t.Roles {
+			if role == transitionRoleAdmin && user.Role == "admin" {
+				return nil
+			}
+			if role == transitionRoleOwner && user.ID == ownerID {
+				return nil
+			}
+		}
+		return &bookingChangeError{Code: http.StatusForbidden, Message: "access denied"}
+	}
+
+	return &bookingChangeError{Code: http.StatusConflict, Message: fmt.Sprintf("status change %s → %s is not allowed", from, to)}
+}
+
+// transitionSources – статусы, из которых user может перевести бронь владельца ownerID
+// в статус to; для массовых изменений (отмена серии), чтобы они шли по той же таблице.
+func transitionSources(to string, user *AuthUser, ownerID int64) []string {
+	var res []string
+	for _, t := range bookingTransitions {
+		if t.To == to && checkBookingTransition(t.From, to, user, ownerID) == nil {
+			res = append(res, t.From)
+		}
+	}
+	return res
+}
+
+func (a *App) handleBookingTransitions(w http.ResponseWriter, r *http.Request) {
+	writeJSON(w, http.StatusOK, bookingTransitions)
+}
@@ -0,0 +1,248 @@
+package main
+
+import (
+	"encoding/json"
+	"fmt"
+	"net/http"
+	"strconv"
+	"sync"
+	"time"
+)
+
+// Живые обновления через Server-Sent Events. Хендлеры публикуют событие после
+// успешного коммита, hub раздает его подписчикам: странице комнаты (только ее события)
+// и общему списку (все события). Последние события хранятся в памяти, чтобы клиент
+// после обрыва догнал пропущенное по Last-Event-ID; если догнать нельзя (история
+// вытеснена или сервер перезапущен), клиент получает reset и перезагружает список целиком.
+
+const (
+	liveHistorySize   = 500
+	liveSubscriberBuf = 32
+	liveHeartbeat     = 25 * time.Second
+)
+
+// типы событий
+const (
+	eventBookingCreated       = "booking.created"
+	eventBookingCancelled     = "booking.cancelled"
+	eventBookingStatusChanged = "booking.status_changed"
+	eventBookingUpdated       = "booking.updated" // перенос по времени или в другую комнату
+	eventRoomCreated          = "room.created"
+	eventRoomUpdated          = "room.updated"
+	eventRoomDeleted          = "room.deleted"
+	eventReset                = "reset"
+)
+
+type liveEvent struct {
+	ID         int64  `json:"id"`
+	Type       string `json:"type"`
+	RoomID     int64  `json:"room_id,omitempty"`
+	PrevRoomID int64  `json:"prev_room_id,omitempty"` // для переноса в другую комнату
+	Booking    any    `json:"booking,omitempty"`      // *Booking или removedBooking
+	Room       *Room  `json:"room,omitempty"`
+}
+
+// removedBooking – бронь в событии после отмены или отклонения. Поток открыт всем, а такие
+// брони handleRoomBookings показывает только админам: тема и заметки не уходят, странице
+// хватает id, чтобы убрать строку.
+type removedBooking struct {
+	ID     int64  `json:"id"`
+	RoomID int64  `json:"room_id"`
+	Status string `json:"status"`
+}
+
+// matches – нужно ли событие подписчику комнаты roomID (0 – все комнаты)
+func (e liveEvent) matches(roomID int64) bool {
+	return roomID == 0 || e.RoomID == roomID || (e.PrevRoomID != 0 && e.PrevRoomID == roomID)
+}
+
+type liveSubscriber struct {
+	roomID int64
+	ch     chan liveEvent
+}
+
+type eventHub struct {
+	mu      sync.Mutex
+	lastID  int64
+	history []liveEvent
+	subs    map[*liveSubscriber]struct{}
+}
+
+func newEventHub() *eventHub {
+	return &eventHub{subs: make(map[*liveSubscriber]struct{})}
+}
+
+// publish раздает событие. Медленный подписчик с полным буфером отключается:
+// клиент переподключится и догонит пропущенное из истории.
+func (h *eventHub) publish(ev liveEvent) {
+	h.mu.Lock()
+	defer h.mu.Unlock()
+
+	h.lastID++
+	ev.ID = h.lastID
+	h.history = append(h.history, ev)
+	if len(h.history) > liveHistorySize {
+		h.history = h.history[len(h.history)-liveHistorySize:]
+	}
+
+	for sub := range h.subs {
+		if !ev.matches(sub.roomID) {
+			continue
+		}
+		select {
+		case sub.ch <- ev:
+		default:
+			delete(h.subs, sub)
+			close(sub.ch)
+		}
+	}
+}
+
+// subscribe регистрирует подписчика и возвращает события после lastID, которые он
+// пропустил. Если пропущенное уже не восстановить, вместо них возвращается reset
+// с текущим последним id hub (h.lastID, а не 0), от которого клиент продолжит после
+// перезагрузки списка.
+func (h *eventHub) subscribe(roomID, lastID int64) (*liveSubscriber, []liveEvent) {
+	h.mu.Lock()
+	defer h.mu.Unlock()
+
+	sub := &liveSubscriber{roomID: roomID, ch: make(chan liveEvent, liveSubscriberBuf)}
+	h.subs[sub] = struct{}{}
+
+	if lastID == 0 {
+		return sub, nil
+	}
+	// id из прошлого запуска сервера или история уже вытеснена
+	if lastID > h.lastID || (len(h.history) > 0 && h.history[0].ID > lastID+1) {
+		return sub, []liveEvent{{ID: h.lastID, Type: eventReset}}
+	}
+	var missed []liveEvent
+	for _, ev := range h.history {
+		if ev.ID > lastID && ev.matches(roomID) {
+			missed = append(missed, ev)
+		}
+	}
+	return sub, missed
+}
+
+func (h *eventHub) unsubscribe(sub *liveSubscriber) {
+	h.mu.Lock()
+	defer h.mu.Unlock()
+
+	if _, ok := h.subs[sub]; ok {
+		delete(h.subs, sub)
+		close(sub.ch)
+	}
+}
+
+// ===== публикация из хендлеров =====
+
+func (a *App) publishBooking(eventType string, b *Booking) {
+	ev := liveEvent{Type: eventType, RoomID: b.RoomID, Booking: b}
+	if b.Status == "cancelled" || b.Status == "rejected" {
+		ev.Booking = removedBooking{ID: b.ID, RoomID: b.RoomID, Status: b.Status}
+	}
+	a.Events.publish(ev)
+}
+
+// publishBookingStatus публикует смену статуса; отмена – отдельным типом
+func (a *App) publishBookingStatus(b *Booking) {
+	if b.Status == "cancelled" {
+		a.publishBooking(eventBookingCancelled, b)
+		return
+	}
+	a.publishBooking(eventBookingStatusChanged, b)
+}
+
+func (a *App) publishBookingMoved(b *Booking, prevRoomID int64) {
+	ev := liveEvent{Type: eventBookingUpdated, RoomID: b.RoomID, Booking: b}
+	if prevRoomID != b.RoomID {
+		ev.PrevRoomID = prevRoomID
+	}
+	a.Events.publish(ev)
+}
+
+// publishRoom перечитывает комнату и публикует ее целиком
+func (a *App) publishRoom(eventType string, roomID int64) {
+	var room Room
+	if err := scanRoom(a.DB.QueryRow(`SELECT `+roomColumns+` FROM rooms WHERE id = $1`, roomID), &room); err != nil {
+		return
+	}
+	a.Events.publish(liveEvent{Type: eventType, RoomID: roomID, Room: &room})
+}
+
+// ===== Handlers =====
+
+// handleEvents – общий поток: события всех комнат
+func (a *App) handleEvents(w http.ResponseWriter, r *http.Request) {
+	a.serveEvents(w, r, 0)
+}
+
+func (a *App) handleRoomEvents(w http.ResponseWriter, r *http.Request) {
+	roomID, err := parseIDParam(r, "roomID")
+	if err != nil {
+		writeJSON(w, http.StatusBadRequest, map[string]string{"error": "invalid room id"})
+		return
+	}
+	a.serveEvents(w, r, roomID)
+}
+
+func (a *App) serveEvents(w http.ResponseWriter, r *http.Request, roomID int64) {
+	flusher, ok := w.(http.Flusher)
+	if !ok {
+		writeJSON(w, http.StatusInternalServerError, map[string]string{"error": "streaming unsupported"})
+		return
+	}
+
+	// EventSource сам шлет Last-Event-ID при переподключении; при ручном
+	// переподключении клиент передает его в query
+	lastRaw := r.Header.Get("Last-Event-ID")
+	if lastRaw == "" {
+		lastRaw = r.URL.Query().Get("last_event_id")
+	}
+	lastID, _ := strconv.ParseInt(lastRaw, 10, 64)
+
+	sub, missed := a.Events.subscribe(roomID, lastID)
+	defer a.Events.unsubscribe(sub)
+
+	w.Header().Set("Content-Type", "text/event-stream")
+	w.Header().Set("Cache-Control", "no-cache")
+	w.Header().Set("Connection", "keep-alive")
+	w.WriteHeader(http.StatusOK)
+
+	for _, ev := range missed {
+		writeEvent(w, ev)
+	}
+	flusher.Flush()
+
+	heartbeat := time.NewTicker(liveHeartbeat)
+	defer heartbeat.Stop()
+
+	for {
+		select {
+		case <-r.Context().Done():
+			return
+		case ev, open := <-sub.ch:
+			if !open {
+				// отстали от потока – пусть клиент переподключится и догонит
+				return
+			}
+			writeEvent(w, ev)
+			flusher.Flush()
+		case <-heartbeat.C:
+			fmt.Fprint(w, ": ping\n\n")
+			flusher.Flush()
+		}
+	}
+}
+
+func writeEvent(w http.ResponseWriter, ev liveEvent) {
+	data, err := json.Marshal(ev)
+	if err != nil {
+		return
+	}
+	// id пишем всегда, в том числе у reset: там текущий последний id hub, он заменяет
+	// устаревший Last-Event-ID клиента, и после перезагрузки списка клиент догоняет с него
+	fmt.Fprintf(w, "id: %d\n", ev.ID)
+	fmt.Fprintf(w, "data: %s\n\n", data)
+}
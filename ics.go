@@ -0,0 +1,269 @@
+package main
+
+import (
+	"database/sql"
+	"errors"
+	"fmt"
+	"net/http"
+	"strings"
+	"time"
+)
+
+// iCalendar-фиды. Календарные клиенты не умеют слать Bearer-заголовок, поэтому фиды
+// открываются по ?token=... – отдельному токену пользователя, который можно отозвать
+// или перевыпустить, не трогая пароль и JWT.
+
+const icsTimeFormat = "20060102T150405Z"
+
+// сколько истории отдает фид комнаты
+const roomFeedHistory = 90 * 24 * time.Hour
+
+type icsEvent struct {
+	Booking
+	RoomName        string
+	RoomDescription string
+}
+
+// calendarTokenUser находит владельца токена фида. Для неизвестного или отозванного
+// токена и для отключенного аккаунта возвращает sql.ErrNoRows.
+func (a *App) calendarTokenUser(token string) (int64, error) {
+	if token == "" {
+		return 0, sql.ErrNoRows
+	}
+	var userID int64
+	err := a.DB.QueryRow(
+		`SELECT t.user_id
+         FROM calendar_tokens t
+         JOIN users u ON u.id = t.user_id
+         WHERE t.token = $1 AND u.disabled_at IS NULL`,
+		token,
+	).Scan(&userID)
+	return userID, err
+}
+
+// ===== Handlers: токен фида =====
+
+// handleGetCalendarToken возвращает токен фида, создавая его при первом обращении
+func (a *App) handleGetCalendarToken(w http.ResponseWriter, r *http.Request) {
+	user := getAuthUser(r)
+	if user == nil {
+		writeJSON(w, http.StatusUnauthorized, map[string]string{"error": "unauthorized"})
+		return
+	}
+
+	var token string
+	err := a.DB.QueryRow(`SELECT token FROM calendar_tokens WHERE user_id = $1`, user.ID).Scan(&token)
+	if err == nil {
+		writeJSON(w, http.StatusOK, map[string]string{"token": token})
+		return
+	}
+	if !errors.Is(err, sql.ErrNoRows) {
+		writeJSON(w, http.StatusInternalServerError, map[string]string{"error": "db error"})
+		return
+	}
+	a.handleRotateCalendarToken(w, r)
+}
+
+// handleRotateCalendarToken выпускает новый токен; ссылки со старым перестают работать
+func (a *App) handleRotateCalendarToken(w http.ResponseWriter, r *http.Request) {
+	user := getAuthUser(r)
+	if user == nil {
+		writeJSON(w, http.StatusUnauthorized, map[string]string{"error": "unauthorized"})
+		return
+	}
+
+	token, err := newRandomToken()
+	if err != nil {
+		writeJSON(w, http.StatusInternalServerError, map[string]string{"error": "failed to generate token"})
+		return
+	}
+	_, err = a.DB.Exec(
+		`INSERT INTO calendar_tokens (user_id, token) VALUES ($1, $2)
+         ON CONFLICT (user_id) DO UPDATE SET token = EXCLUDED.token, created_at = now()`,
+		user.ID, token,
+	)
+	if err != nil {
+		writeJSON(w, http.StatusInternalServerError, map[string]string{"error": "db error"})
+		return
+	}
+
+	writeJSON(w, http.StatusOK, map[string]string{"token": token})
+}
+
+func (a *App) handleRevokeCalendarToken(w http.ResponseWriter, r *http.Request) {
+	user := getAuthUser(r)
+	if user == nil {
+		writeJSON(w, http.StatusUnauthorized, map[string]string{"error": "unauthorized"})
+		return
+	}
+
+	if _, err := a.DB.Exec(`DELETE FROM calendar_tokens WHERE user_id = $1`, user.ID); err != nil {
+		writeJSON(w, http.StatusInternalServerError, map[string]string{"error": "db error"})
+		return
+	}
+
+	writeJSON(w, http.StatusOK, map[string]string{"status": "revoked"})
+}
+
+// ===== Handlers: фиды =====
+
+func (a *App) handleRoomICS(w http.ResponseWriter, r *http.Request) {
+	if _, err := a.calendarTokenUser(r.URL.Query().Get("token")); err != nil {
+		writeICSAuthError(w, err)
+		return
+	}
+
+	roomID, err := parseIDParam(r, "roomID")
+	if err != nil {
+		writeJSON(w, http.StatusBadRequest, map[string]string{"error": "invalid room id"})
+		return
+	}
+
+	var room Room
+	err = scanRoom(a.DB.QueryRow(`SELECT `+roomColumns+` FROM rooms WHERE id = $1`, roomID), &room)
+	if err != nil {
+		if errors.Is(err, sql.ErrNoRows) {
+			writeJSON(w, http.StatusNotFound, map[string]string{"error": "room not found"})
+		} else {
+			writeJSON(w, http.StatusInternalServerError, map[string]string{"error": "db error"})
+		}
+		return
+	}
+
+	events, err := a.queryICSEvents(
+		`WHERE b.room_id = $1 AND b.end_time > $2 ORDER BY b.start_time`,
+		roomID, time.Now().Add(-roomFeedHistory),
+	)
+	if err != nil {
+		writeJSON(w, http.StatusInternalServerError, map[string]string{"error": "db error"})
+		return
+	}
+
+	writeICS(w, "bookmyroom: "+room.Name, fmt.Sprintf("room-%d.ics", room.ID), events)
+}
+
+func (a *App) handleMyICS(w http.ResponseWriter, r *http.Request) {
+	userID, err := a.calendarTokenUser(r.URL.Query().Get("token"))
+	if err != nil {
+		writeICSAuthError(w, err)
+		return
+	}
+
+	events, err := a.queryICSEvents(`WHERE `+myBookingsCond+` ORDER BY b.start_time`, userID)
+	if err != nil {
+		writeJSON(w, http.StatusInternalServerError, map[string]string{"error": "db error"})
+		return
+	}
+
+	writeICS(w, "bookmyroom: мои бронирования", "my-bookings.ics", events)
+}
+
+func writeICSAuthError(w http.ResponseWriter, err error) {
+	if errors.Is(err, sql.ErrNoRows) {
+		writeJSON(w, http.StatusUnauthorized, map[string]string{"error": "invalid calendar token"})
+		return
+	}
+	writeJSON(w, http.StatusInternalServerError, map[string]string{"error": "db error"})
+}
+
+// queryICSEvents выбирает брони вместе с комнатой; where – условие и сортировка по b.*
+func (a *App) queryICSEvents(where string, args ...any) ([]icsEvent, error) {
+	rows, err := a.DB.Query(
+		`SELECT b.id, b.room_id, b.user_id, b.start_time, b.end_time, b.status, b.title, b.description, b.series_id, b.created_at,
+                r.name, COALESCE(r.description, '')
+         FROM bookings b
+         JOIN rooms r ON r.id = b.room_id
+         `+where,
+		args...,
+	)
+	if err != nil {
+		return nil, err
+	}
+	defer rows.Close()
+
+	var res []icsEvent
+	for rows.Next() {
+		var e icsEvent
+		b := &e.Booking
+		if err := rows.Scan(&b.ID, &b.RoomID, &b.UserID, &b.StartTime, &b.EndTime, &b.Status, &b.Title, &b.Description, &b.SeriesID, &b.CreatedAt,
+			&e.RoomName, &e.RoomDescription); err != nil {
+			return nil, err
+		}
+		res = append(res, e)
+	}
+	return res, rows.Err()
+}
+
+// ===== Формат iCalendar (RFC 5545) =====
+
+func icsStatus(status string) string {
+	switch status {
+	case "confirmed":
+		return "CONFIRMED"
+	case "pending":
+		return "TENTATIVE"
+	default:
+		// cancelled и rejected – для календаря событие отменено
+		return "CANCELLED"
+	}
+}
+
+// icsEscape экранирует TEXT-значение
+func icsEscape(s string) string {
+	r := strings.NewReplacer(`\`, `\\`, ";", `\;`, ",", `\,`, "\r\n", `\n`, "\n", `\n`)
+	return r.Replace(s)
+}
+
+// icsFold переносит строку длиннее 75 октетов, не разрывая UTF-8 символы
+func icsFold(line string) string {
+	var sb strings.Builder
+	width := 0
+	for _, ch := range line {
+		n := len(string(ch))
+		if width+n > 75 {
+			sb.WriteString("\r\n ")
+			width = 1
+		}
+		sb.WriteRune(ch)
+		width += n
+	}
+	sb.WriteString("\r\n")
+	return sb.String()
+}
+
+func writeICS(w http.ResponseWriter, calName, fileName string, events []icsEvent) {
+	var sb strings.Builder
+	line := func(s string) { sb.WriteString(icsFold(s)) }
+
+	now := time.Now().UTC().Format(icsTimeFormat)
+	line("BEGIN:VCALENDAR")
+	line("VERSION:2.0")
+	line("PRODID:-//bookmyroom//RU")
+	line("CALSCALE:GREGORIAN")
+	line("METHOD:PUBLISH")
+	line("X-WR-CALNAME:" + icsEscape(calName))
+	for _, e := range events {
+		line("BEGIN:VEVENT")
+		line(fmt.Sprintf("UID:booking-%d@bookmyroom", e.ID))
+		line("DTSTAMP:" + now)
+		line("DTSTART:" + e.StartTime.UTC().Format(icsTimeFormat))
+		line("DTEND:" + e.EndTime.UTC().Format(icsTimeFormat))
+		summary := e.RoomName
+		if e.Title != "" {
+			summary = e.Title + " – " + e.RoomName
+		}
+		line("SUMMARY:" + icsEscape(fmt.Sprintf("%s (%s)", summary, e.Status)))
+		line("LOCATION:" + icsEscape(e.RoomName))
+		if desc := strings.TrimSpace(e.Description + "\n\n" + e.RoomDescription); desc != "" {
+			line("DESCRIPTION:" + icsEscape(desc))
+		}
+		line("STATUS:" + icsStatus(e.Status))
+		line("END:VEVENT")
+	}
+	line("END:VCALENDAR")
+
+	w.Header().Set("Content-Type", "text/calendar; charset=utf-8")
+	w.Header().Set("Content-Disposition", fmt.Sprintf(`inline; filename="%s"`, fileName))
+	w.WriteHeader(http.StatusOK)
+	_, _ = w.Write([]byte(sb.String()))
+}
@@ -0,0 +1,560 @@
+package main
+
+import (
+	"bytes"
+	"encoding/csv"
+	"encoding/json"
+	"errors"
+	"fmt"
+	"io"
+	"log"
+	"net/http"
+	"strconv"
+	"strings"
+	"time"
+
+	"github.com/lib/pq"
+)
+
+// Массовый импорт комнат и выгрузка комнат и броней для админа.
+//
+// Импорт – POST /api/admin/import/rooms, файл CSV или JSON в поле file. Комнаты
+// сопоставляются по названию: существующая обновляется, новая создается. Колонки
+// (ключи JSON) – как у комнаты в API: name, description, capacity, building, floor,
+// equipment, accessible, time_zone, is_active, requires_approval. Чего нет в файле,
+// у существующей комнаты не меняется. С ?dry_run=1 ничего не сохраняется – только
+// предпросмотр с действием и ошибкой по каждой строке. Если хоть одна строка с ошибкой,
+// не сохраняется ни одна. Строка, отключающая активную комнату, сообщает число ее будущих
+// броней (future_bookings): они остаются в силе, и админ разбирает их на странице комнаты.
+//
+// Выгрузка – GET /api/admin/export/rooms и /api/admin/export/bookings, ?format=csv|json.
+// Выгруженные комнаты можно снова загрузить импортом.
+
+const (
+	maxImportSize = 1 << 20 // байт
+	maxImportRows = 1000
+)
+
+// колонки CSV комнат в порядке выгрузки; id при импорте не нужен
+var roomImportColumns = []string{
+	"name", "description", "capacity", "building", "floor", "equipment",
+	"accessible", "time_zone", "is_active", "requires_approval",
+}
+
+// поля выгрузки, которые импорт молча пропускает – чтобы выгрузку можно было загрузить обратно
+var roomImportIgnored = map[string]bool{"id": true, "photo_url": true, "photo_thumb_url": true, "created_at": true}
+
+// roomImport – одна разобранная строка импорта; nil – поле не меняется
+type roomImport struct {
+	Name             string
+	Description      *string
+	Capacity         *int
+	Building         *string
+	Floor            *int
+	FloorSet         bool     // колонка floor есть; пусто – без этажа
+	Equipment        []string // nil – не меняется
+	Accessible       *bool
+	TimeZone         *string
+	IsActive         *bool
+	RequiresApproval *bool
+}
+
+// importRowResult – итог по строке; Row – номер строки данных с 1, без заголовка
+type importRowResult struct {
+	Row    int    `json:"row"`
+	Name   string `json:"name"`
+	Action string `json:"action"` // create, update или error
+	RoomID int64  `json:"room_id,omitempty"`
+	Error  string `json:"error,omitempty"`
+	// строка отключает активную комнату: сколько в ней будущих pending/confirmed броней.
+	// Они остаются в силе, как при отключении через PATCH /api/rooms/{id}
+	FutureBookings int `json:"future_bookings,omitempty"`
+}
+
+// parseImportBool понимает true/false, 1/0, yes/no и да/нет; пусто – не задано
+func parseImportBool(s string) (*bool, error) {
+	var v bool
+	switch strings.ToLower(strings.TrimSpace(s)) {
+	case "":
+		return nil, nil
+	case "true", "1", "yes", "да":
+		v = true
+	case "false", "0", "no", "нет":
+		v = false
+	default:
+		return nil, fmt.Errorf("ожидается true или false, а не %q", s)
+	}
+	return &v, nil
+}
+
+// parseRoomImportRow проверяет одну строку; cells – значения по колонкам
+func parseRoomImportRow(cells map[string]string) (*roomImport, error) {
+	for col := range cells {
+		known := roomImportIgnored[col]
+		for _, c := range roomImportColumns {
+			known = known || c == col
+		}
+		if !known {
+			return nil, fmt.Errorf("неизвестное поле %q", col)
+		}
+	}
+
+	room := &roomImport{Name: strings.TrimSpace(cells["name"])}
+	if room.Name == "" {
+		return nil, errors.New("name: название обязательно")
+	}
+	text := func(col string) *string {
+		v, ok := cells[col]
+		if !ok {
+			return nil
+		}
+		v = strings.TrimSpace(v)
+		return &v
+	}
+	room.Description = text("description")
+	room.Building = text("building")
+
+	if v := strings.TrimSpace(cells["capacity"]); v != "" {
+		n, err := strconv.Atoi(v)
+		if err != nil || n <= 0 {
+			return nil, fmt.Errorf("capacity: нужно целое число больше 0, а не %q", v)
+		}
+		room.Capacity = &n
+	}
+	if v, ok := cells["floor"]; ok {
+		room.FloorSet = true
+		if v = strings.TrimSpace(v); v != "" {
+			n, err := strconv.Atoi(v)
+			if err != nil {
+				return nil, fmt.Errorf("floor: нужно целое число, а не %q", v)
+			}
+			room.Floor = &n
+		}
+	}
+	if v, ok := cells["equipment"]; ok {
+		tags := strings.FieldsFunc(v, func(r rune) bool { return r == ';' || r == ',' })
+		equipment, err := normalizeEquipment(tags)
+		if err != nil {
+			return nil, fmt.Errorf("equipment: %v", err)
+		}
+		room.Equipment = equipment
+	}
+	if tz := text("time_zone"); tz != nil && *tz != "" {
+		if !validTimeZone(*tz) {
+			return nil, fmt.Errorf("time_zone: неизвестный часовой пояс %q", *tz)
+		}
+		room.TimeZone = tz
+	}
+	for col, dst := range map[string]**bool{
+		"accessible": &room.Accessible, "is_active": &room.IsActive, "requires_approval": &room.RequiresApproval,
+	} {
+		v, err := parseImportBool(cells[col])
+		if err != nil {
+			return nil, fmt.Errorf("%s: %v", col, err)
+		}
+		*dst = v
+	}
+	return room, nil
+}
+
+// readImportRows читает CSV с заголовком или JSON-массив объектов в строки «колонка → значение».
+// Формат определяется по содержимому: JSON начинается с [. Ошибка – текст для 400.
+func readImportRows(data []byte) ([]map[string]string, error) {
+	data = bytes.TrimPrefix(data, []byte("\xef\xbb\xbf")) // BOM из Excel
+	if trimmed := bytes.TrimSpace(data); len(trimmed) > 0 && trimmed[0] == '[' {
+		return readImportJSON(trimmed)
+	}
+
+	reader := csv.NewReader(bytes.NewReader(data))
+	reader.TrimLeadingSpace = true
+	records, err := reader.ReadAll()
+	if err != nil {
+		return nil, fmt.Errorf("Не удалось разобрать CSV: %v", err)
+	}
+	if len(records) == 0 {
+		return nil, errors.New("Файл пустой")
+	}
+	header := records[0]
+	for i, col := range header {
+		header[i] = strings.ToLower(strings.TrimSpace(col))
+	}
+	rows := make([]map[string]string, 0, len(records)-1)
+	for _, rec := range records[1:] {
+		row := make(map[string]string, len(header))
+		for i, col := range header {
+			row[col] = rec[i]
+		}
+		rows = append(rows, row)
+	}
+	return rows, nil
+}
+
+func readImportJSON(data []byte) ([]map[string]string, error) {
+	var items []map[string]any
+	if err := json.Unmarshal(data, &items); err != nil {
+		return nil, errors.New("Ожидается JSON-массив объектов")
+	}
+	rows := make([]map[string]string, 0, len(items))
+	for _, item := range items {
+		row := make(map[string]string, len(item))
+		for key, v := range item {
+			switch v := v.(type) {
+			case nil:
+				row[key] = ""
+			case string:
+				row[key] = v
+			case []any:
+				parts := make([]string, len(v))
+				for i, p := range v {
+					parts[i] = fmt.Sprint(p)
+				}
+				row[key] = strings.Join(parts, ";")
+			default: // числа и bool
+				row[key] = fmt.Sprint(v)
+			}
+		}
+		rows = append(rows, row)
+	}
+	return rows, nil
+}
+
+// handleImportRooms – импорт комнат из файла с upsert по названию, см. комментарий к файлу
+func (a *App) handleImportRooms(w http.ResponseWriter, r *http.Request) {
+	dryRun := r.URL.Query().Get("dry_run") == "1"
+
+	r.Body = http.MaxBytesReader(w, r.Body, maxImportSize+64<<10)
+	file, _, err := r.FormFile("file")
+	if err != nil {
+		var tooLarge *http.MaxBytesError
+		if errors.As(err, &tooLarge) {
+			writeJSON(w, http.StatusBadRequest, map[string]string{"error": fmt.Sprintf("Файл больше %d МБ", maxImportSize>>20)})
+		} else {
+			writeJSON(w, http.StatusBadRequest, map[string]string{"error": "Нужен файл в поле file"})
+		}
+		return
+	}
+	defer file.Close()
+	data, err := io.ReadAll(io.LimitReader(file, maxImportSize+1))
+	if err != nil || len(data) > maxImportSize {
+		writeJSON(w, http.StatusBadRequest, map[string]string{"error": fmt.Sprintf("Файл больше %d МБ", maxImportSize>>20)})
+		return
+	}
+
+	rows, err := readImportRows(data)
+	if err != nil {
+		writeJSON(w, http.StatusBadRequest, map[string]string{"error": err.Error()})
+		return
+	}
+	if len(rows) == 0 {
+		writeJSON(w, http.StatusBadRequest, map[string]string{"error": "В файле нет ни одной комнаты"})
+		return
+	}
+	if len(rows) > maxImportRows {
+		writeJSON(w, http.StatusBadRequest, map[string]string{"error": fmt.Sprintf("Не больше %d комнат за раз", maxImportRows)})
+		return
+	}
+
+	// сначала проверяем все строки и решаем, что с ними делать; пишем, только если ошибок нет
+	results := make([]importRowResult, len(rows))
+	parsed := make([]*roomImport, len(rows))
+	seen := map[string]int{}
+	created, updated, failed, future := 0, 0, 0, 0
+	for i, cells := range rows {
+		res := &results[i]
+		res.Row = i + 1
+		res.Name = strings.TrimSpace(cells["name"])
+
+		room, err := parseRoomImportRow(cells)
+		if err == nil {
+			if prev, dup := seen[room.Name]; dup {
+				err = fmt.Errorf("комната с таким названием уже есть в строке %d", prev)
+			}
+			seen[room.Name] = res.Row
+		}
+		if err == nil {
+			err = a.planRoomImport(room, res)
+		}
+		if err != nil {
+			res.Action, res.Error = "error", err.Error()
+			failed++
+			continue
+		}
+		parsed[i] = room
+		future += res.FutureBookings
+		if res.Action == "create" {
+			created++
+		} else {
+			updated++
+		}
+	}
+
+	body := map[string]any{
+		"dry_run": dryRun, "created": created, "updated": updated, "errors": failed,
+		"future_bookings": future, "rows": results,
+	}
+	if failed > 0 {
+		status := http.StatusUnprocessableEntity
+		if dryRun {
+			status = http.StatusOK
+		}
+		writeJSON(w, status, body)
+		return
+	}
+	if dryRun {
+		writeJSON(w, http.StatusOK, body)
+		return
+	}
+
+	tx, err := a.DB.Begin()
+	if err != nil {
+		writeJSON(w, http.StatusInternalServerError, map[string]string{"error": "db error"})
+		return
+	}
+	defer tx.Rollback()
+	for i, room := range parsed {
+		if err := saveRoomImport(tx, room, &results[i]); err != nil {
+			log.Printf("import rooms: row %d: %v", results[i].Row, err)
+			writeJSON(w, http.StatusInternalServerError, map[string]string{"error": fmt.Sprintf("Ошибка БД в строке %d", results[i].Row)})
+			return
+		}
+	}
+	if err := tx.Commit(); err != nil {
+		writeJSON(w, http.StatusInternalServerError, map[string]string{"error": "db error"})
+		return
+	}
+
+	for _, res := range results {
+		if res.Action == "create" {
+			a.publishRoom(eventRoomCreated, res.RoomID)
+		} else {
+			a.publishRoom(eventRoomUpdated, res.RoomID)
+		}
+	}
+	log.Printf("[admin] rooms imported: created=%d updated=%d by admin_id=%d", created, updated, getAuthUser(r).ID)
+	writeJSON(w, http.StatusOK, body)
+}
+
+// planRoomImport ищет комнату по названию и решает, создать ее или обновить
+func (a *App) planRoomImport(room *roomImport, res *importRowResult) error {
+	rows, err := a.DB.Query(`SELECT id FROM rooms WHERE name = $1 LIMIT 2`, room.Name)
+	if err != nil {
+		return errors.New("Ошибка БД")
+	}
+	defer rows.Close()
+	var ids []int64
+	for rows.Next() {
+		var id int64
+		if err := rows.Scan(&id); err != nil {
+			return errors.New("Ошибка БД")
+		}
+		ids = append(ids, id)
+	}
+
+	switch len(ids) {
+	case 0:
+		if room.Capacity == nil {
+			return errors.New("capacity: обязательно для новой комнаты")
+		}
+		res.Action = "create"
+	case 1:
+		res.Action, res.RoomID = "update", ids[0]
+	default:
+		return errors.New("несколько комнат с таким названием – переименуйте их, чтобы импорт знал, какую обновлять")
+	}
+
+	// отключение комнаты с будущими бронями показываем так же, как в форме комнаты
+	if res.Action == "update" && room.IsActive != nil && !*room.IsActive {
+		err := a.DB.QueryRow(
+			`SELECT COUNT(*) FROM bookings b JOIN rooms r ON r.id = b.room_id
+             WHERE b.room_id = $1 AND r.is_active
+               AND b.status IN ('pending', 'confirmed') AND b.end_time > now()`,
+			res.RoomID,
+		).Scan(&res.FutureBookings)
+		if err != nil {
+			return errors.New("Ошибка БД")
+		}
+	}
+	return nil
+}
+
+// saveRoomImport создает или обновляет комнату по решению planRoomImport
+func saveRoomImport(tx queryer, room *roomImport, res *importRowResult) error {
+	var equipment any // nil – не менять
+	if room.Equipment != nil {
+		equipment = pq.Array(room.Equipment)
+	}
+	if res.Action == "create" {
+		return tx.QueryRow(
+			`INSERT INTO rooms (name, description, capacity, building, floor, equipment, accessible, time_zone, is_active, requires_approval)
+             VALUES ($1, COALESCE($2, ''), $3, COALESCE($4, ''), $5, COALESCE($6::TEXT[], '{}'), COALESCE($7, FALSE),
+                     COALESCE($8, 'UTC'), COALESCE($9, TRUE), COALESCE($10, FALSE))
+             RETURNING id`,
+			room.Name, room.Description, *room.Capacity, room.Building, room.Floor, equipment,
+			room.Accessible, room.TimeZone, room.IsActive, room.RequiresApproval,
+		).Scan(&res.RoomID)
+	}
+	return tx.QueryRow(
+		`UPDATE rooms SET description = COALESCE($2, description), capacity = COALESCE($3, capacity),
+                          building = COALESCE($4, building),
+                          floor = CASE WHEN $5 THEN $6 ELSE floor END,
+                          equipment = COALESCE($7, equipment), accessible = COALESCE($8, accessible),
+                          time_zone = COALESCE($9, time_zone), is_active = COALESCE($10, is_active),
+                          requires_approval = COALESCE($11, requires_approval)
+         WHERE id = $1
+         RETURNING id`,
+		res.RoomID, room.Description, room.Capacity, room.Building, room.FloorSet, room.Floor, equipment,
+		room.Accessible, room.TimeZone, room.IsActive, room.RequiresApproval,
+	).Scan(&res.RoomID)
+}
+
+// exportFormat читает ?format=csv|json, по умолчанию csv; false – уже ответили 400
+func exportFormat(w http.ResponseWriter, r *http.Request) (string, bool) {
+	format := r.URL.Query().Get("format")
+	switch format {
+	case "":
+		return "csv", true
+	case "csv", "json":
+		return format, true
+	}
+	writeJSON(w, http.StatusBadRequest, map[string]string{"error": "format: csv или json"})
+	return "", false
+}
+
+// writeExport отдает выгрузку файлом: records – CSV с заголовком, data – то же для JSON
+func writeExport(w http.ResponseWriter, format, name string, records [][]string, data any) {
+	w.Header().Set("Content-Disposition", fmt.Sprintf(`attachment; filename="%s.%s"`, name, format))
+	if format == "json" {
+		writeJSON(w, http.StatusOK, data)
+		return
+	}
+	w.Header().Set("Content-Type", "text/csv; charset=utf-8")
+	if err := csv.NewWriter(w).WriteAll(records); err != nil {
+		log.Printf("write csv export %s: %v", name, err)
+	}
+}
+
+func formatOptionalInt(v *int) string {
+	if v == nil {
+		return ""
+	}
+	return strconv.Itoa(*v)
+}
+
+// handleExportRooms – все комнаты; CSV в формате импорта плюс id
+func (a *App) handleExportRooms(w http.ResponseWriter, r *http.Request) {
+	format, ok := exportFormat(w, r)
+	if !ok {
+		return
+	}
+	rows, err := a.DB.Query(`SELECT ` + roomColumns + ` FROM rooms ORDER BY id`)
+	if err != nil {
+		writeJSON(w, http.StatusInternalServerError, map[string]string{"error": "db error"})
+		return
+	}
+	defer rows.Close()
+
+	rooms := []Room{}
+	records := [][]string{append([]string{"id"}, roomImportColumns...)}
+	for rows.Next() {
+		var room Room
+		if err := scanRoom(rows, &room); err != nil {
+			writeJSON(w, http.StatusInternalServerError, map[string]string{"error": "db error"})
+			return
+		}
+		rooms = append(rooms, room)
+		records = append(records, []string{
+			strconv.FormatInt(room.ID, 10), room.Name, room.Description, strconv.Itoa(room.Capacity),
+			room.Building, formatOptionalInt(room.Floor), strings.Join(room.Equipment, ";"),
+			strconv.FormatBool(room.Accessible), room.TimeZone, strconv.FormatBool(room.IsActive),
+			strconv.FormatBool(room.RequiresApproval),
+		})
+	}
+	if err := rows.Err(); err != nil {
+		writeJSON(w, http.StatusInternalServerError, map[string]string{"error": "db error"})
+		return
+	}
+	writeExport(w, format, "rooms-"+time.Now().Format("2006-01-02"), records, rooms)
+}
+
+type exportedBooking struct {
+	Booking
+	RoomName  string `json:"room_name"`
+	UserEmail string `json:"user_email"`
+}
+
+// handleExportBookings – брони, начавшиеся в периоде (from/to/tz, как у аналитики),
+// ?room_id= – только одной комнаты. Время – в зоне периода.
+func (a *App) handleExportBookings(w http.ResponseWriter, r *http.Request) {
+	format, ok := exportFormat(w, r)
+	if !ok {
+		return
+	}
+	period, msg := parseReportPeriod(r)
+	if period == nil {
+		writeJSON(w, http.StatusBadRequest, map[string]string{"error": msg})
+		return
+	}
+	var roomID int64
+	if raw := r.URL.Query().Get("room_id"); raw != "" {
+		id, err := strconv.ParseInt(raw, 10, 64)
+		if err != nil || id <= 0 {
+			writeJSON(w, http.StatusBadRequest, map[string]string{"error": "invalid room_id"})
+			return
+		}
+		roomID = id
+	}
+
+	rows, err := a.DB.Query(
+		`SELECT b.id, b.room_id, b.user_id, b.start_time, b.end_time, b.status, b.title, b.description, b.series_id, b.created_at,
+                r.name, u.email
+         FROM bookings b
+         JOIN rooms r ON r.id = b.room_id
+         JOIN users u ON u.id = b.user_id
+         WHERE b.start_time >= $1 AND b.start_time < $2 AND ($3 = 0 OR b.room_id = $3)
+         ORDER BY b.start_time, b.id`,
+		period.From, period.To, roomID,
+	)
+	if err != nil {
+		writeJSON(w, http.StatusInternalServerError, map[string]string{"error": "db error"})
+		return
+	}
+	defer rows.Close()
+
+	bookings := []exportedBooking{}
+	records := [][]string{{
+		"id", "room_id", "room_name", "user_id", "user_email", "start_time", "end_time",
+		"status", "title", "description", "series_id", "created_at",
+	}}
+	for rows.Next() {
+		var b exportedBooking
+		if err := rows.Scan(&b.ID, &b.RoomID, &b.UserID, &b.StartTime, &b.EndTime, &b.Status, &b.Title, &b.Description,
+			&b.SeriesID, &b.CreatedAt, &b.RoomName, &b.UserEmail); err != nil {
+			writeJSON(w, http.StatusInternalServerError, map[string]string{"error": "db error"})
+			return
+		}
+		b.StartTime, b.EndTime, b.CreatedAt = b.StartTime.In(period.Loc), b.EndTime.In(period.Loc), b.CreatedAt.In(period.Loc)
+		bookings = append(bookings, b)
+
+		series := ""
+		if b.SeriesID != nil {
+			series = strconv.FormatInt(*b.SeriesID, 10)
+		}
+		records = append(records, []string{
+			strconv.FormatInt(b.ID, 10), strconv.FormatInt(b.RoomID, 10), b.RoomName,
+			strconv.FormatInt(b.UserID, 10), b.UserEmail,
+			b.StartTime.Format(time.RFC3339), b.EndTime.Format(time.RFC3339),
+			b.Status, b.Title, b.Description, series, b.CreatedAt.Format(time.RFC3339),
+		})
+	}
+	if err := rows.Err(); err != nil {
+		writeJSON(w, http.StatusInternalServerError, map[string]string{"error": "db error"})
+		return
+	}
+
+	meta := period.meta()
+	name := fmt.Sprintf("bookings-%s-%s", meta["from"], meta["to"])
+	if roomID != 0 {
+		name += fmt.Sprintf("-room%d", roomID)
+	}
+	writeExport(w, format, name, records, bookings)
+}
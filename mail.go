@@ -0,0 +1,118 @@
+package main
+
+import (
+	"errors"
+	"fmt"
+	"log"
+	"mime"
+	"net"
+	"net/mail"
+	"net/smtp"
+	"os"
+	"path/filepath"
+	"strings"
+	"sync/atomic"
+	"time"
+)
+
+// Отправка писем. Реализация выбирается переменными окружения:
+//   MAIL_SMTP_ADDR=host:port (+ MAIL_SMTP_USER, MAIL_SMTP_PASSWORD, MAIL_FROM) – SMTP;
+//   MAIL_DIR=./mail – письма складываются файлами .eml (для разработки без сети и тестов);
+//   иначе письма только пишутся в лог.
+
+type Mailer interface {
+	Send(to, subject, body string) error
+}
+
+func newMailerFromEnv() Mailer {
+	from := os.Getenv("MAIL_FROM")
+	if from == "" {
+		from = "bookmyroom@localhost"
+	}
+	if addr := os.Getenv("MAIL_SMTP_ADDR"); addr != "" {
+		return &smtpMailer{
+			addr:     addr,
+			from:     from,
+			user:     os.Getenv("MAIL_SMTP_USER"),
+			password: os.Getenv("MAIL_SMTP_PASSWORD"),
+		}
+	}
+	if dir := os.Getenv("MAIL_DIR"); dir != "" {
+		return &fileMailer{dir: dir, from: from}
+	}
+	return logMailer{}
+}
+
+// validEmail – голый адрес без имени и лишних символов: mail.ParseAddress должен вернуть его же
+func validEmail(email string) bool {
+	addr, err := mail.ParseAddress(email)
+	return err == nil && addr.Address == email
+}
+
+// formatMail собирает письмо. Адрес получателя идет в заголовок как есть, поэтому
+// перевод строки в нем – ошибка, а не новый заголовок.
+func formatMail(from, to, subject, body string) ([]byte, error) {
+	if strings.ContainsAny(to, "\r\n") {
+		return nil, errors.New("mail: newline in recipient address")
+	}
+	var sb strings.Builder
+	fmt.Fprintf(&sb, "From: %s\r\n", from)
+	fmt.Fprintf(&sb, "To: %s\r\n", to)
+	// заголовки – только ASCII, кириллицу в теме кодируем по RFC 2047
+	fmt.Fprintf(&sb, "Subject: %s\r\n", mime.QEncoding.Encode("utf-8", subject))
+	fmt.Fprintf(&sb, "Date: %s\r\n", time.Now().Format(time.RFC1123Z))
+	sb.WriteString("MIME-Version: 1.0\r\n")
+	sb.WriteString("Content-Type: text/plain; charset=utf-8\r\n")
+	sb.WriteString("\r\n")
+	sb.WriteString(strings.ReplaceAll(body, "\n", "\r\n"))
+	return []byte(sb.String()), nil
+}
+
+type smtpMailer struct {
+	addr     string
+	from     string
+	user     string
+	password string
+}
+
+func (m *smtpMailer) Send(to, subject, body string) error {
+	var auth smtp.Auth
+	if m.user != "" {
+		host, _, err := net.SplitHostPort(m.addr)
+		if err != nil {
+			return err
+		}
+		auth = smtp.PlainAuth("", m.user, m.password, host)
+	}
+	msg, err := formatMail(m.from, to, subject, body)
+	if err != nil {
+		return err
+	}
+	return smtp.SendMail(m.addr, auth, m.from, []string{to}, msg)
+}
+
+// fileMailer складывает письма в каталог: одно письмо – один файл
+type fileMailer struct {
+	dir  string
+	from string
+	seq  atomic.Int64
+}
+
+func (m *fileMailer) Send(to, subject, body string) error {
+	if err := os.MkdirAll(m.dir, 0o755); err != nil {
+		return err
+	}
+	msg, err := formatMail(m.from, to, subject, body)
+	if err != nil {
+		return err
+	}
+	name := fmt.Sprintf("%s-%03d.eml", time.Now().Format("20060102-150405"), m.seq.Add(1))
+	return os.WriteFile(filepath.Join(m.dir, name), msg, 0o644)
+}
+
+type logMailer struct{}
+
+func (logMailer) Send(to, subject, body string) error {
+	log.Printf("[email] to=%q subject=%q\n%s", to, subject, body)
+	return nil
+}
@@ -0,0 +1,80 @@
+package main
+
+import (
+	"mime"
+	"strings"
+	"testing"
+)
+
+// Тема письма с кириллицей уходит в заголовок как encoded-word (RFC 2047), заголовки – только ASCII
+func TestFormatMailEncodesSubject(t *testing.T) {
+	subject := "bookmyroom: подтверждение email"
+	raw, err := formatMail("bookmyroom@localhost", "anna@example.com", subject, "текст")
+	if err != nil {
+		t.Fatal(err)
+	}
+	msg := string(raw)
+
+	header, _, ok := strings.Cut(msg, "\r\n\r\n")
+	if !ok {
+		t.Fatal("no header/body separator")
+	}
+	var encoded string
+	for _, line := range strings.Split(header, "\r\n") {
+		if v, found := strings.CutPrefix(line, "Subject: "); found {
+			encoded = v
+		}
+	}
+	if encoded == "" {
+		t.Fatalf("no Subject header in %q", header)
+	}
+	for _, r := range header {
+		if r > 127 {
+			t.Fatalf("non-ASCII header: %q", header)
+		}
+	}
+	if !strings.HasPrefix(encoded, "=?utf-8?q?") {
+		t.Errorf("Subject = %q, want RFC 2047 encoded-word", encoded)
+	}
+	decoded, err := new(mime.WordDecoder).DecodeHeader(encoded)
+	if err != nil {
+		t.Fatal(err)
+	}
+	if decoded != subject {
+		t.Errorf("decoded Subject = %q, want %q", decoded, subject)
+	}
+}
+
+func TestFormatMailKeepsASCIISubject(t *testing.T) {
+	raw, err := formatMail("bookmyroom@localhost", "anna@example.com", "Hello", "body")
+	if err != nil {
+		t.Fatal(err)
+	}
+	msg := string(raw)
+	if !strings.Contains(msg, "\r\nSubject: Hello\r\n") {
+		t.Errorf("ASCII subject changed: %q", msg)
+	}
+}
+
+// Перевод строки в адресе дописал бы к письму свои заголовки (Bcc и т. п.)
+func TestFormatMailRejectsNewlineInRecipient(t *testing.T) {
+	for _, to := range []string{"anna@example.com\r\nBcc: eve@example.com", "anna@example.com\nBcc: eve@example.com"} {
+		if _, err := formatMail("bookmyroom@localhost", to, "Hello", "body"); err == nil {
+			t.Errorf("formatMail(to=%q): want error", to)
+		}
+	}
+}
+
+func TestValidEmail(t *testing.T) {
+	for email, want := range map[string]bool{
+		"anna@example.com":             true,
+		"":                             false,
+		"anna":                         false,
+		"Anna <anna@example.com>":      false,
+		"anna@example.com\r\nBcc: x@y": false,
+	} {
+		if got := validEmail(email); got != want {
+			t.Errorf("validEmail(%q) = %v, want %v", email, got, want)
+		}
+	}
+}
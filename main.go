@@ -2,9 +2,12 @@ package main
 
 import (
 	"context"
+	"crypto/rand"
 	"database/sql"
+	"encoding/hex"
 	"encoding/json"
 	"errors"
+	"fmt"
 	"log"
 	"net/http"
 	"os"
@@ -17,34 +20,48 @@ import (
 	"github.com/golang-jwt/jwt/v5"
 	"golang.org/x/crypto/bcrypt"
 
-	_ "github.com/lib/pq"
+	"github.com/lib/pq"
 )
 
 type User struct {
-	ID        int64     `json:"id"`
-	Email     string    `json:"email"`
-	Role      string    `json:"role"`
-	CreatedAt time.Time `json:"created_at"`
+	ID            int64     `json:"id"`
+	Email         string    `json:"email"`
+	Role          string    `json:"role"`
+	DisplayName   string    `json:"display_name"`
+	HideIdentity  bool      `json:"hide_identity"` // не показывать имя и email в списках броней
+	TimeZone      string    `json:"time_zone"`     // IANA; "" – часовой пояс браузера
+	EmailVerified bool      `json:"email_verified"`
+	CreatedAt     time.Time `json:"created_at"`
 }
 
 type Room struct {
-	ID          int64     `json:"id"`
-	Name        string    `json:"name"`
-	Description string    `json:"description,omitempty"`
-	Capacity    int       `json:"capacity"`
-	PhotoURL    string    `json:"photo_url,omitempty"`
-	IsActive    bool      `json:"is_active"`
-	CreatedAt   time.Time `json:"created_at"`
+	ID               int64     `json:"id"`
+	Name             string    `json:"name"`
+	Description      string    `json:"description,omitempty"`
+	Capacity         int       `json:"capacity"`
+	PhotoURL         string    `json:"photo_url,omitempty"`
+	PhotoThumbURL    string    `json:"photo_thumb_url,omitempty"` // уменьшенная копия для списков
+	Building         string    `json:"building"`
+	Floor            *int      `json:"floor"`
+	Equipment        []string  `json:"equipment"`  // теги из roomEquipmentTags
+	Accessible       bool      `json:"accessible"` // доступна для маломобильных
+	TimeZone         string    `json:"time_zone"`  // IANA, часовой пояс комнаты; в нем считаются часы работы
+	IsActive         bool      `json:"is_active"`
+	RequiresApproval bool      `json:"requires_approval"` // брони создаются как pending и ждут решения админа
+	CreatedAt        time.Time `json:"created_at"`
 }
 
 type Booking struct {
-	ID        int64     `json:"id"`
-	RoomID    int64     `json:"room_id"`
-	UserID    int64     `json:"user_id"`
-	StartTime time.Time `json:"start_time"`
-	EndTime   time.Time `json:"end_time"`
-	Status    string    `json:"status"`
-	CreatedAt time.Time `json:"created_at"`
+	ID          int64     `json:"id"`
+	RoomID      int64     `json:"room_id"`
+	UserID      int64     `json:"user_id"`
+	StartTime   time.Time `json:"start_time"`
+	EndTime     time.Time `json:"end_time"`
+	Status      string    `json:"status"`
+	Title       string    `json:"title"`       // тема встречи, может быть пустой
+	Description string    `json:"description"` // заметки к встрече
+	SeriesID    *int64    `json:"series_id,omitempty"`
+	CreatedAt   time.Time `json:"created_at"`
 }
 
 // запросы/ответы
@@ -60,24 +77,71 @@ type loginRequest struct {
 }
 
 type loginResponse struct {
-	Token string `json:"token"`
+	Token        string `json:"token"`
+	RefreshToken string `json:"refresh_token"`
+	ExpiresIn    int    `json:"expires_in"` // время жизни access-токена, секунды
 }
 
 type createRoomRequest struct {
-	Name        string `json:"name"`
-	Description string `json:"description"`
-	Capacity    int    `json:"capacity"`
-	PhotoURL    string `json:"photo_url"`
+	Name             string   `json:"name"`
+	Description      string   `json:"description"`
+	Capacity         int      `json:"capacity"`
+	PhotoURL         string   `json:"photo_url"`
+	Building         string   `json:"building"`
+	Floor            *int     `json:"floor"`
+	Equipment        []string `json:"equipment"`
+	Accessible       bool     `json:"accessible"`
+	TimeZone         string   `json:"time_zone"`         // "": при создании UTC, при изменении без изменений
+	IsActive         *bool    `json:"is_active"`         // nil: при создании активна, при изменении без изменений
+	RequiresApproval *bool    `json:"requires_approval"` // nil: при создании без подтверждения, при изменении без изменений
 }
 
 type createBookingRequest struct {
-	RoomID    int64  `json:"room_id"`
+	RoomID      int64    `json:"room_id"`
+	StartTime   string   `json:"start_time"` // RFC3339
+	EndTime     string   `json:"end_time"`   // RFC3339
+	Title       string   `json:"title"`
+	Description string   `json:"description"`
+	Attendees   []string `json:"attendees"` // email приглашенных, без автора
+}
+
+// PATCH /api/bookings/{id}: либо смена статуса, либо перенос (время и/или комната)
+type updateBookingRequest struct {
+	Status    string `json:"status"`
+	RoomID    int64  `json:"room_id"`    // перенос в другую комнату
 	StartTime string `json:"start_time"` // RFC3339
 	EndTime   string `json:"end_time"`   // RFC3339
 }
 
-type updateBookingRequest struct {
-	Status string `json:"status"`
+// PATCH /api/me: пропущенные поля не меняются
+type updateMeRequest struct {
+	DisplayName  *string `json:"display_name"`
+	HideIdentity *bool   `json:"hide_identity"`
+	TimeZone     *string `json:"time_zone"` // "" – как в браузере
+}
+
+const maxDisplayNameLen = 100
+
+// бронь в списке комнаты: кто забронировал, если это можно показать смотрящему
+type roomBooking struct {
+	Booking
+	UserName      string `json:"user_name,omitempty"`
+	UserEmail     string `json:"user_email,omitempty"`
+	AttendeeCount int    `json:"attendee_count"` // без автора; сами адреса видят только участники
+}
+
+// бронь в "Моих бронированиях": своя или та, куда пригласили
+type myBooking struct {
+	Booking
+	Invited   bool     `json:"invited"`
+	Attendees []string `json:"attendees"`
+}
+
+// бронь с данными для очереди подтверждений
+type pendingBooking struct {
+	Booking
+	RoomName  string `json:"room_name"`
+	UserEmail string `json:"user_email"`
 }
 
 // Auth в контексте
@@ -87,15 +151,17 @@ type ctxKey string
 const userCtxKey ctxKey = "user"
 
 type AuthUser struct {
-	ID   int64
-	Role string
+	ID        int64
+	Role      string
+	SessionID int64
 }
 
 // JWT
 
 type Claims struct {
-	UserID int64  `json:"user_id"`
-	Role   string `json:"role"`
+	UserID    int64  `json:"user_id"`
+	Role      string `json:"role"`
+	SessionID int64  `json:"sid"`
 	jwt.RegisteredClaims
 }
 
@@ -104,6 +170,10 @@ type Claims struct {
 type App struct {
 	DB        *sql.DB
 	JWTSecret []byte
+	Events    *eventHub
+	Mailer    Mailer
+	BaseURL   string // адрес сайта для ссылок в письмах
+	UploadDir string // каталог загруженных файлов (фото комнат)
 }
 
 func main() {
@@ -126,42 +196,110 @@ func main() {
 		log.Fatalf("ping db: %v", err)
 	}
 
+	baseURL := os.Getenv("APP_BASE_URL")
+	if baseURL == "" {
+		baseURL = "http://localhost:8080"
+	}
+
+	uploadDir := os.Getenv("UPLOAD_DIR")
+	if uploadDir == "" {
+		uploadDir = "./uploads"
+	}
+
 	app := &App{
 		DB:        db,
 		JWTSecret: []byte(jwtSecret),
+		Events:    newEventHub(),
+		Mailer:    newMailerFromEnv(),
+		BaseURL:   strings.TrimRight(baseURL, "/"),
+		UploadDir: uploadDir,
 	}
 
+	addr := ":8080"
+	log.Printf("bookmyroom API listening on %s", addr)
+	if err := http.ListenAndServe(addr, app.routes()); err != nil {
+		log.Fatal(err)
+	}
+}
+
+// routes – все маршруты API и статика фронта
+func (a *App) routes() http.Handler {
 	r := chi.NewRouter()
 	r.Use(middleware.Logger)
 	r.Use(middleware.Recoverer)
 
 	// Публичные эндпоинты
-	r.Post("/api/register", app.handleRegister)
-	r.Post("/api/login", app.handleLogin)
+	r.Post("/api/register", a.handleRegister)
+	r.Post("/api/login", a.handleLogin)
+	r.Post("/api/auth/refresh", a.handleRefresh)
+	r.Post("/api/auth/verify-email", a.handleVerifyEmail)
+	r.Post("/api/auth/forgot-password", a.handleForgotPassword)
+	r.Post("/api/auth/reset-password", a.handleResetPassword)
 
 	// Публичный просмотр комнат и расписаний
-	r.Get("/api/rooms", app.handleListRooms)
-	r.Get("/api/rooms/{roomID}", app.handleGetRoom)
-	r.Get("/api/rooms/{roomID}/bookings", app.handleRoomBookings)
+	r.Get("/api/rooms", a.handleListRooms)
+	r.Get("/api/rooms/available", a.handleAvailableRooms)
+	r.Get("/api/rooms/{roomID}", a.handleGetRoom)
+	r.Get("/api/rooms/{roomID}/bookings", a.handleRoomBookings)
+	r.Get("/api/rooms/{roomID}/policy", a.handleGetRoomPolicy)
+	r.Get("/api/bookings/transitions", a.handleBookingTransitions)
+
+	// Живые обновления (SSE): общий поток и поток одной комнаты
+	r.Get("/api/events", a.handleEvents)
+	r.Get("/api/rooms/{roomID}/events", a.handleRoomEvents)
+
+	// iCalendar-фиды, доступ по ?token= (см. ics.go)
+	r.Get("/api/rooms/{roomID}/bookings.ics", a.handleRoomICS)
+	r.Get("/api/bookings/my.ics", a.handleMyICS)
 
 	// Защищенные маршруты
 	r.Group(func(pr chi.Router) {
-		pr.Use(app.authMiddleware)
-
-		pr.Get("/api/bookings/my", app.handleMyBookings)
-		pr.Post("/api/bookings", app.handleCreateBooking)
-		pr.Patch("/api/bookings/{bookingID}", app.handleUpdateBooking)
-		pr.Delete("/api/bookings/{bookingID}", app.handleCancelBooking)
+		pr.Use(a.authMiddleware)
+
+		pr.Get("/api/me", a.handleMe)
+		pr.Patch("/api/me", a.handleUpdateMe)
+		pr.Post("/api/auth/logout", a.handleLogout)
+		pr.Post("/api/auth/verify-email/resend", a.handleResendVerification)
+		pr.Get("/api/sessions", a.handleListSessions)
+		pr.Delete("/api/sessions", a.handleRevokeAllSessions)
+		pr.Delete("/api/sessions/{sessionID}", a.handleRevokeSession)
+
+		pr.Get("/api/bookings/my", a.handleMyBookings)
+		pr.Post("/api/bookings", a.handleCreateBooking)
+		pr.Patch("/api/bookings/{bookingID}", a.handleUpdateBooking)
+		pr.Delete("/api/bookings/{bookingID}", a.handleCancelBooking)
+		pr.Post("/api/bookings/series", a.handleCreateBookingSeries)
+		pr.Delete("/api/bookings/series/{seriesID}", a.handleCancelBookingSeries)
+
+		pr.Get("/api/calendar/token", a.handleGetCalendarToken)
+		pr.Post("/api/calendar/token", a.handleRotateCalendarToken)
+		pr.Delete("/api/calendar/token", a.handleRevokeCalendarToken)
 
 		// Admin
 		pr.Group(func(ar chi.Router) {
 			ar.Use(adminOnlyMiddleware)
-			ar.Post("/api/rooms", app.handleCreateRoom)
-			ar.Patch("/api/rooms/{roomID}", app.handleUpdateRoom)
-			ar.Delete("/api/rooms/{roomID}", app.handleDeleteRoom)
+			ar.Post("/api/rooms", a.handleCreateRoom)
+			ar.Patch("/api/rooms/{roomID}", a.handleUpdateRoom)
+			ar.Delete("/api/rooms/{roomID}", a.handleDeleteRoom)
+			ar.Post("/api/rooms/{roomID}/photo", a.handleUploadRoomPhoto)
+			ar.Delete("/api/rooms/{roomID}/photo", a.handleDeleteRoomPhoto)
+			ar.Put("/api/rooms/{roomID}/policy", a.handlePutRoomPolicy)
+			ar.Get("/api/admin/bookings/pending", a.handlePendingBookings)
+			ar.Get("/api/admin/users", a.handleAdminListUsers)
+			ar.Patch("/api/admin/users/{userID}", a.handleAdminUpdateUser)
+			ar.Post("/api/admin/users/{userID}/reset-password", a.handleAdminResetPassword)
+			ar.Get("/api/admin/analytics/rooms", a.handleAnalyticsRooms)
+			ar.Get("/api/admin/analytics/heatmap", a.handleAnalyticsHeatmap)
+			ar.Get("/api/admin/analytics/top-bookers", a.handleAnalyticsTopBookers)
+			ar.Post("/api/admin/import/rooms", a.handleImportRooms)
+			ar.Get("/api/admin/export/rooms", a.handleExportRooms)
+			ar.Get("/api/admin/export/bookings", a.handleExportBookings)
 		})
 	})
 
+	// Загруженные фото комнат
+	r.Handle(uploadsURLPrefix+"*", http.StripPrefix(uploadsURLPrefix, http.FileServer(filesOnlyFS{http.Dir(a.UploadDir)})))
+
 	// Статика: фронт из ./web
 	fileServer := http.FileServer(http.Dir("./web"))
 	// index.html для /
@@ -171,11 +309,7 @@ func main() {
 	// все остальное из web (CSS/JS и т.п.)
 	r.Handle("/*", fileServer)
 
-	addr := ":8080"
-	log.Printf("bookmyroom API listening on %s", addr)
-	if err := http.ListenAndServe(addr, r); err != nil {
-		log.Fatal(err)
-	}
+	return r
 }
 
 // ===== Helperы =====
@@ -205,41 +339,168 @@ func parseIDParam(r *http.Request, name string) (int64, error) {
 	return id, nil
 }
 
+// newRandomToken – случайный секрет для ссылок и refresh-токенов
+func newRandomToken() (string, error) {
+	buf := make([]byte, 24)
+	if _, err := rand.Read(buf); err != nil {
+		return "", err
+	}
+	return hex.EncodeToString(buf), nil
+}
+
+// roomColumns – порядок колонок, который ожидает scanRoom
+const roomColumns = `id, name, description, capacity, COALESCE(photo_url, ''), photo_thumb_url,
+    building, floor, equipment, accessible, time_zone, is_active, requires_approval, created_at`
+
+func scanRoom(row rowScanner, room *Room) error {
+	return row.Scan(&room.ID, &room.Name, &room.Description, &room.Capacity, &room.PhotoURL, &room.PhotoThumbURL,
+		&room.Building, &room.Floor, pq.Array(&room.Equipment), &room.Accessible, &room.TimeZone, &room.IsActive,
+		&room.RequiresApproval, &room.CreatedAt)
+}
+
+// validTimeZone – пусто или известная IANA-зона
+func validTimeZone(tz string) bool {
+	if tz == "" {
+		return true
+	}
+	_, err := time.LoadLocation(tz)
+	return err == nil
+}
+
+// bookingColumns – порядок колонок, который ожидает scanBooking
+const bookingColumns = `id, room_id, user_id, start_time, end_time, status, title, description, series_id, created_at`
+
+type rowScanner interface {
+	Scan(dest ...any) error
+}
+
+func scanBooking(row rowScanner, b *Booking) error {
+	return row.Scan(&b.ID, &b.RoomID, &b.UserID, &b.StartTime, &b.EndTime, &b.Status, &b.Title, &b.Description, &b.SeriesID, &b.CreatedAt)
+}
+
+// queryer – общее у *sql.DB и *sql.Tx, чтобы проверки работали и внутри транзакции
+type queryer interface {
+	QueryRow(query string, args ...any) *sql.Row
+}
+
+// bookingOverlapConstraint – ограничение-исключение из schema.sql с тем же правилом, что
+// в hasBookingOverlap. Проверка запросом дает понятный ответ заранее, но две параллельные
+// транзакции могут пройти ее обе; вторую тогда отклонит сама БД.
+const bookingOverlapConstraint = "bookings_no_overlap"
+
+// isBookingOverlapError – вставка или изменение брони нарушили bookingOverlapConstraint
+func isBookingOverlapError(err error) bool {
+	var pqErr *pq.Error
+	return errors.As(err, &pqErr) && pqErr.Code == "23P01" && pqErr.Constraint == bookingOverlapConstraint
+}
+
+// hasBookingOverlap проверяет пересечение [start, end) с подтвержденными или ожидающими
+// бронями комнаты. excludeID – бронь, которую не учитываем (при переносе), 0 – никакую.
+func hasBookingOverlap(q queryer, roomID int64, start, end time.Time, excludeID int64) (bool, error) {
+	var cnt int
+	err := q.QueryRow(
+		`SELECT count(*) 
+         FROM bookings 
+         WHERE room_id = $1 
+           AND id != $4
+           AND status IN ('pending', 'confirmed')
+           AND NOT ($3 <= start_time OR $2 >= end_time)`,
+		roomID, start, end, excludeID,
+	).Scan(&cnt)
+	if err != nil {
+		return false, err
+	}
+	return cnt > 0, nil
+}
+
+// errRoomInactive – комната отключена админом и новых броней не принимает
+var errRoomInactive = errors.New("Комната неактивна и не принимает бронирования")
+
+// initialBookingStatus – статус новой брони: pending, если комната требует подтверждения.
+// Для несуществующей комнаты возвращает sql.ErrNoRows, для неактивной – errRoomInactive.
+func initialBookingStatus(q queryer, roomID int64) (string, error) {
+	var requiresApproval, active bool
+	err := q.QueryRow(`SELECT requires_approval, is_active FROM rooms WHERE id = $1`, roomID).Scan(&requiresApproval, &active)
+	if err != nil {
+		return "", err
+	}
+	if !active {
+		return "", errRoomInactive
+	}
+	if requiresApproval {
+		return "pending", nil
+	}
+	return "confirmed", nil
+}
+
 // ===== Auth middleware =====
 
-func (a *App) authMiddleware(next http.Handler) http.Handler {
-	return http.HandlerFunc(func(w http.ResponseWriter, r *http.Request) {
-		header := r.Header.Get("Authorization")
-		if header == "" {
-			writeJSON(w, http.StatusUnauthorized, map[string]string{"error": "Отсутствует заголовок авторизации"})
-			return
-		}
+// authenticate проверяет Bearer-токен и его сессию. При ошибке user == nil,
+// а code и msg – готовый ответ.
+func (a *App) authenticate(r *http.Request) (user *AuthUser, code int, msg string) {
+	header := r.Header.Get("Authorization")
+	if header == "" {
+		return nil, http.StatusUnauthorized, "Отсутствует заголовок авторизации"
+	}
 
-		parts := strings.SplitN(header, " ", 2)
-		if len(parts) != 2 || !strings.EqualFold(parts[0], "Bearer") {
-			writeJSON(w, http.StatusUnauthorized, map[string]string{"error": "Недопустимый заголовок авторизации"})
-			return
-		}
+	parts := strings.SplitN(header, " ", 2)
+	if len(parts) != 2 || !strings.EqualFold(parts[0], "Bearer") {
+		return nil, http.StatusUnauthorized, "Недопустимый заголовок авторизации"
+	}
 
-		tokenStr := parts[1]
-		claims := &Claims{}
-		token, err := jwt.ParseWithClaims(tokenStr, claims, func(token *jwt.Token) (interface{}, error) {
-			return a.JWTSecret, nil
-		})
-		if err != nil || !token.Valid {
-			writeJSON(w, http.StatusUnauthorized, map[string]string{"error": "Токен не найден"})
-			return
+	tokenStr := parts[1]
+	claims := &Claims{}
+	token, err := jwt.ParseWithClaims(tokenStr, claims, func(token *jwt.Token) (interface{}, error) {
+		return a.JWTSecret, nil
+	})
+	if err != nil || !token.Valid {
+		return nil, http.StatusUnauthorized, "Токен не найден"
+	}
+
+	// access-токен короткий, но после выхода или отзыва сессии не должен работать и он;
+	// роль берем из БД, чтобы ее изменение админом действовало сразу
+	role, err := a.touchSession(claims.SessionID, claims.UserID)
+	if err != nil {
+		if errors.Is(err, sql.ErrNoRows) {
+			return nil, http.StatusUnauthorized, "session revoked"
 		}
+		return nil, http.StatusInternalServerError, "db error"
+	}
 
-		user := &AuthUser{
-			ID:   claims.UserID,
-			Role: claims.Role,
+	return &AuthUser{
+		ID:        claims.UserID,
+		Role:      role,
+		SessionID: claims.SessionID,
+	}, 0, ""
+}
+
+func (a *App) authMiddleware(next http.Handler) http.Handler {
+	return http.HandlerFunc(func(w http.ResponseWriter, r *http.Request) {
+		user, code, msg := a.authenticate(r)
+		if user == nil {
+			writeJSON(w, code, map[string]string{"error": msg})
+			return
 		}
 		ctx := context.WithValue(r.Context(), userCtxKey, user)
 		next.ServeHTTP(w, r.WithContext(ctx))
 	})
 }
 
+// optionalAuth – для публичных маршрутов, где вошедший пользователь видит больше.
+// Без заголовка – аноним (nil, true); с негодным токеном отвечает 401, чтобы клиент
+// обновил токен, а не получил урезанный ответ.
+func (a *App) optionalAuth(w http.ResponseWriter, r *http.Request) (*AuthUser, bool) {
+	if r.Header.Get("Authorization") == "" {
+		return nil, true
+	}
+	user, code, msg := a.authenticate(r)
+	if user == nil {
+		writeJSON(w, code, map[string]string{"error": msg})
+		return nil, false
+	}
+	return user, true
+}
+
 func adminOnlyMiddleware(next http.Handler) http.Handler {
 	return http.HandlerFunc(func(w http.ResponseWriter, r *http.Request) {
 		u, ok := r.Context().Value(userCtxKey).(*AuthUser)
@@ -269,6 +530,11 @@ func (a *App) handleRegister(w http.ResponseWriter, r *http.Request) {
 		writeJSON(w, http.StatusBadRequest, map[string]string{"error": "Требуется указать адрес электронной почты и пароль"})
 		return
 	}
+	// на этот адрес уйдет письмо: только голый адрес, без имени и переводов строк
+	if !validEmail(req.Email) {
+		writeJSON(w, http.StatusBadRequest, map[string]string{"error": "Некорректный адрес электронной почты"})
+		return
+	}
 
 	hash, err := bcrypt.GenerateFromPassword([]byte(req.Password), bcrypt.DefaultCost)
 	if err != nil {
@@ -291,10 +557,16 @@ func (a *App) handleRegister(w http.ResponseWriter, r *http.Request) {
 		return
 	}
 
+	// без письма аккаунт все равно создан: ссылку можно запросить повторно из профиля
+	if err := a.sendVerificationEmail(id, req.Email); err != nil {
+		log.Printf("send verification email: user_id=%d: %v", id, err)
+	}
+
 	writeJSON(w, http.StatusCreated, map[string]any{
-		"id":    id,
-		"email": req.Email,
-		"role":  "user",
+		"id":             id,
+		"email":          req.Email,
+		"role":           "user",
+		"email_verified": false,
 	})
 }
 
@@ -314,11 +586,12 @@ func (a *App) handleLogin(w http.ResponseWriter, r *http.Request) {
 		id           int64
 		passwordHash string
 		role         string
+		disabled     bool
 	)
 	err := a.DB.QueryRow(
-		`SELECT id, password_hash, role FROM users WHERE email = $1`,
+		`SELECT id, password_hash, role, disabled_at IS NOT NULL FROM users WHERE email = $1`,
 		req.Email,
-	).Scan(&id, &passwordHash, &role)
+	).Scan(&id, &passwordHash, &role, &disabled)
 
 	if err != nil {
 		if errors.Is(err, sql.ErrNoRows) {
@@ -333,30 +606,103 @@ func (a *App) handleLogin(w http.ResponseWriter, r *http.Request) {
 		writeJSON(w, http.StatusUnauthorized, map[string]string{"error": "invalid credentials"})
 		return
 	}
-
-	claims := &Claims{
-		UserID: id,
-		Role:   role,
-		RegisteredClaims: jwt.RegisteredClaims{
-			ExpiresAt: jwt.NewNumericDate(time.Now().Add(24 * time.Hour)),
-			IssuedAt:  jwt.NewNumericDate(time.Now()),
-		},
+	if disabled {
+		writeJSON(w, http.StatusForbidden, map[string]string{"error": "Аккаунт отключен администратором"})
+		return
 	}
 
-	token := jwt.NewWithClaims(jwt.SigningMethodHS256, claims)
-	tokenStr, err := token.SignedString(a.JWTSecret)
+	resp, err := a.startSession(id, role, r.UserAgent())
 	if err != nil {
 		writeJSON(w, http.StatusInternalServerError, map[string]string{"error": "Токен не существует"})
 		return
 	}
 
-	writeJSON(w, http.StatusOK, loginResponse{Token: tokenStr})
+	writeJSON(w, http.StatusOK, resp)
+}
+
+// handleMe – текущий пользователь по токену. Удаленный пользователь – тоже 401:
+// для страницы это истекшая сессия.
+func (a *App) handleMe(w http.ResponseWriter, r *http.Request) {
+	user := getAuthUser(r)
+	if user == nil {
+		writeJSON(w, http.StatusUnauthorized, map[string]string{"error": "unauthorized"})
+		return
+	}
+
+	var u User
+	err := a.DB.QueryRow(
+		`SELECT id, email, role, display_name, hide_identity, time_zone, email_verified_at IS NOT NULL, created_at FROM users WHERE id = $1`,
+		user.ID,
+	).Scan(&u.ID, &u.Email, &u.Role, &u.DisplayName, &u.HideIdentity, &u.TimeZone, &u.EmailVerified, &u.CreatedAt)
+	if err != nil {
+		if errors.Is(err, sql.ErrNoRows) {
+			writeJSON(w, http.StatusUnauthorized, map[string]string{"error": "user not found"})
+		} else {
+			writeJSON(w, http.StatusInternalServerError, map[string]string{"error": "db error"})
+		}
+		return
+	}
+
+	writeJSON(w, http.StatusOK, u)
+}
+
+// handleUpdateMe – настройки профиля: отображаемое имя, скрытие себя в списках броней
+// и часовой пояс, в котором показывать время
+func (a *App) handleUpdateMe(w http.ResponseWriter, r *http.Request) {
+	user := getAuthUser(r)
+	if user == nil {
+		writeJSON(w, http.StatusUnauthorized, map[string]string{"error": "unauthorized"})
+		return
+	}
+
+	var req updateMeRequest
+	if !readJSON(w, r, &req) {
+		return
+	}
+	if req.DisplayName != nil {
+		name := strings.TrimSpace(*req.DisplayName)
+		if len([]rune(name)) > maxDisplayNameLen {
+			writeJSON(w, http.StatusBadRequest, map[string]string{"error": fmt.Sprintf("Имя длиннее %d символов", maxDisplayNameLen)})
+			return
+		}
+		req.DisplayName = &name
+	}
+	if req.TimeZone != nil && !validTimeZone(*req.TimeZone) {
+		writeJSON(w, http.StatusBadRequest, map[string]string{"error": "Неизвестный часовой пояс: " + *req.TimeZone})
+		return
+	}
+
+	_, err := a.DB.Exec(
+		`UPDATE users SET display_name = COALESCE($1, display_name), hide_identity = COALESCE($2, hide_identity),
+                          time_zone = COALESCE($3, time_zone)
+         WHERE id = $4`,
+		req.DisplayName, req.HideIdentity, req.TimeZone, user.ID,
+	)
+	if err != nil {
+		writeJSON(w, http.StatusInternalServerError, map[string]string{"error": "db error"})
+		return
+	}
+
+	a.handleMe(w, r)
 }
 
 // ===== Handlers: rooms =====
 
+// handleListRooms – каталог комнат; фильтры и сортировка описаны в roomListQuery.
+// Неактивные комнаты видят только админы.
 func (a *App) handleListRooms(w http.ResponseWriter, r *http.Request) {
-	rows, err := a.DB.Query(`SELECT id, name, description, capacity, photo_url, is_active, created_at FROM rooms ORDER BY id`)
+	viewer, ok := a.optionalAuth(w, r)
+	if !ok {
+		return
+	}
+
+	query, args, err := roomListQuery(r.URL.Query(), viewer != nil && viewer.Role == "admin")
+	if err != nil {
+		writeJSON(w, http.StatusBadRequest, map[string]string{"error": err.Error()})
+		return
+	}
+
+	rows, err := a.DB.Query(query, args...)
 	if err != nil {
 		writeJSON(w, http.StatusInternalServerError, map[string]string{"error": "Ошибка БД"})
 		return
@@ -366,7 +712,7 @@ func (a *App) handleListRooms(w http.ResponseWriter, r *http.Request) {
 	var rooms []Room
 	for rows.Next() {
 		var room Room
-		if err := rows.Scan(&room.ID, &room.Name, &room.Description, &room.Capacity, &room.PhotoURL, &room.IsActive, &room.CreatedAt); err != nil {
+		if err := scanRoom(rows, &room); err != nil {
 			writeJSON(w, http.StatusInternalServerError, map[string]string{"error": "Ошибка БД"})
 			return
 		}
@@ -376,6 +722,102 @@ func (a *App) handleListRooms(w http.ResponseWriter, r *http.Request) {
 	writeJSON(w, http.StatusOK, rooms)
 }
 
+// handleAvailableRooms ищет активные комнаты, вместимость которых не меньше capacity
+// и в которых нет pending/confirmed брони, пересекающейся с [start, end).
+// Правило пересечения то же, что в handleCreateBooking. Комнаты, где бронь не прошла бы
+// правила (checkBookingPolicy для вошедшего пользователя, для анонима – без лимита
+// активных броней), в выдачу не попадают.
+func (a *App) handleAvailableRooms(w http.ResponseWriter, r *http.Request) {
+	viewer, ok := a.optionalAuth(w, r)
+	if !ok {
+		return
+	}
+
+	q := r.URL.Query()
+	start, err := time.Parse(time.RFC3339, q.Get("start"))
+	if err != nil {
+		writeJSON(w, http.StatusBadRequest, map[string]string{"error": "Начало не распознано"})
+		return
+	}
+	end, err := time.Parse(time.RFC3339, q.Get("end"))
+	if err != nil {
+		writeJSON(w, http.StatusBadRequest, map[string]string{"error": "Окончание не распознано"})
+		return
+	}
+	if !end.After(start) {
+		writeJSON(w, http.StatusBadRequest, map[string]string{"error": "Окончание должно быть после начала"})
+		return
+	}
+
+	capacity := 1
+	if raw := q.Get("capacity"); raw != "" {
+		capacity, err = strconv.Atoi(raw)
+		if err != nil || capacity <= 0 {
+			writeJSON(w, http.StatusBadRequest, map[string]string{"error": "capacity must be > 0"})
+			return
+		}
+	}
+
+	rows, err := a.DB.Query(
+		`SELECT `+roomColumns+`
+         FROM rooms r
+         WHERE r.is_active
+           AND r.capacity >= $3
+           AND NOT EXISTS (
+               SELECT 1
+               FROM bookings b
+               WHERE b.room_id = r.id
+                 AND b.status IN ('pending', 'confirmed')
+                 AND NOT ($2 <= b.start_time OR $1 >= b.end_time)
+           )
+         ORDER BY r.capacity, r.id`,
+		start, end, capacity,
+	)
+	if err != nil {
+		writeJSON(w, http.StatusInternalServerError, map[string]string{"error": "Ошибка БД"})
+		return
+	}
+	defer rows.Close()
+
+	rooms := []Room{}
+	for rows.Next() {
+		var room Room
+		if err := scanRoom(rows, &room); err != nil {
+			writeJSON(w, http.StatusInternalServerError, map[string]string{"error": "Ошибка БД"})
+			return
+		}
+		rooms = append(rooms, room)
+	}
+	if err := rows.Err(); err != nil {
+		writeJSON(w, http.StatusInternalServerError, map[string]string{"error": "Ошибка БД"})
+		return
+	}
+	rows.Close()
+
+	// комнаты, где бронь отклонили бы по правилам (422), в выдачу не попадают
+	available := rooms[:0]
+	for _, room := range rooms {
+		var violation *policyViolation
+		if viewer != nil {
+			violation, err = checkBookingPolicy(a.DB, viewer, room.ID, start, end, 0, false)
+		} else {
+			var p *RoomPolicy
+			if p, err = loadRoomPolicy(a.DB, room.ID); err == nil {
+				violation = p.checkTimes(start, end, time.Now())
+			}
+		}
+		if err != nil {
+			writeJSON(w, http.StatusInternalServerError, map[string]string{"error": "Ошибка БД"})
+			return
+		}
+		if violation == nil {
+			available = append(available, room)
+		}
+	}
+
+	writeJSON(w, http.StatusOK, available)
+}
+
 func (a *App) handleGetRoom(w http.ResponseWriter, r *http.Request) {
 	roomID, err := parseIDParam(r, "roomID")
 	if err != nil {
@@ -384,12 +826,12 @@ func (a *App) handleGetRoom(w http.ResponseWriter, r *http.Request) {
 	}
 
 	var room Room
-	err = a.DB.QueryRow(
-		`SELECT id, name, description, capacity, photo_url, is_active, created_at
+	err = scanRoom(a.DB.QueryRow(
+		`SELECT `+roomColumns+`
          FROM rooms
          WHERE id = $1`,
 		roomID,
-	).Scan(&room.ID, &room.Name, &room.Description, &room.Capacity, &room.PhotoURL, &room.IsActive, &room.CreatedAt)
+	), &room)
 	if err != nil {
 		if errors.Is(err, sql.ErrNoRows) {
 			writeJSON(w, http.StatusNotFound, map[string]string{"error": "room not found"})
@@ -413,11 +855,25 @@ func (a *App) handleCreateRoom(w http.ResponseWriter, r *http.Request) {
 		writeJSON(w, http.StatusBadRequest, map[string]string{"error": "name and capacity > 0 required"})
 		return
 	}
+	equipment, err := normalizeEquipment(req.Equipment)
+	if err != nil {
+		writeJSON(w, http.StatusBadRequest, map[string]string{"error": err.Error()})
+		return
+	}
+	if req.TimeZone == "" {
+		req.TimeZone = "UTC"
+	}
+	if !validTimeZone(req.TimeZone) {
+		writeJSON(w, http.StatusBadRequest, map[string]string{"error": "unknown time_zone: " + req.TimeZone})
+		return
+	}
 
 	var id int64
-	err := a.DB.QueryRow(
-		`INSERT INTO rooms (name, description, capacity, photo_url) VALUES ($1, $2, $3, $4) RETURNING id`,
+	err = a.DB.QueryRow(
+		`INSERT INTO rooms (name, description, capacity, photo_url, building, floor, equipment, accessible, time_zone, is_active, requires_approval)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, COALESCE($10, TRUE), COALESCE($11, FALSE)) RETURNING id`,
 		req.Name, req.Description, req.Capacity, req.PhotoURL,
+		strings.TrimSpace(req.Building), req.Floor, pq.Array(equipment), req.Accessible, req.TimeZone, req.IsActive, req.RequiresApproval,
 	).Scan(&id)
 
 	if err != nil {
@@ -425,6 +881,8 @@ func (a *App) handleCreateRoom(w http.ResponseWriter, r *http.Request) {
 		return
 	}
 
+	a.publishRoom(eventRoomCreated, id)
+
 	writeJSON(w, http.StatusCreated, map[string]any{"id": id})
 }
 
@@ -439,18 +897,74 @@ func (a *App) handleUpdateRoom(w http.ResponseWriter, r *http.Request) {
 	if !readJSON(w, r, &req) {
 		return
 	}
+	equipment, err := normalizeEquipment(req.Equipment)
+	if err != nil {
+		writeJSON(w, http.StatusBadRequest, map[string]string{"error": err.Error()})
+		return
+	}
+	if !validTimeZone(req.TimeZone) {
+		writeJSON(w, http.StatusBadRequest, map[string]string{"error": "unknown time_zone: " + req.TimeZone})
+		return
+	}
 
-	// простое обновление всех полей
-	_, err = a.DB.Exec(
-		`UPDATE rooms SET name = $1, description = $2, capacity = $3, photo_url = $4 WHERE id = $5`,
-		req.Name, req.Description, req.Capacity, req.PhotoURL, roomID,
-	)
+	// простое обновление всех полей, кроме фото: оно меняется через /api/rooms/{id}/photo
+	var active bool
+	err = a.DB.QueryRow(
+		`UPDATE rooms SET name = $1, description = $2, capacity = $3, building = $4, floor = $5,
+                          equipment = $6, accessible = $7, time_zone = COALESCE(NULLIF($8, ''), time_zone),
+                          is_active = COALESCE($9, is_active), requires_approval = COALESCE($10, requires_approval)
+         WHERE id = $11
+         RETURNING is_active`,
+		req.Name, req.Description, req.Capacity, strings.TrimSpace(req.Building), req.Floor,
+		pq.Array(equipment), req.Accessible, req.TimeZone, req.IsActive, req.RequiresApproval, roomID,
+	).Scan(&active)
 	if err != nil {
-		writeJSON(w, http.StatusInternalServerError, map[string]string{"error": "Ошибка БД"})
+		if errors.Is(err, sql.ErrNoRows) {
+			writeJSON(w, http.StatusNotFound, map[string]string{"error": "room not found"})
+		} else {
+			writeJSON(w, http.StatusInternalServerError, map[string]string{"error": "Ошибка БД"})
+		}
 		return
 	}
 
-	writeJSON(w, http.StatusOK, map[string]string{"status": "updated"})
+	a.publishRoom(eventRoomUpdated, roomID)
+
+	// отключение не трогает уже сделанные брони: админ решает, отменить их или перенести
+	future := []Booking{}
+	if !active {
+		future, err = a.futureRoomBookings(roomID)
+		if err != nil {
+			writeJSON(w, http.StatusInternalServerError, map[string]string{"error": "Ошибка БД"})
+			return
+		}
+	}
+
+	writeJSON(w, http.StatusOK, map[string]any{"status": "updated", "future_bookings": future})
+}
+
+// futureRoomBookings – активные брони комнаты, которые еще не закончились
+func (a *App) futureRoomBookings(roomID int64) ([]Booking, error) {
+	rows, err := a.DB.Query(
+		`SELECT `+bookingColumns+`
+         FROM bookings
+         WHERE room_id = $1 AND status IN ('pending', 'confirmed') AND end_time > now()
+         ORDER BY start_time`,
+		roomID,
+	)
+	if err != nil {
+		return nil, err
+	}
+	defer rows.Close()
+
+	res := []Booking{}
+	for rows.Next() {
+		var b Booking
+		if err := scanBooking(rows, &b); err != nil {
+			return nil, err
+		}
+		res = append(res, b)
+	}
+	return res, rows.Err()
 }
 
 func (a *App) handleDeleteRoom(w http.ResponseWriter, r *http.Request) {
@@ -460,28 +974,68 @@ func (a *App) handleDeleteRoom(w http.ResponseWriter, r *http.Request) {
 		return
 	}
 
-	_, err = a.DB.Exec(`DELETE FROM rooms WHERE id = $1`, roomID)
-	if err != nil {
+	var photoURL, thumbURL string
+	err = a.DB.QueryRow(
+		`DELETE FROM rooms WHERE id = $1 RETURNING COALESCE(photo_url, ''), photo_thumb_url`,
+		roomID,
+	).Scan(&photoURL, &thumbURL)
+	if err != nil && !errors.Is(err, sql.ErrNoRows) {
 		writeJSON(w, http.StatusInternalServerError, map[string]string{"error": "Ошибка БД"})
 		return
 	}
+	a.removeRoomPhotos(photoURL, thumbURL)
+
+	a.Events.publish(liveEvent{Type: eventRoomDeleted, RoomID: roomID})
 
 	writeJSON(w, http.StatusOK, map[string]string{"status": "deleted"})
 }
 
+// handleRoomBookings – брони комнаты постранично (см. paging.go), по умолчанию активные
+// по возрастанию start_time; отмененные и отклоненные может запросить только админ.
+// Кто забронировал, видят админы и вошедшие пользователи (если автор брони не скрыл
+// себя в профиле); свои брони видны всегда.
 func (a *App) handleRoomBookings(w http.ResponseWriter, r *http.Request) {
+	viewer, ok := a.optionalAuth(w, r)
+	if !ok {
+		return
+	}
+
 	roomID, err := parseIDParam(r, "roomID")
 	if err != nil {
 		writeJSON(w, http.StatusBadRequest, map[string]string{"error": "ID комнаты не найдено"})
 		return
 	}
 
+	allowed := activeBookingStatuses
+	if viewer != nil && viewer.Role == "admin" {
+		allowed = allBookingStatuses
+	}
+	page, msg := parseBookingPageQuery(r.URL.Query(), allowed, false)
+	if page == nil {
+		writeJSON(w, http.StatusBadRequest, map[string]string{"error": msg})
+		return
+	}
+	// без status админ получает те же активные брони, что и все
+	if r.URL.Query().Get("status") == "" {
+		page.Statuses = activeBookingStatuses
+	}
+
+	cond, args := page.filter([]any{roomID}, false)
+	var total int
+	if err := a.DB.QueryRow(`SELECT COUNT(*) FROM bookings b WHERE b.room_id = $1`+cond, args...).Scan(&total); err != nil {
+		writeJSON(w, http.StatusInternalServerError, map[string]string{"error": "Ошибка БД"})
+		return
+	}
+
+	cond, args = page.filter([]any{roomID}, true)
 	rows, err := a.DB.Query(
-		`SELECT id, room_id, user_id, start_time, end_time, status, created_at 
-         FROM bookings 
-         WHERE room_id = $1 AND status != 'cancelled'
-         ORDER BY start_time`,
-		roomID,
+		`SELECT b.id, b.room_id, b.user_id, b.start_time, b.end_time, b.status, b.title, b.description, b.series_id, b.created_at,
+                COALESCE(NULLIF(u.display_name, ''), u.email), u.email, u.hide_identity,
+                (SELECT COUNT(*) FROM booking_attendees a WHERE a.booking_id = b.id)
+         FROM bookings b
+         JOIN users u ON u.id = b.user_id
+         WHERE b.room_id = $1`+cond+page.orderLimit(),
+		args...,
 	)
 	if err != nil {
 		writeJSON(w, http.StatusInternalServerError, map[string]string{"error": "Ошибка БД"})
@@ -489,17 +1043,39 @@ func (a *App) handleRoomBookings(w http.ResponseWriter, r *http.Request) {
 	}
 	defer rows.Close()
 
-	var res []Booking
+	res := []roomBooking{}
 	for rows.Next() {
-		var b Booking
-		if err := rows.Scan(&b.ID, &b.RoomID, &b.UserID, &b.StartTime, &b.EndTime, &b.Status, &b.CreatedAt); err != nil {
+		var (
+			rb     roomBooking
+			name   string
+			email  string
+			hidden bool
+		)
+		b := &rb.Booking
+		if err := rows.Scan(&b.ID, &b.RoomID, &b.UserID, &b.StartTime, &b.EndTime, &b.Status, &b.Title, &b.Description, &b.SeriesID, &b.CreatedAt,
+			&name, &email, &hidden, &rb.AttendeeCount); err != nil {
 			writeJSON(w, http.StatusInternalServerError, map[string]string{"error": "Ошибка БД"})
 			return
 		}
-		res = append(res, b)
+		if canSeeBooker(viewer, b.UserID, hidden) {
+			rb.UserName, rb.UserEmail = name, email
+		}
+		res = append(res, rb)
+	}
+	if err := rows.Err(); err != nil {
+		writeJSON(w, http.StatusInternalServerError, map[string]string{"error": "Ошибка БД"})
+		return
 	}
 
-	writeJSON(w, http.StatusOK, res)
+	n, next := page.nextCursor(len(res), func(i int) (time.Time, int64) { return res[i].StartTime, res[i].ID })
+	writeJSON(w, http.StatusOK, map[string]any{"items": res[:n], "next_cursor": next, "total": total})
+}
+
+func canSeeBooker(viewer *AuthUser, bookerID int64, hidden bool) bool {
+	if viewer == nil {
+		return false
+	}
+	return viewer.Role == "admin" || viewer.ID == bookerID || !hidden
 }
 
 // ===== Handlers: bookings =====
@@ -511,6 +1087,10 @@ func (a *App) handleCreateBooking(w http.ResponseWriter, r *http.Request) {
 		return
 	}
 
+	if !a.requireVerifiedEmail(w, user) {
+		return
+	}
+
 	var req createBookingRequest
 	if !readJSON(w, r, &req) {
 		return
@@ -536,42 +1116,103 @@ func (a *App) handleCreateBooking(w http.ResponseWriter, r *http.Request) {
 		return
 	}
 
+	ownerEmail, err := userEmail(a.DB, user.ID)
+	if err != nil {
+		writeJSON(w, http.StatusInternalServerError, map[string]string{"error": "db error"})
+		return
+	}
+	attendees, err := normalizeAttendees(req.Attendees, ownerEmail)
+	if err != nil {
+		writeJSON(w, http.StatusBadRequest, map[string]string{"error": err.Error()})
+		return
+	}
+
+	status, err := initialBookingStatus(a.DB, req.RoomID)
+	if err != nil {
+		if errors.Is(err, sql.ErrNoRows) {
+			writeJSON(w, http.StatusNotFound, map[string]string{"error": "room not found"})
+		} else if errors.Is(err, errRoomInactive) {
+			writeJSON(w, http.StatusUnprocessableEntity, map[string]string{"error": err.Error()})
+		} else {
+			writeJSON(w, http.StatusInternalServerError, map[string]string{"error": "db error"})
+		}
+		return
+	}
+
+	violation, err := checkBookingPolicy(a.DB, user, req.RoomID, start, end, 0, false)
+	if err != nil {
+		writeJSON(w, http.StatusInternalServerError, map[string]string{"error": "db error"})
+		return
+	}
+	if violation != nil {
+		writePolicyViolation(w, violation)
+		return
+	}
+
+	// без учета участников проверка вместимости бессмысленна: отказываем, а не предупреждаем
+	overCapacity, err := checkRoomCapacity(a.DB, req.RoomID, len(attendees))
+	if err != nil {
+		writeJSON(w, http.StatusInternalServerError, map[string]string{"error": "db error"})
+		return
+	}
+	if overCapacity != "" {
+		writeJSON(w, http.StatusUnprocessableEntity, map[string]string{"error": overCapacity})
+		return
+	}
+
 	// проверяем пересечение с существующими подтвержденными или ожидающими
-	var cnt int
-	err = a.DB.QueryRow(
-		`SELECT count(*) 
-         FROM bookings 
-         WHERE room_id = $1 
-           AND status IN ('pending', 'confirmed')
-           AND NOT ($3 <= start_time OR $2 >= end_time)`,
-		req.RoomID, start, end,
-	).Scan(&cnt)
+	busy, err := hasBookingOverlap(a.DB, req.RoomID, start, end, 0)
 	if err != nil {
 		writeJSON(w, http.StatusInternalServerError, map[string]string{"error": "db error"})
 		return
 	}
-	if cnt > 0 {
+	if busy {
 		writeJSON(w, http.StatusConflict, map[string]string{"error": "time slot already booked"})
 		return
 	}
 
-	var bookingID int64
-	err = a.DB.QueryRow(
-		`INSERT INTO bookings (room_id, user_id, start_time, end_time, status) 
-         VALUES ($1, $2, $3, $4, 'confirmed') RETURNING id`,
-		req.RoomID, user.ID, start, end,
-	).Scan(&bookingID)
+	tx, err := a.DB.Begin()
 	if err != nil {
 		writeJSON(w, http.StatusInternalServerError, map[string]string{"error": "db error"})
 		return
 	}
+	defer tx.Rollback()
+
+	var b Booking
+	err = scanBooking(tx.QueryRow(
+		`INSERT INTO bookings (room_id, user_id, start_time, end_time, status, title, description) 
+         VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING `+bookingColumns,
+		req.RoomID, user.ID, start, end, status, strings.TrimSpace(req.Title), strings.TrimSpace(req.Description),
+	), &b)
+	if err != nil {
+		if isBookingOverlapError(err) {
+			writeJSON(w, http.StatusConflict, map[string]string{"error": "time slot already booked"})
+		} else {
+			writeJSON(w, http.StatusInternalServerError, map[string]string{"error": "db error"})
+		}
+		return
+	}
+	if err := insertAttendees(tx, b.ID, attendees); err != nil {
+		writeJSON(w, http.StatusInternalServerError, map[string]string{"error": "db error"})
+		return
+	}
+	if err := tx.Commit(); err != nil {
+		writeJSON(w, http.StatusInternalServerError, map[string]string{"error": "db error"})
+		return
+	}
 
 	// Email-уведомление в прототипе просто логируем
-	log.Printf("[email] booking confirmed: booking_id=%d user_id=%d room_id=%d", bookingID, user.ID, req.RoomID)
+	log.Printf("[email] booking %s: booking_id=%d user_id=%d room_id=%d attendees=%d", status, b.ID, user.ID, req.RoomID, len(attendees))
+	a.publishBooking(eventBookingCreated, &b)
 
-	writeJSON(w, http.StatusCreated, map[string]any{"id": bookingID})
+	writeJSON(w, http.StatusCreated, map[string]any{"id": b.ID, "status": status, "attendees": attendees})
 }
 
+// myBookingsCond – брони пользователя $1 (псевдоним b): свои и те, куда его пригласили по email.
+// Тот же набор отдают «Мои бронирования» и личный фид календаря.
+const myBookingsCond = `(b.user_id = $1
+            OR b.id IN (SELECT a.booking_id FROM booking_attendees a JOIN users u ON u.email = a.email WHERE u.id = $1))`
+
 func (a *App) handleMyBookings(w http.ResponseWriter, r *http.Request) {
 	user := getAuthUser(r)
 	if user == nil {
@@ -579,12 +1220,26 @@ func (a *App) handleMyBookings(w http.ResponseWriter, r *http.Request) {
 		return
 	}
 
+	// по умолчанию все статусы, сначала поздние (см. paging.go)
+	page, msg := parseBookingPageQuery(r.URL.Query(), allBookingStatuses, true)
+	if page == nil {
+		writeJSON(w, http.StatusBadRequest, map[string]string{"error": msg})
+		return
+	}
+
+	cond, args := page.filter([]any{user.ID}, false)
+	var total int
+	if err := a.DB.QueryRow(`SELECT COUNT(*) FROM bookings b WHERE `+myBookingsCond+cond, args...).Scan(&total); err != nil {
+		writeJSON(w, http.StatusInternalServerError, map[string]string{"error": "db error"})
+		return
+	}
+
+	cond, args = page.filter([]any{user.ID}, true)
 	rows, err := a.DB.Query(
-		`SELECT id, room_id, user_id, start_time, end_time, status, created_at
-         FROM bookings
-         WHERE user_id = $1
-         ORDER BY start_time DESC`,
-		user.ID,
+		`SELECT `+bookingColumns+`
+         FROM bookings b
+         WHERE `+myBookingsCond+cond+page.orderLimit(),
+		args...,
 	)
 	if err != nil {
 		writeJSON(w, http.StatusInternalServerError, map[string]string{"error": "db error"})
@@ -592,17 +1247,36 @@ func (a *App) handleMyBookings(w http.ResponseWriter, r *http.Request) {
 	}
 	defer rows.Close()
 
-	var res []Booking
+	var (
+		res = []myBooking{}
+		ids []int64
+	)
 	for rows.Next() {
-		var b Booking
-		if err := rows.Scan(&b.ID, &b.RoomID, &b.UserID, &b.StartTime, &b.EndTime, &b.Status, &b.CreatedAt); err != nil {
+		var mb myBooking
+		if err := scanBooking(rows, &mb.Booking); err != nil {
 			writeJSON(w, http.StatusInternalServerError, map[string]string{"error": "db error"})
 			return
 		}
-		res = append(res, b)
+		mb.Invited = mb.UserID != user.ID
+		res = append(res, mb)
+		ids = append(ids, mb.ID)
+	}
+	if err := rows.Err(); err != nil {
+		writeJSON(w, http.StatusInternalServerError, map[string]string{"error": "db error"})
+		return
 	}
 
-	writeJSON(w, http.StatusOK, res)
+	attendees, err := loadAttendees(a.DB, ids)
+	if err != nil {
+		writeJSON(w, http.StatusInternalServerError, map[string]string{"error": "db error"})
+		return
+	}
+	for i := range res {
+		res[i].Attendees = attendees[res[i].ID]
+	}
+
+	n, next := page.nextCursor(len(res), func(i int) (time.Time, int64) { return res[i].StartTime, res[i].ID })
+	writeJSON(w, http.StatusOK, map[string]any{"items": res[:n], "next_cursor": next, "total": total})
 }
 
 func (a *App) handleUpdateBooking(w http.ResponseWriter, r *http.Request) {
@@ -623,38 +1297,281 @@ func (a *App) handleUpdateBooking(w http.ResponseWriter, r *http.Request) {
 		return
 	}
 	req.Status = strings.ToLower(strings.TrimSpace(req.Status))
-	if req.Status == "" {
-		writeJSON(w, http.StatusBadRequest, map[string]string{"error": "status required"})
+	reschedule := req.RoomID != 0 || req.StartTime != "" || req.EndTime != ""
+	if req.Status == "" && !reschedule {
+		writeJSON(w, http.StatusBadRequest, map[string]string{"error": "status or room_id/start_time/end_time required"})
+		return
+	}
+	if req.Status != "" && reschedule {
+		writeJSON(w, http.StatusBadRequest, map[string]string{"error": "Нельзя одновременно менять статус и переносить бронь"})
 		return
 	}
 
-	// Разрешим пользователю менять только свои брони, admin может любые
-	var ownerID int64
-	err = a.DB.QueryRow(`SELECT user_id FROM bookings WHERE id = $1`, bookingID).Scan(&ownerID)
+	if reschedule {
+		a.handleRescheduleBooking(w, user, bookingID, req)
+		return
+	}
+
+	b, err := a.setBookingStatus(user, bookingID, req.Status)
 	if err != nil {
-		if errors.Is(err, sql.ErrNoRows) {
-			writeJSON(w, http.StatusNotFound, map[string]string{"error": "booking not found"})
-		} else {
-			writeJSON(w, http.StatusInternalServerError, map[string]string{"error": "db error"})
+		writeBookingChangeError(w, err)
+		return
+	}
+
+	// Email-уведомление в прототипе просто логируем
+	log.Printf("[email] booking %s: booking_id=%d user_id=%d", req.Status, bookingID, b.UserID)
+	a.publishBookingStatus(b)
+
+	writeJSON(w, http.StatusOK, map[string]string{"status": "updated"})
+}
+
+var errSlotTaken = errors.New("time slot already booked")
+
+// setBookingStatus меняет статус брони по таблице bookingTransitions. При возврате
+// брони в активный статус слот проверяется заново. Возвращает бронь после изменения.
+func (a *App) setBookingStatus(user *AuthUser, bookingID int64, to string) (*Booking, error) {
+	tx, err := a.DB.Begin()
+	if err != nil {
+		return nil, err
+	}
+	defer tx.Rollback()
+
+	var b Booking
+	err = scanBooking(tx.QueryRow(`SELECT `+bookingColumns+` FROM bookings WHERE id = $1 FOR UPDATE`, bookingID), &b)
+	if err != nil {
+		return nil, err
+	}
+
+	// Разрешим пользователю менять только свои брони, admin может любые
+	if user.Role != "admin" && user.ID != b.UserID {
+		return nil, &bookingChangeError{Code: http.StatusForbidden, Message: "access denied"}
+	}
+	if err := checkBookingTransition(b.Status, to, user, b.UserID); err != nil {
+		return nil, err
+	}
+
+	if !isActiveBookingStatus(b.Status) && isActiveBookingStatus(to) {
+		busy, err := hasBookingOverlap(tx, b.RoomID, b.StartTime, b.EndTime, bookingID)
+		if err != nil {
+			return nil, err
+		}
+		if busy {
+			return nil, errSlotTaken
 		}
+	}
+
+	if _, err := tx.Exec(`UPDATE bookings SET status = $1 WHERE id = $2`, to, bookingID); err != nil {
+		if isBookingOverlapError(err) {
+			return nil, errSlotTaken
+		}
+		return nil, err
+	}
+	if err := tx.Commit(); err != nil {
+		return nil, err
+	}
+	b.Status = to
+	return &b, nil
+}
+
+func (a *App) handleRescheduleBooking(w http.ResponseWriter, user *AuthUser, bookingID int64, req updateBookingRequest) {
+	var start, end *time.Time
+	if req.StartTime != "" {
+		t, err := time.Parse(time.RFC3339, req.StartTime)
+		if err != nil {
+			writeJSON(w, http.StatusBadRequest, map[string]string{"error": "Начало не распознано"})
+			return
+		}
+		start = &t
+	}
+	if req.EndTime != "" {
+		t, err := time.Parse(time.RFC3339, req.EndTime)
+		if err != nil {
+			writeJSON(w, http.StatusBadRequest, map[string]string{"error": "Окончание не распознано"})
+			return
+		}
+		end = &t
+	}
+	if req.RoomID < 0 {
+		writeJSON(w, http.StatusBadRequest, map[string]string{"error": "invalid room id"})
 		return
 	}
 
-	if user.Role != "admin" && user.ID != ownerID {
-		writeJSON(w, http.StatusForbidden, map[string]string{"error": "access denied"})
+	b, prevRoomID, err := a.rescheduleBooking(user, bookingID, req.RoomID, start, end)
+	if err != nil {
+		writeBookingChangeError(w, err)
 		return
 	}
 
-	_, err = a.DB.Exec(
-		`UPDATE bookings SET status = $1 WHERE id = $2`,
-		req.Status, bookingID,
+	// Email-уведомление в прототипе просто логируем
+	log.Printf("[email] booking rescheduled: booking_id=%d user_id=%d room_id=%d status=%s", b.ID, b.UserID, b.RoomID, b.Status)
+	a.publishBookingMoved(b, prevRoomID)
+
+	writeJSON(w, http.StatusOK, b)
+}
+
+// rescheduleBooking переносит активную бронь на другое время и/или в другую комнату одной
+// транзакцией: слот не освобождается, пока новый не занят. nil/0 – оставить как было.
+// Пересечения проверяются тем же правилом, что в handleCreateBooking, без самой брони.
+// Вторым значением возвращает комнату до переноса.
+func (a *App) rescheduleBooking(user *AuthUser, bookingID, newRoomID int64, newStart, newEnd *time.Time) (*Booking, int64, error) {
+	tx, err := a.DB.Begin()
+	if err != nil {
+		return nil, 0, err
+	}
+	defer tx.Rollback()
+
+	var b Booking
+	err = scanBooking(tx.QueryRow(`SELECT `+bookingColumns+` FROM bookings WHERE id = $1 FOR UPDATE`, bookingID), &b)
+	if err != nil {
+		return nil, 0, err
+	}
+
+	prevRoomID, prevStart, prevEnd := b.RoomID, b.StartTime, b.EndTime
+
+	if user.Role != "admin" && user.ID != b.UserID {
+		return nil, 0, &bookingChangeError{Code: http.StatusForbidden, Message: "access denied"}
+	}
+	if !isActiveBookingStatus(b.Status) {
+		return nil, 0, &bookingChangeError{Code: http.StatusConflict, Message: fmt.Sprintf("%s booking cannot be rescheduled", b.Status)}
+	}
+	if !b.EndTime.After(time.Now()) {
+		return nil, 0, &bookingChangeError{Code: http.StatusConflict, Message: "Бронь уже завершилась"}
+	}
+
+	if newStart != nil {
+		b.StartTime = *newStart
+	}
+	if newEnd != nil {
+		b.EndTime = *newEnd
+	}
+	if !b.EndTime.After(b.StartTime) {
+		return nil, 0, &bookingChangeError{Code: http.StatusBadRequest, Message: "Окончание должно быть после начала"}
+	}
+
+	if newRoomID != 0 && newRoomID != b.RoomID {
+		status, err := initialBookingStatus(tx, newRoomID)
+		if err != nil {
+			if errors.Is(err, sql.ErrNoRows) {
+				return nil, 0, &bookingChangeError{Code: http.StatusNotFound, Message: "room not found"}
+			}
+			if errors.Is(err, errRoomInactive) {
+				return nil, 0, &bookingChangeError{Code: http.StatusUnprocessableEntity, Message: err.Error()}
+			}
+			return nil, 0, err
+		}
+		// участники должны поместиться и в новую комнату
+		var attendees int
+		if err := tx.QueryRow(`SELECT COUNT(*) FROM booking_attendees WHERE booking_id = $1`, b.ID).Scan(&attendees); err != nil {
+			return nil, 0, err
+		}
+		overCapacity, err := checkRoomCapacity(tx, newRoomID, attendees)
+		if err != nil {
+			return nil, 0, err
+		}
+		if overCapacity != "" {
+			return nil, 0, &bookingChangeError{Code: http.StatusUnprocessableEntity, Message: overCapacity}
+		}
+		b.RoomID = newRoomID
+		// перенос в комнату с подтверждением снова отправляет бронь в очередь, кроме переноса админом
+		if user.Role != "admin" {
+			b.Status = status
+		}
+	} else if user.Role != "admin" && (!b.StartTime.Equal(prevStart) || !b.EndTime.Equal(prevEnd)) {
+		// подтверждение дается на конкретный слот: новое время в той же комнате – снова в очередь
+		var requiresApproval bool
+		if err := tx.QueryRow(`SELECT requires_approval FROM rooms WHERE id = $1`, b.RoomID).Scan(&requiresApproval); err != nil {
+			return nil, 0, err
+		}
+		if requiresApproval {
+			b.Status = "pending"
+		}
+	}
+
+	// правила комнаты проверяются при любом переносе; у уже идущей брони, которой меняют
+	// только конец, начало в прошлом не считается нарушением
+	started := newStart == nil && b.RoomID == prevRoomID && b.StartTime.Before(time.Now())
+	violation, err := checkBookingPolicy(tx, user, b.RoomID, b.StartTime, b.EndTime, b.ID, started)
+	if err != nil {
+		return nil, 0, err
+	}
+	if violation != nil {
+		return nil, 0, violation
+	}
+
+	busy, err := hasBookingOverlap(tx, b.RoomID, b.StartTime, b.EndTime, b.ID)
+	if err != nil {
+		return nil, 0, err
+	}
+	if busy {
+		return nil, 0, errSlotTaken
+	}
+
+	_, err = tx.Exec(
+		`UPDATE bookings SET room_id = $1, start_time = $2, end_time = $3, status = $4 WHERE id = $5`,
+		b.RoomID, b.StartTime, b.EndTime, b.Status, b.ID,
+	)
+	if err != nil {
+		if isBookingOverlapError(err) {
+			return nil, 0, errSlotTaken
+		}
+		return nil, 0, err
+	}
+	if err := tx.Commit(); err != nil {
+		return nil, 0, err
+	}
+	return &b, prevRoomID, nil
+}
+
+func writeBookingChangeError(w http.ResponseWriter, err error) {
+	var (
+		te *bookingChangeError
+		pv *policyViolation
+	)
+	switch {
+	case errors.Is(err, sql.ErrNoRows):
+		writeJSON(w, http.StatusNotFound, map[string]string{"error": "booking not found"})
+	case errors.As(err, &te):
+		writeJSON(w, te.Code, map[string]string{"error": te.Message})
+	case errors.As(err, &pv):
+		writePolicyViolation(w, pv)
+	case errors.Is(err, errSlotTaken):
+		writeJSON(w, http.StatusConflict, map[string]string{"error": err.Error()})
+	default:
+		writeJSON(w, http.StatusInternalServerError, map[string]string{"error": "db error"})
+	}
+}
+
+// handlePendingBookings – очередь подтверждений: все pending брони по всем комнатам,
+// ближайшие первыми.
+func (a *App) handlePendingBookings(w http.ResponseWriter, r *http.Request) {
+	rows, err := a.DB.Query(
+		`SELECT b.id, b.room_id, b.user_id, b.start_time, b.end_time, b.status, b.title, b.description, b.series_id, b.created_at,
+                r.name, u.email
+         FROM bookings b
+         JOIN rooms r ON r.id = b.room_id
+         JOIN users u ON u.id = b.user_id
+         WHERE b.status = 'pending'
+         ORDER BY b.start_time`,
 	)
 	if err != nil {
 		writeJSON(w, http.StatusInternalServerError, map[string]string{"error": "db error"})
 		return
 	}
+	defer rows.Close()
 
-	writeJSON(w, http.StatusOK, map[string]string{"status": "updated"})
+	res := []pendingBooking{}
+	for rows.Next() {
+		var pb pendingBooking
+		b := &pb.Booking
+		if err := rows.Scan(&b.ID, &b.RoomID, &b.UserID, &b.StartTime, &b.EndTime, &b.Status, &b.Title, &b.Description, &b.SeriesID, &b.CreatedAt,
+			&pb.RoomName, &pb.UserEmail); err != nil {
+			writeJSON(w, http.StatusInternalServerError, map[string]string{"error": "db error"})
+			return
+		}
+		res = append(res, pb)
+	}
+
+	writeJSON(w, http.StatusOK, res)
 }
 
 func (a *App) handleCancelBooking(w http.ResponseWriter, r *http.Request) {
@@ -670,30 +1587,12 @@ func (a *App) handleCancelBooking(w http.ResponseWriter, r *http.Request) {
 		return
 	}
 
-	var ownerID int64
-	err = a.DB.QueryRow(`SELECT user_id FROM bookings WHERE id = $1`).Scan(&ownerID)
-	if err != nil {
-		if errors.Is(err, sql.ErrNoRows) {
-			writeJSON(w, http.StatusNotFound, map[string]string{"error": "booking not found"})
-		} else {
-			writeJSON(w, http.StatusInternalServerError, map[string]string{"error": "db error"})
-		}
-		return
-	}
-
-	if user.Role != "admin" && user.ID != ownerID {
-		writeJSON(w, http.StatusForbidden, map[string]string{"error": "access denied"})
-		return
-	}
-
-	_, err = a.DB.Exec(
-		`UPDATE bookings SET status = 'cancelled' WHERE id = $1`,
-		bookingID,
-	)
+	b, err := a.setBookingStatus(user, bookingID, "cancelled")
 	if err != nil {
-		writeJSON(w, http.StatusInternalServerError, map[string]string{"error": "db error"})
+		writeBookingChangeError(w, err)
 		return
 	}
+	a.publishBookingStatus(b)
 
 	writeJSON(w, http.StatusOK, map[string]string{"status": "cancelled"})
 }
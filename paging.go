@@ -0,0 +1,182 @@
+package main
+
+import (
+	"encoding/base64"
+	"errors"
+	"fmt"
+	"net/url"
+	"strconv"
+	"strings"
+	"time"
+
+	"github.com/lib/pq"
+)
+
+// Постраничная выдача списков броней (брони комнаты, мои брони). Параметры:
+//   from, to – RFC3339; брони, пересекающие [from, to): end_time > from, start_time < to
+//   status   – статусы через запятую
+//   order    – asc или desc по start_time
+//   limit    – размер страницы, cursor – next_cursor из предыдущей страницы
+// Ответ – {items, next_cursor, total}: next_cursor равен null на последней странице,
+// total – число броней под фильтром без учета страниц.
+
+var (
+	activeBookingStatuses = []string{"pending", "confirmed"}
+	allBookingStatuses    = []string{"pending", "confirmed", "cancelled", "rejected"}
+)
+
+const (
+	defaultPageLimit = 50
+	maxPageLimit     = 200
+)
+
+// bookingCursor – позиция в списке: последняя выданная бронь (start_time, id)
+type bookingCursor struct {
+	Start time.Time
+	ID    int64
+}
+
+func (c bookingCursor) encode() string {
+	raw := c.Start.UTC().Format(time.RFC3339Nano) + "," + strconv.FormatInt(c.ID, 10)
+	return base64.RawURLEncoding.EncodeToString([]byte(raw))
+}
+
+func decodeBookingCursor(s string) (*bookingCursor, error) {
+	raw, err := base64.RawURLEncoding.DecodeString(s)
+	if err != nil {
+		return nil, err
+	}
+	ts, id, ok := strings.Cut(string(raw), ",")
+	if !ok {
+		return nil, errors.New("bad cursor")
+	}
+	start, err := time.Parse(time.RFC3339Nano, ts)
+	if err != nil {
+		return nil, err
+	}
+	n, err := strconv.ParseInt(id, 10, 64)
+	if err != nil {
+		return nil, err
+	}
+	return &bookingCursor{Start: start, ID: n}, nil
+}
+
+type bookingPageQuery struct {
+	From     *time.Time
+	To       *time.Time
+	Statuses []string
+	Desc     bool
+	Limit    int
+	After    *bookingCursor
+}
+
+// parseBookingPageQuery разбирает параметры страницы. allowed – статусы, которые можно
+// запросить (без status – все они); ошибка – текст для ответа 400.
+func parseBookingPageQuery(q url.Values, allowed []string, defaultDesc bool) (*bookingPageQuery, string) {
+	p := &bookingPageQuery{Statuses: allowed, Desc: defaultDesc, Limit: defaultPageLimit}
+
+	for _, name := range []string{"from", "to"} {
+		raw := q.Get(name)
+		if raw == "" {
+			continue
+		}
+		t, err := time.Parse(time.RFC3339, raw)
+		if err != nil {
+			return nil, name + ": ожидается время в RFC3339"
+		}
+		if name == "from" {
+			p.From = &t
+		} else {
+			p.To = &t
+		}
+	}
+	if p.From != nil && p.To != nil && !p.To.After(*p.From) {
+		return nil, "to должен быть позже from"
+	}
+
+	if raw := q.Get("status"); raw != "" {
+		p.Statuses = nil
+		for _, s := range strings.Split(raw, ",") {
+			s = strings.TrimSpace(s)
+			known := false
+			for _, a := range allowed {
+				known = known || a == s
+			}
+			if !known {
+				return nil, fmt.Sprintf("status: допустимо %s", strings.Join(allowed, ", "))
+			}
+			p.Statuses = append(p.Statuses, s)
+		}
+	}
+
+	switch q.Get("order") {
+	case "":
+	case "asc":
+		p.Desc = false
+	case "desc":
+		p.Desc = true
+	default:
+		return nil, "order: asc или desc"
+	}
+
+	if raw := q.Get("limit"); raw != "" {
+		n, err := strconv.Atoi(raw)
+		if err != nil || n <= 0 || n > maxPageLimit {
+			return nil, fmt.Sprintf("limit: от 1 до %d", maxPageLimit)
+		}
+		p.Limit = n
+	}
+
+	if raw := q.Get("cursor"); raw != "" {
+		c, err := decodeBookingCursor(raw)
+		if err != nil {
+			return nil, "Неверный cursor"
+		}
+		p.After = c
+	}
+	return p, ""
+}
+
+// filter дописывает к WHERE условия фильтра для брони с псевдонимом b;
+// args – уже занятые параметры запроса. С withCursor – и позицию страницы.
+func (p *bookingPageQuery) filter(args []any, withCursor bool) (string, []any) {
+	var sb strings.Builder
+	arg := func(v any) string {
+		args = append(args, v)
+		return "$" + strconv.Itoa(len(args))
+	}
+	sb.WriteString(" AND b.status = ANY(" + arg(pq.Array(p.Statuses)) + ")")
+	if p.From != nil {
+		sb.WriteString(" AND b.end_time > " + arg(*p.From))
+	}
+	if p.To != nil {
+		sb.WriteString(" AND b.start_time < " + arg(*p.To))
+	}
+	if withCursor && p.After != nil {
+		op := ">"
+		if p.Desc {
+			op = "<"
+		}
+		sb.WriteString(fmt.Sprintf(" AND (b.start_time, b.id) %s (%s, %s)", op, arg(p.After.Start), arg(p.After.ID)))
+	}
+	return sb.String(), args
+}
+
+// orderLimit – сортировка и LIMIT на одну бронь больше страницы, чтобы узнать, есть ли следующая
+func (p *bookingPageQuery) orderLimit() string {
+	dir := ""
+	if p.Desc {
+		dir = " DESC"
+	}
+	return fmt.Sprintf(" ORDER BY b.start_time%s, b.id%s LIMIT %d", dir, dir, p.Limit+1)
+}
+
+// nextCursor обрезает лишнюю бронь и возвращает курсор следующей страницы (nil – страниц больше нет).
+// n – сколько броней прочитано, last(i) – start_time и id i-й из них.
+func (p *bookingPageQuery) nextCursor(n int, last func(i int) (time.Time, int64)) (int, any) {
+	if n <= p.Limit {
+		return n, nil
+	}
+	start, id := last(p.Limit - 1)
+	return p.Limit, bookingCursor{Start: start, ID: id}.encode()
+}
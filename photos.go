@@ -0,0 +1,275 @@
+package main
+
+import (
+	"bytes"
+	"database/sql"
+	"errors"
+	"fmt"
+	"image"
+	"image/color"
+	"image/jpeg"
+	"io"
+	"log"
+	"net/http"
+	"os"
+	"path"
+	"path/filepath"
+	"strings"
+
+	_ "image/gif"
+	_ "image/png"
+)
+
+// Фото комнат загружаются админом (multipart, поле photo) и лежат на диске в UPLOAD_DIR
+// (по умолчанию ./uploads), раздаются по /uploads/. К каждому фото сохраняется
+// уменьшенная копия для списка комнат.
+
+const (
+	maxPhotoSize   = 5 << 20 // байт
+	maxPhotoPixels = 40_000_000
+	thumbWidth     = 320
+	thumbHeight    = 200
+
+	uploadsURLPrefix = "/uploads/"
+	roomPhotosDir    = "rooms"
+)
+
+// filesOnlyFS – UPLOAD_DIR для http.FileServer: отдаются только файлы, каталог (в том
+// числе путь с / на конце) – 404, чтобы список загруженных фото нельзя было получить
+type filesOnlyFS struct {
+	fs http.FileSystem
+}
+
+func (f filesOnlyFS) Open(name string) (http.File, error) {
+	file, err := f.fs.Open(name)
+	if err != nil {
+		return nil, err
+	}
+	info, err := file.Stat()
+	if err != nil || info.IsDir() {
+		file.Close()
+		return nil, os.ErrNotExist
+	}
+	return file, nil
+}
+
+// допустимые типы по сигнатуре файла, а не по заголовку клиента
+var photoExtensions = map[string]string{
+	"image/jpeg": ".jpg",
+	"image/png":  ".png",
+	"image/gif":  ".gif",
+}
+
+// makeThumbnail уменьшает картинку, чтобы она помещалась в maxW x maxH, с сохранением
+// пропорций; каждый пиксель – среднее по своей области исходника. Маленькие не увеличивает.
+// Прозрачные области заливаются белым: миниатюра сохраняется в JPEG.
+func makeThumbnail(src image.Image, maxW, maxH int) image.Image {
+	b := src.Bounds()
+	w, h := b.Dx(), b.Dy()
+	tw, th := w, h
+	if tw > maxW {
+		tw, th = maxW, h*maxW/w
+	}
+	if th > maxH {
+		tw, th = w*maxH/h, maxH
+	}
+	tw, th = max(tw, 1), max(th, 1)
+
+	dst := image.NewRGBA(image.Rect(0, 0, tw, th))
+	for y := 0; y < th; y++ {
+		y0, y1 := b.Min.Y+y*h/th, b.Min.Y+(y+1)*h/th
+		for x := 0; x < tw; x++ {
+			x0, x1 := b.Min.X+x*w/tw, b.Min.X+(x+1)*w/tw
+			var r, g, bl, a, n uint64
+			for sy := y0; sy < max(y1, y0+1); sy++ {
+				for sx := x0; sx < max(x1, x0+1); sx++ {
+					cr, cg, cb, ca := src.At(sx, sy).RGBA()
+					r, g, bl, a, n = r+uint64(cr), g+uint64(cg), bl+uint64(cb), a+uint64(ca), n+1
+				}
+			}
+			// цвета в RGBA() уже умножены на альфу, поэтому белый фон – просто прибавка
+			bg := 0xffff - a/n
+			dst.Set(x, y, color.RGBA64{uint16(r/n + bg), uint16(g/n + bg), uint16(bl/n + bg), 0xffff})
+		}
+	}
+	return dst
+}
+
+// localPhotoPath – путь на диске для загруженного фото или "", если URL внешний
+func (a *App) localPhotoPath(url string) string {
+	name, ok := strings.CutPrefix(url, uploadsURLPrefix+roomPhotosDir+"/")
+	if !ok || name == "" || strings.ContainsAny(name, `/\`) {
+		return ""
+	}
+	return filepath.Join(a.UploadDir, roomPhotosDir, name)
+}
+
+// removeRoomPhotos удаляет файлы прежнего фото; ошибки только логируются
+func (a *App) removeRoomPhotos(urls ...string) {
+	for _, url := range urls {
+		p := a.localPhotoPath(url)
+		if p == "" {
+			continue
+		}
+		if err := os.Remove(p); err != nil && !errors.Is(err, os.ErrNotExist) {
+			log.Printf("remove room photo %s: %v", p, err)
+		}
+	}
+}
+
+// readPhotoUpload читает и проверяет файл из формы. Возвращает исходные байты,
+// расширение и декодированную картинку; ошибка – текст для ответа 400.
+func readPhotoUpload(w http.ResponseWriter, r *http.Request) ([]byte, string, image.Image, error) {
+	// запас сверх maxPhotoSize на служебные части multipart
+	r.Body = http.MaxBytesReader(w, r.Body, maxPhotoSize+64<<10)
+	file, _, err := r.FormFile("photo")
+	if err != nil {
+		var tooLarge *http.MaxBytesError
+		if errors.As(err, &tooLarge) {
+			return nil, "", nil, fmt.Errorf("Фото больше %d МБ", maxPhotoSize>>20)
+		}
+		return nil, "", nil, errors.New("Нужен файл в поле photo")
+	}
+	defer file.Close()
+
+	data, err := io.ReadAll(io.LimitReader(file, maxPhotoSize+1))
+	if err != nil {
+		return nil, "", nil, errors.New("Не удалось прочитать файл")
+	}
+	if len(data) > maxPhotoSize {
+		return nil, "", nil, fmt.Errorf("Фото больше %d МБ", maxPhotoSize>>20)
+	}
+
+	ext, ok := photoExtensions[http.DetectContentType(data)]
+	if !ok {
+		return nil, "", nil, errors.New("Поддерживаются только JPEG, PNG и GIF")
+	}
+	// размеры проверяем до декодирования, чтобы маленький файл не развернулся в гигабайты
+	cfg, _, err := image.DecodeConfig(bytes.NewReader(data))
+	if err != nil {
+		return nil, "", nil, errors.New("Файл поврежден или не является изображением")
+	}
+	if cfg.Width*cfg.Height > maxPhotoPixels {
+		return nil, "", nil, errors.New("Слишком большое разрешение фото")
+	}
+	img, _, err := image.Decode(bytes.NewReader(data))
+	if err != nil {
+		return nil, "", nil, errors.New("Файл поврежден или не является изображением")
+	}
+	return data, ext, img, nil
+}
+
+// replaceRoomPhoto записывает новые адреса фото и возвращает прежние, чтобы удалить их файлы
+func (a *App) replaceRoomPhoto(roomID int64, photoURL, thumbURL string) (string, string, error) {
+	tx, err := a.DB.Begin()
+	if err != nil {
+		return "", "", err
+	}
+	defer tx.Rollback()
+
+	var oldPhoto, oldThumb string
+	err = tx.QueryRow(
+		`SELECT COALESCE(photo_url, ''), photo_thumb_url FROM rooms WHERE id = $1 FOR UPDATE`,
+		roomID,
+	).Scan(&oldPhoto, &oldThumb)
+	if err != nil {
+		return "", "", err
+	}
+	_, err = tx.Exec(`UPDATE rooms SET photo_url = $1, photo_thumb_url = $2 WHERE id = $3`, photoURL, thumbURL, roomID)
+	if err != nil {
+		return "", "", err
+	}
+	return oldPhoto, oldThumb, tx.Commit()
+}
+
+// ===== Handlers =====
+
+// handleUploadRoomPhoto – POST /api/rooms/{roomID}/photo (multipart, поле photo).
+// Заменяет прежнее фото комнаты, старые файлы удаляются.
+func (a *App) handleUploadRoomPhoto(w http.ResponseWriter, r *http.Request) {
+	roomID, err := parseIDParam(r, "roomID")
+	if err != nil {
+		writeJSON(w, http.StatusBadRequest, map[string]string{"error": "ID комнаты не найдено"})
+		return
+	}
+
+	data, ext, img, err := readPhotoUpload(w, r)
+	if err != nil {
+		writeJSON(w, http.StatusBadRequest, map[string]string{"error": err.Error()})
+		return
+	}
+
+	token, err := newRandomToken()
+	if err != nil {
+		writeJSON(w, http.StatusInternalServerError, map[string]string{"error": "failed to generate name"})
+		return
+	}
+	// случайная часть имени сбрасывает кэш браузера при замене фото
+	base := fmt.Sprintf("room-%d-%s", roomID, token[:12])
+	photoName, thumbName := base+ext, base+"-thumb.jpg"
+
+	dir := filepath.Join(a.UploadDir, roomPhotosDir)
+	if err := os.MkdirAll(dir, 0o755); err != nil {
+		log.Printf("create upload dir: %v", err)
+		writeJSON(w, http.StatusInternalServerError, map[string]string{"error": "storage error"})
+		return
+	}
+	var thumb bytes.Buffer
+	if err := jpeg.Encode(&thumb, makeThumbnail(img, thumbWidth, thumbHeight), &jpeg.Options{Quality: 80}); err != nil {
+		writeJSON(w, http.StatusInternalServerError, map[string]string{"error": "thumbnail error"})
+		return
+	}
+	photoURL := uploadsURLPrefix + path.Join(roomPhotosDir, photoName)
+	thumbURL := uploadsURLPrefix + path.Join(roomPhotosDir, thumbName)
+	if err := os.WriteFile(filepath.Join(dir, photoName), data, 0o644); err != nil {
+		log.Printf("save room photo: %v", err)
+		writeJSON(w, http.StatusInternalServerError, map[string]string{"error": "storage error"})
+		return
+	}
+	if err := os.WriteFile(filepath.Join(dir, thumbName), thumb.Bytes(), 0o644); err != nil {
+		log.Printf("save room thumbnail: %v", err)
+		a.removeRoomPhotos(photoURL)
+		writeJSON(w, http.StatusInternalServerError, map[string]string{"error": "storage error"})
+		return
+	}
+
+	oldPhoto, oldThumb, err := a.replaceRoomPhoto(roomID, photoURL, thumbURL)
+	if err != nil {
+		a.removeRoomPhotos(photoURL, thumbURL)
+		if errors.Is(err, sql.ErrNoRows) {
+			writeJSON(w, http.StatusNotFound, map[string]string{"error": "room not found"})
+		} else {
+			writeJSON(w, http.StatusInternalServerError, map[string]string{"error": "db error"})
+		}
+		return
+	}
+	a.removeRoomPhotos(oldPhoto, oldThumb)
+
+	a.publishRoom(eventRoomUpdated, roomID)
+
+	writeJSON(w, http.StatusOK, map[string]string{"photo_url": photoURL, "photo_thumb_url": thumbURL})
+}
+
+// handleDeleteRoomPhoto убирает фото комнаты; страницы покажут заглушку
+func (a *App) handleDeleteRoomPhoto(w http.ResponseWriter, r *http.Request) {
+	roomID, err := parseIDParam(r, "roomID")
+	if err != nil {
+		writeJSON(w, http.StatusBadRequest, map[string]string{"error": "ID комнаты не найдено"})
+		return
+	}
+
+	oldPhoto, oldThumb, err := a.replaceRoomPhoto(roomID, "", "")
+	if err != nil {
+		if errors.Is(err, sql.ErrNoRows) {
+			writeJSON(w, http.StatusNotFound, map[string]string{"error": "room not found"})
+		} else {
+			writeJSON(w, http.StatusInternalServerError, map[string]string{"error": "db error"})
+		}
+		return
+	}
+	a.removeRoomPhotos(oldPhoto, oldThumb)
+
+	a.publishRoom(eventRoomUpdated, roomID)
+
+	writeJSON(w, http.StatusOK, map[string]string{"status": "deleted"})
+}
@@ -0,0 +1,35 @@
+package main
+
+import (
+	"net/http"
+	"net/http/httptest"
+	"os"
+	"path/filepath"
+	"testing"
+)
+
+// Из /uploads/ отдаются только сами фото: каталоги – 404, без листинга файлов
+func TestUploadsServeFilesOnly(t *testing.T) {
+	dir := t.TempDir()
+	if err := os.MkdirAll(filepath.Join(dir, roomPhotosDir), 0o755); err != nil {
+		t.Fatal(err)
+	}
+	if err := os.WriteFile(filepath.Join(dir, roomPhotosDir, "a.jpg"), []byte("jpeg"), 0o644); err != nil {
+		t.Fatal(err)
+	}
+	handler := http.StripPrefix(uploadsURLPrefix, http.FileServer(filesOnlyFS{http.Dir(dir)}))
+
+	for path, want := range map[string]int{
+		"/uploads/rooms/a.jpg": http.StatusOK,
+		"/uploads/":            http.StatusNotFound,
+		"/uploads/rooms/":      http.StatusNotFound,
+		"/uploads/rooms":       http.StatusNotFound,
+		"/uploads/rooms/b.jpg": http.StatusNotFound,
+	} {
+		rec := httptest.NewRecorder()
+		handler.ServeHTTP(rec, httptest.NewRequest(http.MethodGet, path, nil))
+		if rec.Code != want {
+			t.Errorf("GET %s: status %d, want %d", path, rec.Code, want)
+		}
+	}
+}
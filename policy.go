@@ -0,0 +1,429 @@
+package main
+
+import (
+	"database/sql"
+	"errors"
+	"fmt"
+	"net/http"
+	"strconv"
+	"strings"
+	"time"
+)
+
+// Правила бронирования комнаты: часы работы по дням недели, закрытые даты, минимальная
+// и максимальная длительность, горизонт бронирования и лимит активных броней на
+// пользователя. Часы работы и даты считаются в часовом поясе комнаты (rooms.time_zone).
+// Правила задает админ; на самих админов они не распространяются.
+// Бронировать в прошлом нельзя никому, даже в комнате без правил.
+
+type queryRunner interface {
+	queryer
+	Query(query string, args ...any) (*sql.Rows, error)
+}
+
+// OpeningHours – интервал работы в один день недели; минуты от полуночи, закрытие до 24:00.
+// Дни недели как в ISO: 1 – понедельник, 7 – воскресенье.
+type OpeningHours struct {
+	Weekday int    `json:"weekday"`
+	Opens   string `json:"opens"`  // "09:00"
+	Closes  string `json:"closes"` // "18:00", "24:00" – до конца дня
+}
+
+// Blackout – закрытые даты (праздник, ремонт), границы включительно
+type Blackout struct {
+	StartsOn string `json:"starts_on"` // YYYY-MM-DD
+	EndsOn   string `json:"ends_on"`
+	Reason   string `json:"reason"`
+}
+
+// RoomPolicy – правила комнаты. nil в лимитах – без ограничения; пустой OpeningHours –
+// комната открыта круглосуточно, иначе дни без интервала – выходные.
+type RoomPolicy struct {
+	TimeZone         string         `json:"time_zone"` // часовой пояс комнаты; только для чтения, меняется у комнаты
+	MinMinutes       *int           `json:"min_minutes"`
+	MaxMinutes       *int           `json:"max_minutes"`
+	MaxDaysAhead     *int           `json:"max_days_ahead"`
+	MaxActivePerUser *int           `json:"max_active_per_user"`
+	OpeningHours     []OpeningHours `json:"opening_hours"`
+	Blackouts        []Blackout     `json:"blackouts"`
+}
+
+// policyViolation – бронь не проходит правило; Rule – машинное имя для клиента
+type policyViolation struct {
+	Rule    string
+	Message string
+}
+
+func (e *policyViolation) Error() string { return e.Message }
+
+func writePolicyViolation(w http.ResponseWriter, v *policyViolation) {
+	writeJSON(w, http.StatusUnprocessableEntity, map[string]string{"error": v.Message, "rule": v.Rule})
+}
+
+var weekdayNames = [...]string{"", "понедельник", "вторник", "среду", "четверг", "пятницу", "субботу", "воскресенье"}
+
+// parseClock разбирает "HH:MM" в минуты от полуночи; "24:00" допустимо как конец дня
+func parseClock(s string) (int, error) {
+	hh, mm, ok := strings.Cut(s, ":")
+	h, err1 := strconv.Atoi(hh)
+	m, err2 := strconv.Atoi(mm)
+	if !ok || err1 != nil || err2 != nil || h < 0 || m < 0 || m > 59 || h > 24 || (h == 24 && m != 0) {
+		return 0, fmt.Errorf("invalid time %q, expected HH:MM", s)
+	}
+	return h*60 + m, nil
+}
+
+func formatClock(min int) string {
+	return fmt.Sprintf("%02d:%02d", min/60, min%60)
+}
+
+func isoWeekday(t time.Time) int {
+	if t.Weekday() == time.Sunday {
+		return 7
+	}
+	return int(t.Weekday())
+}
+
+// validate проверяет правила перед сохранением и приводит их к каноничному виду
+func (p *RoomPolicy) validate() error {
+	for name, v := range map[string]*int{
+		"min_minutes": p.MinMinutes, "max_minutes": p.MaxMinutes,
+		"max_days_ahead": p.MaxDaysAhead, "max_active_per_user": p.MaxActivePerUser,
+	} {
+		if v != nil && *v <= 0 {
+			return fmt.Errorf("%s must be > 0", name)
+		}
+	}
+	if p.MinMinutes != nil && p.MaxMinutes != nil && *p.MinMinutes > *p.MaxMinutes {
+		return errors.New("min_minutes must not exceed max_minutes")
+	}
+
+	seen := map[int]bool{}
+	for i, h := range p.OpeningHours {
+		if h.Weekday < 1 || h.Weekday > 7 {
+			return errors.New("weekday must be 1..7")
+		}
+		if seen[h.Weekday] {
+			return fmt.Errorf("duplicate opening hours for weekday %d", h.Weekday)
+		}
+		seen[h.Weekday] = true
+		opens, err := parseClock(h.Opens)
+		if err != nil {
+			return err
+		}
+		closes, err := parseClock(h.Closes)
+		if err != nil {
+			return err
+		}
+		if closes <= opens {
+			return fmt.Errorf("closes must be after opens for weekday %d", h.Weekday)
+		}
+		p.OpeningHours[i].Opens, p.OpeningHours[i].Closes = formatClock(opens), formatClock(closes)
+	}
+
+	for i, b := range p.Blackouts {
+		from, err1 := time.Parse("2006-01-02", b.StartsOn)
+		to, err2 := time.Parse("2006-01-02", b.EndsOn)
+		if err1 != nil || err2 != nil {
+			return errors.New("blackout dates must be YYYY-MM-DD")
+		}
+		if to.Before(from) {
+			return errors.New("blackout ends_on must not be before starts_on")
+		}
+		p.Blackouts[i].Reason = strings.TrimSpace(b.Reason)
+	}
+	return nil
+}
+
+// loadRoomPolicy читает правила комнаты; у комнаты без строки в room_policies лимитов нет
+func loadRoomPolicy(q queryRunner, roomID int64) (*RoomPolicy, error) {
+	p := &RoomPolicy{TimeZone: "UTC", OpeningHours: []OpeningHours{}, Blackouts: []Blackout{}}
+	err := q.QueryRow(
+		`SELECT r.time_zone, p.min_minutes, p.max_minutes, p.max_days_ahead, p.max_active_per_user
+         FROM rooms r
+         LEFT JOIN room_policies p ON p.room_id = r.id
+         WHERE r.id = $1`,
+		roomID,
+	).Scan(&p.TimeZone, &p.MinMinutes, &p.MaxMinutes, &p.MaxDaysAhead, &p.MaxActivePerUser)
+	if err != nil && !errors.Is(err, sql.ErrNoRows) {
+		return nil, err
+	}
+
+	rows, err := q.Query(
+		`SELECT weekday, opens_min, closes_min FROM room_opening_hours WHERE room_id = $1 ORDER BY weekday`,
+		roomID,
+	)
+	if err != nil {
+		return nil, err
+	}
+	defer rows.Close()
+	for rows.Next() {
+		var h OpeningHours
+		var opens, closes int
+		if err := rows.Scan(&h.Weekday, &opens, &closes); err != nil {
+			return nil, err
+		}
+		h.Opens, h.Closes = formatClock(opens), formatClock(closes)
+		p.OpeningHours = append(p.OpeningHours, h)
+	}
+	if err := rows.Err(); err != nil {
+		return nil, err
+	}
+
+	brows, err := q.Query(
+		`SELECT starts_on, ends_on, reason FROM room_blackouts WHERE room_id = $1 AND ends_on >= CURRENT_DATE ORDER BY starts_on`,
+		roomID,
+	)
+	if err != nil {
+		return nil, err
+	}
+	defer brows.Close()
+	for brows.Next() {
+		var b Blackout
+		var from, to time.Time
+		if err := brows.Scan(&from, &to, &b.Reason); err != nil {
+			return nil, err
+		}
+		b.StartsOn, b.EndsOn = from.Format("2006-01-02"), to.Format("2006-01-02")
+		p.Blackouts = append(p.Blackouts, b)
+	}
+	return p, brows.Err()
+}
+
+var pastTimeViolation = &policyViolation{Rule: "past", Message: "Нельзя бронировать время, которое уже прошло"}
+
+// checkTimes проверяет одно вхождение брони по правилам, не трогая БД
+func (p *RoomPolicy) checkTimes(start, end, now time.Time) *policyViolation {
+	if start.Before(now) {
+		return pastTimeViolation
+	}
+	return p.checkSchedule(start, end, now)
+}
+
+// checkSchedule – правила комнаты без запрета на прошлое: длительность, дальность,
+// закрытые даты и часы работы
+func (p *RoomPolicy) checkSchedule(start, end, now time.Time) *policyViolation {
+	minutes := int(end.Sub(start).Minutes())
+	if p.MinMinutes != nil && minutes < *p.MinMinutes {
+		return &policyViolation{Rule: "min_duration", Message: fmt.Sprintf("Бронь не короче %d мин", *p.MinMinutes)}
+	}
+	if p.MaxMinutes != nil && minutes > *p.MaxMinutes {
+		return &policyViolation{Rule: "max_duration", Message: fmt.Sprintf("Бронь не длиннее %d мин", *p.MaxMinutes)}
+	}
+	if p.MaxDaysAhead != nil && start.After(now.AddDate(0, 0, *p.MaxDaysAhead)) {
+		return &policyViolation{Rule: "max_days_ahead", Message: fmt.Sprintf("Бронировать можно не дальше чем на %d дн. вперед", *p.MaxDaysAhead)}
+	}
+
+	loc, err := time.LoadLocation(p.TimeZone)
+	if err != nil {
+		loc = time.UTC
+	}
+	ls, le := start.In(loc), end.In(loc)
+
+	// конец ровно в полночь относится к предыдущему дню
+	lastDay := le.Add(-time.Nanosecond)
+	for _, b := range p.Blackouts {
+		if ls.Format("2006-01-02") <= b.EndsOn && lastDay.Format("2006-01-02") >= b.StartsOn {
+			msg := fmt.Sprintf("Комната закрыта с %s по %s", b.StartsOn, b.EndsOn)
+			if b.Reason != "" {
+				msg += ": " + b.Reason
+			}
+			return &policyViolation{Rule: "blackout", Message: msg}
+		}
+	}
+
+	if len(p.OpeningHours) == 0 {
+		return nil
+	}
+	weekday := isoWeekday(ls)
+	var day *OpeningHours
+	for i := range p.OpeningHours {
+		if p.OpeningHours[i].Weekday == weekday {
+			day = &p.OpeningHours[i]
+		}
+	}
+	if day == nil {
+		return &policyViolation{Rule: "opening_hours", Message: fmt.Sprintf("Комната не работает в %s", weekdayNames[weekday])}
+	}
+	opens, _ := parseClock(day.Opens)
+	closes, _ := parseClock(day.Closes)
+	midnight := time.Date(ls.Year(), ls.Month(), ls.Day(), 0, 0, 0, 0, loc)
+	if ls.Before(midnight.Add(time.Duration(opens)*time.Minute)) || le.After(midnight.Add(time.Duration(closes)*time.Minute)) {
+		return &policyViolation{
+			Rule:    "opening_hours",
+			Message: fmt.Sprintf("Комната работает в %s с %s до %s (%s)", weekdayNames[weekday], day.Opens, day.Closes, p.TimeZone),
+		}
+	}
+	return nil
+}
+
+// checkActiveLimit проверяет, что у пользователя хватит лимита еще на adding активных броней
+// в комнате. excludeID – бронь, которая уже учтена (при переносе), 0 – никакая.
+func (p *RoomPolicy) checkActiveLimit(q queryer, roomID, userID int64, adding int, excludeID int64) (*policyViolation, error) {
+	if p.MaxActivePerUser == nil {
+		return nil, nil
+	}
+	var active int
+	err := q.QueryRow(
+		`SELECT COUNT(*) FROM bookings
+         WHERE room_id = $1 AND user_id = $2 AND id <> $3
+           AND status IN ('pending', 'confirmed') AND end_time > now()`,
+		roomID, userID, excludeID,
+	).Scan(&active)
+	if err != nil {
+		return nil, err
+	}
+	if active+adding > *p.MaxActivePerUser {
+		return &policyViolation{
+			Rule:    "max_active_per_user",
+			Message: fmt.Sprintf("В этой комнате можно держать не больше %d активных броней, у вас уже %d", *p.MaxActivePerUser, active),
+		}, nil
+	}
+	return nil, nil
+}
+
+// checkBookingPolicy – все правила комнаты для одной брони пользователя. Админам
+// проверяется только запрет на прошлое. started – уже идущая бронь, у которой меняется
+// только конец: начало в прошлом допустимо, в прошлом не может быть только новый конец.
+func checkBookingPolicy(q queryRunner, user *AuthUser, roomID int64, start, end time.Time, excludeID int64, started bool) (*policyViolation, error) {
+	now := time.Now()
+	check := func(p *RoomPolicy) *policyViolation {
+		if !started {
+			return p.checkTimes(start, end, now)
+		}
+		if !end.After(now) {
+			return pastTimeViolation
+		}
+		return p.checkSchedule(start, end, now)
+	}
+	if user.Role == "admin" {
+		return check(&RoomPolicy{}), nil
+	}
+	p, err := loadRoomPolicy(q, roomID)
+	if err != nil {
+		return nil, err
+	}
+	if v := check(p); v != nil {
+		return v, nil
+	}
+	return p.checkActiveLimit(q, roomID, user.ID, 1, excludeID)
+}
+
+// requireRoom отвечает 404, если комнаты нет
+func (a *App) requireRoom(w http.ResponseWriter, roomID int64) bool {
+	var exists bool
+	if err := a.DB.QueryRow(`SELECT EXISTS (SELECT 1 FROM rooms WHERE id = $1)`, roomID).Scan(&exists); err != nil {
+		writeJSON(w, http.StatusInternalServerError, map[string]string{"error": "db error"})
+		return false
+	}
+	if !exists {
+		writeJSON(w, http.StatusNotFound, map[string]string{"error": "room not found"})
+		return false
+	}
+	return true
+}
+
+// ===== Handlers =====
+
+// handleGetRoomPolicy – правила комнаты, публично: страница показывает их рядом с формой
+func (a *App) handleGetRoomPolicy(w http.ResponseWriter, r *http.Request) {
+	roomID, err := parseIDParam(r, "roomID")
+	if err != nil {
+		writeJSON(w, http.StatusBadRequest, map[string]string{"error": "invalid room id"})
+		return
+	}
+
+	if !a.requireRoom(w, roomID) {
+		return
+	}
+
+	p, err := loadRoomPolicy(a.DB, roomID)
+	if err != nil {
+		writeJSON(w, http.StatusInternalServerError, map[string]string{"error": "db error"})
+		return
+	}
+	writeJSON(w, http.StatusOK, p)
+}
+
+// handlePutRoomPolicy заменяет правила комнаты целиком (admin). Прошедшие закрытые даты
+// не возвращаются в GET и при сохранении удаляются.
+func (a *App) handlePutRoomPolicy(w http.ResponseWriter, r *http.Request) {
+	roomID, err := parseIDParam(r, "roomID")
+	if err != nil {
+		writeJSON(w, http.StatusBadRequest, map[string]string{"error": "invalid room id"})
+		return
+	}
+
+	var p RoomPolicy
+	if !readJSON(w, r, &p) {
+		return
+	}
+	if err := p.validate(); err != nil {
+		writeJSON(w, http.StatusBadRequest, map[string]string{"error": err.Error()})
+		return
+	}
+	if !a.requireRoom(w, roomID) {
+		return
+	}
+
+	tx, err := a.DB.Begin()
+	if err != nil {
+		writeJSON(w, http.StatusInternalServerError, map[string]string{"error": "db error"})
+		return
+	}
+	defer tx.Rollback()
+
+	_, err = tx.Exec(
+		`INSERT INTO room_policies (room_id, min_minutes, max_minutes, max_days_ahead, max_active_per_user)
+         VALUES ($1, $2, $3, $4, $5)
+         ON CONFLICT (room_id) DO UPDATE SET min_minutes = $2, max_minutes = $3,
+                                             max_days_ahead = $4, max_active_per_user = $5`,
+		roomID, p.MinMinutes, p.MaxMinutes, p.MaxDaysAhead, p.MaxActivePerUser,
+	)
+	if err != nil {
+		writeJSON(w, http.StatusInternalServerError, map[string]string{"error": "db error"})
+		return
+	}
+	for _, stmt := range []string{
+		`DELETE FROM room_opening_hours WHERE room_id = $1`,
+		`DELETE FROM room_blackouts WHERE room_id = $1`,
+	} {
+		if _, err := tx.Exec(stmt, roomID); err != nil {
+			writeJSON(w, http.StatusInternalServerError, map[string]string{"error": "db error"})
+			return
+		}
+	}
+	for _, h := range p.OpeningHours {
+		opens, _ := parseClock(h.Opens)
+		closes, _ := parseClock(h.Closes)
+		_, err := tx.Exec(
+			`INSERT INTO room_opening_hours (room_id, weekday, opens_min, closes_min) VALUES ($1, $2, $3, $4)`,
+			roomID, h.Weekday, opens, closes,
+		)
+		if err != nil {
+			writeJSON(w, http.StatusInternalServerError, map[string]string{"error": "db error"})
+			return
+		}
+	}
+	for _, b := range p.Blackouts {
+		_, err := tx.Exec(
+			`INSERT INTO room_blackouts (room_id, starts_on, ends_on, reason) VALUES ($1, $2, $3, $4)`,
+			roomID, b.StartsOn, b.EndsOn, b.Reason,
+		)
+		if err != nil {
+			writeJSON(w, http.StatusInternalServerError, map[string]string{"error": "db error"})
+			return
+		}
+	}
+	if err := tx.Commit(); err != nil {
+		writeJSON(w, http.StatusInternalServerError, map[string]string{"error": "db error"})
+		return
+	}
+
+	saved, err := loadRoomPolicy(a.DB, roomID)
+	if err != nil {
+		writeJSON(w, http.StatusInternalServerError, map[string]string{"error": "db error"})
+		return
+	}
+	writeJSON(w, http.StatusOK, saved)
+}
@@ -0,0 +1,124 @@
+package main
+
+import (
+	"fmt"
+	"net/url"
+	"strconv"
+	"strings"
+
+	"github.com/lib/pq"
+)
+
+// Каталог комнат: расположение (здание, этаж), оборудование и доступность, фильтры
+// и сортировка для GET /api/rooms. Без параметров список как раньше – все комнаты по id.
+
+// оборудование, которое можно отметить у комнаты
+var roomEquipmentTags = []string{"projector", "video_conferencing", "whiteboard", "tv", "speakerphone"}
+
+// normalizeEquipment проверяет теги и убирает повторы, сохраняя порядок roomEquipmentTags
+func normalizeEquipment(tags []string) ([]string, error) {
+	want := map[string]bool{}
+	for _, t := range tags {
+		t = strings.ToLower(strings.TrimSpace(t))
+		if t == "" {
+			continue
+		}
+		known := false
+		for _, k := range roomEquipmentTags {
+			if k == t {
+				known = true
+				break
+			}
+		}
+		if !known {
+			return nil, fmt.Errorf("unknown equipment tag: %s", t)
+		}
+		want[t] = true
+	}
+	res := []string{}
+	for _, k := range roomEquipmentTags {
+		if want[k] {
+			res = append(res, k)
+		}
+	}
+	return res, nil
+}
+
+// сортировки списка комнат; ключ – значение ?sort=
+var roomSortOrders = map[string]string{
+	"":          "r.id",
+	"name":      "r.name, r.id",
+	"capacity":  "r.capacity, r.name, r.id",
+	"-capacity": "r.capacity DESC, r.name, r.id",
+	"location":  "r.building, r.floor NULLS LAST, r.name, r.id",
+}
+
+// roomListQuery собирает запрос списка комнат из параметров:
+// min_capacity, equipment (через запятую, нужны все), building, floor, accessible=1,
+// active=1|0 и sort. Без withInactive неактивные комнаты не попадают в список при любом active.
+// Ошибка – текст для ответа 400.
+func roomListQuery(q url.Values, withInactive bool) (string, []any, error) {
+	var (
+		where []string
+		args  []any
+	)
+	add := func(cond string, arg any) {
+		args = append(args, arg)
+		where = append(where, fmt.Sprintf(cond, len(args)))
+	}
+
+	if raw := q.Get("min_capacity"); raw != "" {
+		n, err := strconv.Atoi(raw)
+		if err != nil || n <= 0 {
+			return "", nil, fmt.Errorf("min_capacity must be > 0")
+		}
+		add("r.capacity >= $%d", n)
+	}
+	if raw := q.Get("equipment"); raw != "" {
+		tags, err := normalizeEquipment(strings.Split(raw, ","))
+		if err != nil {
+			return "", nil, err
+		}
+		add("r.equipment @> $%d", pq.Array(tags))
+	}
+	if building := strings.TrimSpace(q.Get("building")); building != "" {
+		add("lower(r.building) = lower($%d)", building)
+	}
+	if raw := q.Get("floor"); raw != "" {
+		n, err := strconv.Atoi(raw)
+		if err != nil {
+			return "", nil, fmt.Errorf("invalid floor")
+		}
+		add("r.floor = $%d", n)
+	}
+	switch q.Get("accessible") {
+	case "":
+	case "1", "true":
+		where = append(where, "r.accessible")
+	default:
+		return "", nil, fmt.Errorf("accessible must be 1")
+	}
+	switch q.Get("active") {
+	case "":
+	case "1", "true":
+		where = append(where, "r.is_active")
+	case "0", "false":
+		where = append(where, "NOT r.is_active")
+	default:
+		return "", nil, fmt.Errorf("active must be 1 or 0")
+	}
+	if !withInactive {
+		where = append(where, "r.is_active")
+	}
+
+	order, ok := roomSortOrders[q.Get("sort")]
+	if !ok {
+		return "", nil, fmt.Errorf("sort must be name, capacity, -capacity or location")
+	}
+
+	query := `SELECT ` + roomColumns + ` FROM rooms r`
+	if len(where) > 0 {
+		query += ` WHERE ` + strings.Join(where, " AND ")
+	}
+	return query + ` ORDER BY ` + order, args, nil
+}
@@ -1,8 +1,20 @@
+-- для ограничения-исключения по room_id (= для bigint в GiST)
+CREATE EXTENSION IF NOT EXISTS btree_gist;
+
 CREATE TABLE users (
     id            BIGSERIAL PRIMARY KEY,
     email         TEXT NOT NULL UNIQUE,
     password_hash TEXT NOT NULL,
     role          TEXT NOT NULL CHECK (role IN ('user', 'admin')),
+    display_name  TEXT NOT NULL DEFAULT '',
+    -- не показывать имя и email другим пользователям в списках броней (админам видно всегда)
+    hide_identity BOOLEAN NOT NULL DEFAULT FALSE,
+    -- IANA-зона, в которой показывать время; '' – как в браузере
+    time_zone     TEXT NOT NULL DEFAULT '',
+    -- пока NULL, бронировать нельзя
+    email_verified_at TIMESTAMPTZ,
+    -- отключенный админом аккаунт: вход запрещен, будущие брони отменены
+    disabled_at   TIMESTAMPTZ,
     created_at    TIMESTAMPTZ NOT NULL DEFAULT now()
 );
 
@@ -12,7 +24,28 @@ CREATE TABLE rooms (
     description TEXT,
     capacity    INTEGER NOT NULL CHECK (capacity > 0),
     photo_url   TEXT,
+    -- уменьшенная копия загруженного фото для списка комнат
+    photo_thumb_url TEXT NOT NULL DEFAULT '',
+    building    TEXT NOT NULL DEFAULT '',
+    floor       INTEGER,
+    -- теги оборудования: projector, video_conferencing, whiteboard, tv, speakerphone
+    equipment   TEXT[] NOT NULL DEFAULT '{}',
+    -- доступна для маломобильных (лифт/пандус, широкий проход)
+    accessible  BOOLEAN NOT NULL DEFAULT FALSE,
+    -- IANA-зона комнаты: в ней считаются часы работы и закрытые даты
+    time_zone   TEXT NOT NULL DEFAULT 'UTC',
     is_active   BOOLEAN NOT NULL DEFAULT TRUE,
+    -- брони создаются как pending и ждут подтверждения админа
+    requires_approval BOOLEAN NOT NULL DEFAULT FALSE,
+    created_at  TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+-- серия повторяющихся броней (daily / weekdays / weekly)
+CREATE TABLE booking_series (
+    id          BIGSERIAL PRIMARY KEY,
+    room_id     BIGINT NOT NULL REFERENCES rooms(id) ON DELETE CASCADE,
+    user_id     BIGINT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    frequency   TEXT NOT NULL CHECK (frequency IN ('daily', 'weekdays', 'weekly')),
     created_at  TIMESTAMPTZ NOT NULL DEFAULT now()
 );
 
@@ -22,9 +55,101 @@ CREATE TABLE bookings (
     user_id     BIGINT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
     start_time  TIMESTAMPTZ NOT NULL,
     end_time    TIMESTAMPTZ NOT NULL,
-    status      TEXT NOT NULL CHECK (status IN ('pending', 'confirmed', 'cancelled')),
-    created_at  TIMESTAMPTZ NOT NULL DEFAULT now()
+    status      TEXT NOT NULL CHECK (status IN ('pending', 'confirmed', 'cancelled', 'rejected')),
+    title       TEXT NOT NULL DEFAULT '',
+    description TEXT NOT NULL DEFAULT '',
+    series_id   BIGINT REFERENCES booking_series(id) ON DELETE SET NULL,
+    created_at  TIMESTAMPTZ NOT NULL DEFAULT now(),
+    CHECK (end_time > start_time),
+    -- активные брони одной комнаты не пересекаются: [start, end), встык можно.
+    -- Защищает от двойной брони при одновременных запросах (код 23P01 → 409)
+    CONSTRAINT bookings_no_overlap EXCLUDE USING gist (
+        room_id WITH =,
+        tstzrange(start_time, end_time, '[)') WITH &&
+    ) WHERE (status IN ('pending', 'confirmed'))
 );
 
 CREATE INDEX idx_bookings_room_time
     ON bookings (room_id, start_time, end_time);
+
+CREATE INDEX idx_bookings_series
+    ON bookings (series_id);
+
+-- приглашенные участники брони; по email, аккаунта у них может еще не быть
+CREATE TABLE booking_attendees (
+    booking_id  BIGINT NOT NULL REFERENCES bookings(id) ON DELETE CASCADE,
+    email       TEXT NOT NULL,
+    PRIMARY KEY (booking_id, email)
+);
+
+CREATE INDEX idx_booking_attendees_email
+    ON booking_attendees (email);
+
+-- правила бронирования комнаты; нет строки – ограничений нет. NULL в лимите – без ограничения
+CREATE TABLE room_policies (
+    room_id             BIGINT PRIMARY KEY REFERENCES rooms(id) ON DELETE CASCADE,
+    min_minutes         INTEGER CHECK (min_minutes > 0),
+    max_minutes         INTEGER CHECK (max_minutes > 0),
+    max_days_ahead      INTEGER CHECK (max_days_ahead > 0),
+    max_active_per_user INTEGER CHECK (max_active_per_user > 0)
+);
+
+-- часы работы по дням недели (ISO: 1 – понедельник) в часовом поясе комнаты; если строк нет – круглосуточно,
+-- иначе дни без строки – выходные
+CREATE TABLE room_opening_hours (
+    room_id     BIGINT NOT NULL REFERENCES rooms(id) ON DELETE CASCADE,
+    weekday     SMALLINT NOT NULL CHECK (weekday BETWEEN 1 AND 7),
+    -- минуты от полуночи; 1440 – до конца дня
+    opens_min   SMALLINT NOT NULL CHECK (opens_min BETWEEN 0 AND 1440),
+    closes_min  SMALLINT NOT NULL CHECK (closes_min BETWEEN 0 AND 1440),
+    PRIMARY KEY (room_id, weekday),
+    CHECK (closes_min > opens_min)
+);
+
+-- закрытые даты (праздники, ремонт), границы включительно
+CREATE TABLE room_blackouts (
+    id          BIGSERIAL PRIMARY KEY,
+    room_id     BIGINT NOT NULL REFERENCES rooms(id) ON DELETE CASCADE,
+    starts_on   DATE NOT NULL,
+    ends_on     DATE NOT NULL,
+    reason      TEXT NOT NULL DEFAULT '',
+    CHECK (ends_on >= starts_on)
+);
+
+CREATE INDEX idx_room_blackouts_room
+    ON room_blackouts (room_id, ends_on);
+
+-- токен для iCalendar-фидов (календари не умеют слать Bearer); один на пользователя
+CREATE TABLE calendar_tokens (
+    user_id     BIGINT PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+    token       TEXT NOT NULL UNIQUE,
+    created_at  TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+-- сессия входа: живет, пока обновляется refresh-токен; хранится только его хеш
+CREATE TABLE sessions (
+    id            BIGSERIAL PRIMARY KEY,
+    user_id       BIGINT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    refresh_hash  TEXT NOT NULL UNIQUE,
+    user_agent    TEXT NOT NULL DEFAULT '',
+    created_at    TIMESTAMPTZ NOT NULL DEFAULT now(),
+    last_seen_at  TIMESTAMPTZ NOT NULL DEFAULT now(),
+    expires_at    TIMESTAMPTZ NOT NULL,
+    revoked_at    TIMESTAMPTZ
+);
+
+CREATE INDEX idx_sessions_user
+    ON sessions (user_id);
+
+-- одноразовые токены из писем: подтверждение email и сброс пароля; хранится только хеш
+CREATE TABLE user_tokens (
+    token_hash  TEXT PRIMARY KEY,
+    user_id     BIGINT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    purpose     TEXT NOT NULL CHECK (purpose IN ('verify_email', 'reset_password')),
+    expires_at  TIMESTAMPTZ NOT NULL,
+    used_at     TIMESTAMPTZ,
+    created_at  TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX idx_user_tokens_user
+    ON user_tokens (user_id, purpose);
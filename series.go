@@ -0,0 +1,393 @@
+package main
+
+import (
+	"database/sql"
+	"errors"
+	"fmt"
+	"log"
+	"net/http"
+	"strings"
+	"time"
+
+	"github.com/lib/pq"
+)
+
+// Повторяющиеся брони: серия разворачивается в обычные bookings с общим series_id,
+// поэтому списки, отмена и проверка пересечений работают с ними как с одиночными.
+
+const maxSeriesOccurrences = 100
+
+type createBookingSeriesRequest struct {
+	RoomID      int64    `json:"room_id"`
+	StartTime   string   `json:"start_time"`  // RFC3339, первое вхождение
+	EndTime     string   `json:"end_time"`    // RFC3339
+	Frequency   string   `json:"frequency"`   // daily | weekdays | weekly
+	Until       string   `json:"until"`       // YYYY-MM-DD включительно (или count)
+	Count       int      `json:"count"`       // число вхождений (или until)
+	TimeZone    string   `json:"time_zone"`   // IANA, в ней считаются дни и выходные
+	OnConflict  string   `json:"on_conflict"` // abort (по умолчанию) | skip
+	DryRun      bool     `json:"dry_run"`     // только предпросмотр, ничего не создаем
+	Title       string   `json:"title"`       // тема, общая для всех вхождений
+	Description string   `json:"description"` // заметки, общие для всех вхождений
+	Attendees   []string `json:"attendees"`   // приглашаются на каждое вхождение
+}
+
+type seriesOccurrence struct {
+	StartTime time.Time `json:"start_time"`
+	EndTime   time.Time `json:"end_time"`
+	Conflict  bool      `json:"conflict"`
+	BookingID int64     `json:"booking_id,omitempty"`
+}
+
+type bookingSeriesResponse struct {
+	SeriesID    int64              `json:"series_id,omitempty"`
+	Occurrences []seriesOccurrence `json:"occurrences"`
+	Created     int                `json:"created"`
+	Skipped     int                `json:"skipped"`
+}
+
+// seriesStepDays возвращает шаг серии в днях
+func seriesStepDays(freq string) (int, bool) {
+	switch freq {
+	case "daily", "weekdays":
+		return 1, true
+	case "weekly":
+		return 7, true
+	}
+	return 0, false
+}
+
+// expandSeries разворачивает серию в список вхождений. Дни считаются в loc, чтобы
+// время встречи не съезжало при переходе на летнее время.
+func expandSeries(start, end time.Time, freq string, until time.Time, count int, loc *time.Location) ([]seriesOccurrence, error) {
+	step, ok := seriesStepDays(freq)
+	if !ok {
+		return nil, errors.New("unknown frequency")
+	}
+	duration := end.Sub(start)
+
+	var res []seriesOccurrence
+	for cur := start.In(loc); ; cur = cur.AddDate(0, 0, step) {
+		if !until.IsZero() && !cur.Before(until) {
+			break
+		}
+		if count > 0 && len(res) >= count {
+			break
+		}
+		if freq == "weekdays" && (cur.Weekday() == time.Saturday || cur.Weekday() == time.Sunday) {
+			continue
+		}
+		if len(res) >= maxSeriesOccurrences {
+			return nil, fmt.Errorf("series is limited to %d occurrences", maxSeriesOccurrences)
+		}
+		res = append(res, seriesOccurrence{StartTime: cur, EndTime: cur.Add(duration)})
+	}
+	return res, nil
+}
+
+func (a *App) handleCreateBookingSeries(w http.ResponseWriter, r *http.Request) {
+	user := getAuthUser(r)
+	if user == nil {
+		writeJSON(w, http.StatusUnauthorized, map[string]string{"error": "Неавторизованный пользователь"})
+		return
+	}
+
+	if !a.requireVerifiedEmail(w, user) {
+		return
+	}
+
+	var req createBookingSeriesRequest
+	if !readJSON(w, r, &req) {
+		return
+	}
+
+	if req.RoomID <= 0 || req.StartTime == "" || req.EndTime == "" {
+		writeJSON(w, http.StatusBadRequest, map[string]string{"error": "room_id, start_time, end_time required"})
+		return
+	}
+
+	start, err := time.Parse(time.RFC3339, req.StartTime)
+	if err != nil {
+		writeJSON(w, http.StatusBadRequest, map[string]string{"error": "Начало не распознано"})
+		return
+	}
+	end, err := time.Parse(time.RFC3339, req.EndTime)
+	if err != nil {
+		writeJSON(w, http.StatusBadRequest, map[string]string{"error": "Окончание не распознано"})
+		return
+	}
+	if !end.After(start) {
+		writeJSON(w, http.StatusBadRequest, map[string]string{"error": "Окончание должно быть после начала"})
+		return
+	}
+
+	req.Title = strings.TrimSpace(req.Title)
+	req.Description = strings.TrimSpace(req.Description)
+	req.Frequency = strings.ToLower(strings.TrimSpace(req.Frequency))
+	step, ok := seriesStepDays(req.Frequency)
+	if !ok {
+		writeJSON(w, http.StatusBadRequest, map[string]string{"error": "frequency must be daily, weekdays or weekly"})
+		return
+	}
+	// иначе вхождения серии пересекались бы друг с другом
+	if end.Sub(start) > time.Duration(step)*24*time.Hour {
+		writeJSON(w, http.StatusBadRequest, map[string]string{"error": "Бронь длиннее периода повторения"})
+		return
+	}
+
+	loc := time.UTC
+	if req.TimeZone != "" {
+		loc, err = time.LoadLocation(req.TimeZone)
+		if err != nil {
+			writeJSON(w, http.StatusBadRequest, map[string]string{"error": "unknown time_zone"})
+			return
+		}
+	}
+
+	var until time.Time
+	if req.Until != "" {
+		day, err := time.ParseInLocation("2006-01-02", req.Until, loc)
+		if err != nil {
+			writeJSON(w, http.StatusBadRequest, map[string]string{"error": "until must be YYYY-MM-DD"})
+			return
+		}
+		// until включительно – граница на начале следующего дня
+		until = day.AddDate(0, 0, 1)
+	}
+	if (until.IsZero() && req.Count <= 0) || req.Count < 0 {
+		writeJSON(w, http.StatusBadRequest, map[string]string{"error": "until or count > 0 required"})
+		return
+	}
+
+	onConflict := strings.ToLower(strings.TrimSpace(req.OnConflict))
+	if onConflict == "" {
+		onConflict = "abort"
+	}
+	if onConflict != "abort" && onConflict != "skip" {
+		writeJSON(w, http.StatusBadRequest, map[string]string{"error": "on_conflict must be abort or skip"})
+		return
+	}
+
+	occurrences, err := expandSeries(start, end, req.Frequency, until, req.Count, loc)
+	if err != nil {
+		writeJSON(w, http.StatusBadRequest, map[string]string{"error": err.Error()})
+		return
+	}
+	if len(occurrences) == 0 {
+		writeJSON(w, http.StatusBadRequest, map[string]string{"error": "Серия не содержит ни одного вхождения"})
+		return
+	}
+
+	tx, err := a.DB.Begin()
+	if err != nil {
+		writeJSON(w, http.StatusInternalServerError, map[string]string{"error": "db error"})
+		return
+	}
+	defer tx.Rollback()
+
+	status, err := initialBookingStatus(tx, req.RoomID)
+	if err != nil {
+		if errors.Is(err, sql.ErrNoRows) {
+			writeJSON(w, http.StatusNotFound, map[string]string{"error": "room not found"})
+		} else if errors.Is(err, errRoomInactive) {
+			writeJSON(w, http.StatusUnprocessableEntity, map[string]string{"error": err.Error()})
+		} else {
+			writeJSON(w, http.StatusInternalServerError, map[string]string{"error": "db error"})
+		}
+		return
+	}
+
+	ownerEmail, err := userEmail(tx, user.ID)
+	if err != nil {
+		writeJSON(w, http.StatusInternalServerError, map[string]string{"error": "db error"})
+		return
+	}
+	attendees, err := normalizeAttendees(req.Attendees, ownerEmail)
+	if err != nil {
+		writeJSON(w, http.StatusBadRequest, map[string]string{"error": err.Error()})
+		return
+	}
+	overCapacity, err := checkRoomCapacity(tx, req.RoomID, len(attendees))
+	if err != nil {
+		writeJSON(w, http.StatusInternalServerError, map[string]string{"error": "db error"})
+		return
+	}
+	if overCapacity != "" {
+		writeJSON(w, http.StatusUnprocessableEntity, map[string]string{"error": overCapacity})
+		return
+	}
+
+	resp := bookingSeriesResponse{Occurrences: occurrences}
+	for i := range occurrences {
+		busy, err := hasBookingOverlap(tx, req.RoomID, occurrences[i].StartTime, occurrences[i].EndTime, 0)
+		if err != nil {
+			writeJSON(w, http.StatusInternalServerError, map[string]string{"error": "db error"})
+			return
+		}
+		occurrences[i].Conflict = busy
+		if busy {
+			resp.Skipped++
+		}
+	}
+
+	// правила комнаты: нарушение в любом вхождении отклоняет серию целиком
+	if user.Role != "admin" {
+		policy, err := loadRoomPolicy(tx, req.RoomID)
+		if err != nil {
+			writeJSON(w, http.StatusInternalServerError, map[string]string{"error": "db error"})
+			return
+		}
+		now := time.Now()
+		loc, err := time.LoadLocation(policy.TimeZone)
+		if err != nil {
+			loc = time.UTC
+		}
+		for _, occ := range occurrences {
+			if v := policy.checkTimes(occ.StartTime, occ.EndTime, now); v != nil {
+				v.Message = occ.StartTime.In(loc).Format("02.01.2006") + ": " + v.Message
+				writePolicyViolation(w, v)
+				return
+			}
+		}
+		v, err := policy.checkActiveLimit(tx, req.RoomID, user.ID, len(occurrences)-resp.Skipped, 0)
+		if err != nil {
+			writeJSON(w, http.StatusInternalServerError, map[string]string{"error": "db error"})
+			return
+		}
+		if v != nil {
+			writePolicyViolation(w, v)
+			return
+		}
+	}
+
+	if req.DryRun {
+		writeJSON(w, http.StatusOK, resp)
+		return
+	}
+	if resp.Skipped > 0 && (onConflict == "abort" || resp.Skipped == len(occurrences)) {
+		writeJSON(w, http.StatusConflict, map[string]any{
+			"error":       "time slot already booked",
+			"occurrences": occurrences,
+		})
+		return
+	}
+
+	err = tx.QueryRow(
+		`INSERT INTO booking_series (room_id, user_id, frequency) VALUES ($1, $2, $3) RETURNING id`,
+		req.RoomID, user.ID, req.Frequency,
+	).Scan(&resp.SeriesID)
+	if err != nil {
+		writeJSON(w, http.StatusInternalServerError, map[string]string{"error": "db error"})
+		return
+	}
+
+	for i := range occurrences {
+		if occurrences[i].Conflict {
+			continue
+		}
+		err = tx.QueryRow(
+			`INSERT INTO bookings (room_id, user_id, start_time, end_time, status, series_id, title, description)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8) RETURNING id`,
+			req.RoomID, user.ID, occurrences[i].StartTime, occurrences[i].EndTime, status, resp.SeriesID, req.Title, req.Description,
+		).Scan(&occurrences[i].BookingID)
+		if err != nil {
+			// слот заняли параллельно после проверки выше: серия не создается целиком
+			if isBookingOverlapError(err) {
+				writeJSON(w, http.StatusConflict, map[string]string{"error": "time slot already booked"})
+			} else {
+				writeJSON(w, http.StatusInternalServerError, map[string]string{"error": "db error"})
+			}
+			return
+		}
+		if err := insertAttendees(tx, occurrences[i].BookingID, attendees); err != nil {
+			writeJSON(w, http.StatusInternalServerError, map[string]string{"error": "db error"})
+			return
+		}
+		resp.Created++
+	}
+
+	if err := tx.Commit(); err != nil {
+		writeJSON(w, http.StatusInternalServerError, map[string]string{"error": "db error"})
+		return
+	}
+
+	log.Printf("[email] booking series %s: series_id=%d user_id=%d room_id=%d created=%d skipped=%d",
+		status, resp.SeriesID, user.ID, req.RoomID, resp.Created, resp.Skipped)
+
+	seriesID := resp.SeriesID
+	now := time.Now()
+	for _, o := range occurrences {
+		if o.BookingID == 0 {
+			continue
+		}
+		a.publishBooking(eventBookingCreated, &Booking{
+			ID: o.BookingID, RoomID: req.RoomID, UserID: user.ID, StartTime: o.StartTime, EndTime: o.EndTime,
+			Status: status, Title: req.Title, Description: req.Description, SeriesID: &seriesID, CreatedAt: now,
+		})
+	}
+
+	writeJSON(w, http.StatusCreated, resp)
+}
+
+// handleCancelBookingSeries отменяет все будущие вхождения серии; прошедшие не трогаем.
+func (a *App) handleCancelBookingSeries(w http.ResponseWriter, r *http.Request) {
+	user := getAuthUser(r)
+	if user == nil {
+		writeJSON(w, http.StatusUnauthorized, map[string]string{"error": "unauthorized"})
+		return
+	}
+
+	seriesID, err := parseIDParam(r, "seriesID")
+	if err != nil {
+		writeJSON(w, http.StatusBadRequest, map[string]string{"error": "invalid series id"})
+		return
+	}
+
+	var ownerID int64
+	err = a.DB.QueryRow(`SELECT user_id FROM booking_series WHERE id = $1`, seriesID).Scan(&ownerID)
+	if err != nil {
+		if errors.Is(err, sql.ErrNoRows) {
+			writeJSON(w, http.StatusNotFound, map[string]string{"error": "series not found"})
+		} else {
+			writeJSON(w, http.StatusInternalServerError, map[string]string{"error": "db error"})
+		}
+		return
+	}
+
+	if user.Role != "admin" && user.ID != ownerID {
+		writeJSON(w, http.StatusForbidden, map[string]string{"error": "access denied"})
+		return
+	}
+
+	// отменяются только те вхождения, которые можно отменить и по одному
+	rows, err := a.DB.Query(
+		`UPDATE bookings SET status = 'cancelled'
+         WHERE series_id = $1 AND status = ANY($2) AND start_time > now()
+         RETURNING `+bookingColumns,
+		seriesID, pq.Array(transitionSources("cancelled", user, ownerID)),
+	)
+	if err != nil {
+		writeJSON(w, http.StatusInternalServerError, map[string]string{"error": "db error"})
+		return
+	}
+	defer rows.Close()
+
+	var cancelled []Booking
+	for rows.Next() {
+		var b Booking
+		if err := scanBooking(rows, &b); err != nil {
+			writeJSON(w, http.StatusInternalServerError, map[string]string{"error": "db error"})
+			return
+		}
+		cancelled = append(cancelled, b)
+	}
+	if err := rows.Err(); err != nil {
+		writeJSON(w, http.StatusInternalServerError, map[string]string{"error": "db error"})
+		return
+	}
+	for i := range cancelled {
+		a.publishBooking(eventBookingCancelled, &cancelled[i])
+	}
+
+	writeJSON(w, http.StatusOK, map[string]any{"status": "cancelled", "cancelled": len(cancelled)})
+}
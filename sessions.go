@@ -0,0 +1,259 @@
+package main
+
+import (
+	"crypto/sha256"
+	"database/sql"
+	"encoding/hex"
+	"errors"
+	"net/http"
+	"time"
+
+	"github.com/golang-jwt/jwt/v5"
+)
+
+// Сессии входа. Вход выдает короткий access-токен (JWT с id сессии) и refresh-токен,
+// который меняется при каждом обновлении. В БД хранится только хеш refresh-токена;
+// выход и отзыв сессии сразу отключают и ее access-токен – authMiddleware проверяет сессию.
+
+const (
+	accessTokenTTL  = 15 * time.Minute
+	refreshTokenTTL = 30 * 24 * time.Hour
+)
+
+type Session struct {
+	ID         int64     `json:"id"`
+	UserAgent  string    `json:"user_agent"`
+	CreatedAt  time.Time `json:"created_at"`
+	LastSeenAt time.Time `json:"last_seen_at"`
+	Current    bool      `json:"current"`
+}
+
+type refreshRequest struct {
+	RefreshToken string `json:"refresh_token"`
+}
+
+// hashToken – в БД храним только хеши секретных токенов
+func hashToken(token string) string {
+	sum := sha256.Sum256([]byte(token))
+	return hex.EncodeToString(sum[:])
+}
+
+func (a *App) signAccessToken(userID int64, role string, sessionID int64) (string, error) {
+	claims := &Claims{
+		UserID:    userID,
+		Role:      role,
+		SessionID: sessionID,
+		RegisteredClaims: jwt.RegisteredClaims{
+			ExpiresAt: jwt.NewNumericDate(time.Now().Add(accessTokenTTL)),
+			IssuedAt:  jwt.NewNumericDate(time.Now()),
+		},
+	}
+	return jwt.NewWithClaims(jwt.SigningMethodHS256, claims).SignedString(a.JWTSecret)
+}
+
+// startSession создает сессию и выдает первую пару токенов
+func (a *App) startSession(userID int64, role, userAgent string) (loginResponse, error) {
+	refresh, err := newRandomToken()
+	if err != nil {
+		return loginResponse{}, err
+	}
+
+	var sessionID int64
+	err = a.DB.QueryRow(
+		`INSERT INTO sessions (user_id, refresh_hash, user_agent, expires_at) VALUES ($1, $2, $3, $4) RETURNING id`,
+		userID, hashToken(refresh), userAgent, time.Now().Add(refreshTokenTTL),
+	).Scan(&sessionID)
+	if err != nil {
+		return loginResponse{}, err
+	}
+
+	access, err := a.signAccessToken(userID, role, sessionID)
+	if err != nil {
+		return loginResponse{}, err
+	}
+	return loginResponse{Token: access, RefreshToken: refresh, ExpiresIn: int(accessTokenTTL.Seconds())}, nil
+}
+
+// touchSession отмечает активность сессии и возвращает текущую роль пользователя.
+// sql.ErrNoRows – сессия отозвана или истекла, либо аккаунт отключен.
+func (a *App) touchSession(sessionID, userID int64) (string, error) {
+	var role string
+	err := a.DB.QueryRow(
+		`UPDATE sessions s SET last_seen_at = now()
+         FROM users u
+         WHERE s.id = $1 AND s.user_id = $2 AND u.id = s.user_id
+           AND s.revoked_at IS NULL AND s.expires_at > now() AND u.disabled_at IS NULL
+         RETURNING u.role`,
+		sessionID, userID,
+	).Scan(&role)
+	return role, err
+}
+
+// ===== Handlers =====
+
+// handleRefresh меняет refresh-токен на новую пару. Старый refresh-токен после этого
+// недействителен. Сессии отключенного аккаунта не продлеваются.
+func (a *App) handleRefresh(w http.ResponseWriter, r *http.Request) {
+	var req refreshRequest
+	if !readJSON(w, r, &req) {
+		return
+	}
+	if req.RefreshToken == "" {
+		writeJSON(w, http.StatusBadRequest, map[string]string{"error": "refresh_token required"})
+		return
+	}
+
+	tx, err := a.DB.Begin()
+	if err != nil {
+		writeJSON(w, http.StatusInternalServerError, map[string]string{"error": "db error"})
+		return
+	}
+	defer tx.Rollback()
+
+	var (
+		sessionID, userID int64
+		role              string
+	)
+	err = tx.QueryRow(
+		`SELECT s.id, s.user_id, u.role
+         FROM sessions s
+         JOIN users u ON u.id = s.user_id
+         WHERE s.refresh_hash = $1 AND s.revoked_at IS NULL AND s.expires_at > now()
+           AND u.disabled_at IS NULL
+         FOR UPDATE OF s`,
+		hashToken(req.RefreshToken),
+	).Scan(&sessionID, &userID, &role)
+	if err != nil {
+		if errors.Is(err, sql.ErrNoRows) {
+			writeJSON(w, http.StatusUnauthorized, map[string]string{"error": "invalid refresh token"})
+		} else {
+			writeJSON(w, http.StatusInternalServerError, map[string]string{"error": "db error"})
+		}
+		return
+	}
+
+	refresh, err := newRandomToken()
+	if err != nil {
+		writeJSON(w, http.StatusInternalServerError, map[string]string{"error": "failed to generate token"})
+		return
+	}
+	_, err = tx.Exec(
+		`UPDATE sessions SET refresh_hash = $1, last_seen_at = now(), expires_at = $2, user_agent = $3 WHERE id = $4`,
+		hashToken(refresh), time.Now().Add(refreshTokenTTL), r.UserAgent(), sessionID,
+	)
+	if err != nil {
+		writeJSON(w, http.StatusInternalServerError, map[string]string{"error": "db error"})
+		return
+	}
+	if err := tx.Commit(); err != nil {
+		writeJSON(w, http.StatusInternalServerError, map[string]string{"error": "db error"})
+		return
+	}
+
+	access, err := a.signAccessToken(userID, role, sessionID)
+	if err != nil {
+		writeJSON(w, http.StatusInternalServerError, map[string]string{"error": "Токен не существует"})
+		return
+	}
+
+	writeJSON(w, http.StatusOK, loginResponse{Token: access, RefreshToken: refresh, ExpiresIn: int(accessTokenTTL.Seconds())})
+}
+
+// handleLogout завершает текущую сессию
+func (a *App) handleLogout(w http.ResponseWriter, r *http.Request) {
+	user := getAuthUser(r)
+	if user == nil {
+		writeJSON(w, http.StatusUnauthorized, map[string]string{"error": "unauthorized"})
+		return
+	}
+
+	if _, err := a.DB.Exec(`UPDATE sessions SET revoked_at = now() WHERE id = $1`, user.SessionID); err != nil {
+		writeJSON(w, http.StatusInternalServerError, map[string]string{"error": "db error"})
+		return
+	}
+
+	writeJSON(w, http.StatusOK, map[string]string{"status": "logged out"})
+}
+
+// handleListSessions – активные сессии пользователя, недавние первыми
+func (a *App) handleListSessions(w http.ResponseWriter, r *http.Request) {
+	user := getAuthUser(r)
+	if user == nil {
+		writeJSON(w, http.StatusUnauthorized, map[string]string{"error": "unauthorized"})
+		return
+	}
+
+	rows, err := a.DB.Query(
+		`SELECT id, user_agent, created_at, last_seen_at
+         FROM sessions
+         WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > now()
+         ORDER BY last_seen_at DESC`,
+		user.ID,
+	)
+	if err != nil {
+		writeJSON(w, http.StatusInternalServerError, map[string]string{"error": "db error"})
+		return
+	}
+	defer rows.Close()
+
+	res := []Session{}
+	for rows.Next() {
+		var s Session
+		if err := rows.Scan(&s.ID, &s.UserAgent, &s.CreatedAt, &s.LastSeenAt); err != nil {
+			writeJSON(w, http.StatusInternalServerError, map[string]string{"error": "db error"})
+			return
+		}
+		s.Current = s.ID == user.SessionID
+		res = append(res, s)
+	}
+
+	writeJSON(w, http.StatusOK, res)
+}
+
+func (a *App) handleRevokeSession(w http.ResponseWriter, r *http.Request) {
+	user := getAuthUser(r)
+	if user == nil {
+		writeJSON(w, http.StatusUnauthorized, map[string]string{"error": "unauthorized"})
+		return
+	}
+
+	sessionID, err := parseIDParam(r, "sessionID")
+	if err != nil {
+		writeJSON(w, http.StatusBadRequest, map[string]string{"error": "invalid session id"})
+		return
+	}
+
+	// чужая сессия для пользователя неотличима от несуществующей
+	res, err := a.DB.Exec(
+		`UPDATE sessions SET revoked_at = now() WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL`,
+		sessionID, user.ID,
+	)
+	if err != nil {
+		writeJSON(w, http.StatusInternalServerError, map[string]string{"error": "db error"})
+		return
+	}
+	if n, _ := res.RowsAffected(); n == 0 {
+		writeJSON(w, http.StatusNotFound, map[string]string{"error": "session not found"})
+		return
+	}
+
+	writeJSON(w, http.StatusOK, map[string]string{"status": "revoked"})
+}
+
+// handleRevokeAllSessions – выход на всех устройствах, включая текущее
+func (a *App) handleRevokeAllSessions(w http.ResponseWriter, r *http.Request) {
+	user := getAuthUser(r)
+	if user == nil {
+		writeJSON(w, http.StatusUnauthorized, map[string]string{"error": "unauthorized"})
+		return
+	}
+
+	res, err := a.DB.Exec(`UPDATE sessions SET revoked_at = now() WHERE user_id = $1 AND revoked_at IS NULL`, user.ID)
+	if err != nil {
+		writeJSON(w, http.StatusInternalServerError, map[string]string{"error": "db error"})
+		return
+	}
+	revoked, _ := res.RowsAffected()
+
+	writeJSON(w, http.StatusOK, map[string]any{"status": "revoked", "revoked": revoked})
+}
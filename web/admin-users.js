@@ -0,0 +1,145 @@
+import * as api from "./api.js";
+import { formatLocalDateTime } from "./format.js";
+
+document.getElementById("api-base-label").textContent = api.API_BASE;
+
+let currentUser = null;
+
+function showMessage(id, text) {
+    const el = document.getElementById(id);
+    el.textContent = text || "";
+}
+
+// ==== auth + user ====
+
+async function initAuth() {
+    try {
+        currentUser = await api.requireUser();
+    } catch (e) {
+        alert("Не удалось загрузить профиль: " + e.message);
+        return false;
+    }
+    if (!currentUser) return false;
+    document.getElementById("user-email").textContent = currentUser.email;
+    document.getElementById("user-role").textContent = `(${currentUser.role})`;
+    if (currentUser.role !== "admin") {
+        window.location.href = "/rooms.html";
+        return false;
+    }
+    return true;
+}
+
+document.getElementById("logout-btn").addEventListener("click", api.logout);
+
+// ==== список ====
+
+function smallButton(text, onClick) {
+    const btn = document.createElement("button");
+    btn.className = "btn btn--ghost";
+    btn.textContent = text;
+    btn.style.fontSize = "11px";
+    btn.addEventListener("click", onClick);
+    return btn;
+}
+
+async function loadUsers() {
+    const query = document.getElementById("users-search").value.trim();
+    try {
+        const users = await api.listUsers(query);
+        const list = document.getElementById("users-list");
+        list.innerHTML = "";
+        users.forEach(u => {
+            const li = document.createElement("li");
+            li.className = "list-item";
+
+            const left = document.createElement("div");
+            const title = document.createElement("div");
+            title.textContent = u.display_name ? `${u.display_name} <${u.email}>` : u.email;
+            const meta = document.createElement("div");
+            meta.className = "list-item__meta";
+            meta.textContent = `#${u.id} • броней: ${u.bookings_total}, предстоящих: ${u.upcoming_bookings}`
+                + ` • с ${formatLocalDateTime(u.created_at)}`
+                + (u.email_verified ? "" : " • email не подтвержден");
+            left.appendChild(title);
+            left.appendChild(meta);
+
+            const right = document.createElement("div");
+            right.style.display = "flex";
+            right.style.gap = "6px";
+
+            const roleBadge = document.createElement("span");
+            roleBadge.className = u.role === "admin" ? "badge badge--success" : "badge";
+            roleBadge.textContent = u.role;
+            right.appendChild(roleBadge);
+            if (u.disabled) {
+                const disabledBadge = document.createElement("span");
+                disabledBadge.className = "badge badge--muted";
+                disabledBadge.textContent = "отключен";
+                right.appendChild(disabledBadge);
+            }
+
+            // себя не понижаем и не отключаем – сервер тоже откажет
+            if (u.id !== currentUser.id) {
+                right.appendChild(smallButton(
+                    u.role === "admin" ? "Сделать пользователем" : "Сделать админом",
+                    () => changeUser(u, { role: u.role === "admin" ? "user" : "admin" })
+                ));
+                right.appendChild(smallButton(
+                    u.disabled ? "Включить" : "Отключить",
+                    () => toggleDisabled(u)
+                ));
+            }
+            right.appendChild(smallButton("Сбросить пароль", () => resetPassword(u)));
+
+            li.appendChild(left);
+            li.appendChild(right);
+            list.appendChild(li);
+        });
+        showMessage("users-message", users.length === 0 ? "Никого не найдено" : "");
+    } catch (e) {
+        showMessage("users-message", e.message);
+    }
+}
+
+async function changeUser(user, patch) {
+    try {
+        const res = await api.updateUser(user.id, patch);
+        showMessage("users-message", res.cancelled_bookings > 0
+            ? `${user.email}: изменено, отменено будущих броней: ${res.cancelled_bookings}`
+            : `${user.email}: изменено`);
+        await loadUsers();
+    } catch (e) {
+        showMessage("users-message", e.message);
+    }
+}
+
+async function toggleDisabled(user) {
+    if (!user.disabled) {
+        const text = `Отключить ${user.email}? Вход будет запрещен, сессии завершены,`
+            + ` будущие брони (${user.upcoming_bookings}) отменены.`;
+        if (!confirm(text)) return;
+    }
+    await changeUser(user, { disabled: !user.disabled });
+}
+
+async function resetPassword(user) {
+    if (!confirm(`Сбросить пароль ${user.email}? Старый пароль перестанет действовать, пользователю придет ссылка для нового.`)) return;
+    try {
+        await api.adminResetPassword(user.id);
+        showMessage("users-message", `${user.email}: ссылка для нового пароля отправлена`);
+    } catch (e) {
+        showMessage("users-message", e.message);
+    }
+}
+
+document.getElementById("users-search-btn").addEventListener("click", loadUsers);
+document.getElementById("users-search").addEventListener("keydown", e => {
+    if (e.key === "Enter") loadUsers();
+});
+
+// ==== init ====
+
+(async function init() {
+    if (!(await initAuth())) return;
+    await loadUsers();
+})();
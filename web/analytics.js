@@ -0,0 +1,208 @@
+import * as api from "./api.js";
+import { renderBarChart, renderHeatmap } from "./charts.js";
+import { zonedParts } from "./format.js";
+import { initDisplayZoneSelect, userTimeZone } from "./timezone.js";
+
+document.getElementById("api-base-label").textContent = api.API_BASE;
+
+const WEEKDAYS = ["пн", "вт", "ср", "чт", "пт", "сб", "вс"];
+const HOURS = Array.from({ length: 24 }, (_, h) => String(h));
+
+let currentUser = null;
+let timeZone = null;
+
+function showMessage(id, text) {
+    const el = document.getElementById(id);
+    el.textContent = text || "";
+}
+
+// ==== auth + user ====
+
+async function initAuth() {
+    try {
+        currentUser = await api.requireUser();
+    } catch (e) {
+        alert("Не удалось загрузить профиль: " + e.message);
+        return false;
+    }
+    if (!currentUser) return false;
+    document.getElementById("user-email").textContent = currentUser.email;
+    document.getElementById("user-role").textContent = `(${currentUser.role})`;
+    if (currentUser.role !== "admin") {
+        window.location.href = "/rooms.html";
+        return false;
+    }
+    return true;
+}
+
+document.getElementById("logout-btn").addEventListener("click", api.logout);
+
+// ==== форматирование ====
+
+const percent = share => `${Math.round(share * 100)}%`;
+
+function hours(minutes) {
+    return minutes >= 600 ? `${Math.round(minutes / 60)} ч` : `${(minutes / 60).toFixed(1)} ч`;
+}
+
+function isoDate(date, tz) {
+    const p = zonedParts(date, tz);
+    return `${p.year}-${String(p.month).padStart(2, "0")}-${String(p.day).padStart(2, "0")}`;
+}
+
+// зона из адреса могла прийти с ошибкой – такую не предлагаем
+function knownTimeZone(tz) {
+    if (!tz) return null;
+    try {
+        Intl.DateTimeFormat("en-US", { timeZone: tz });
+        return tz;
+    } catch {
+        return null;
+    }
+}
+
+// ==== период ====
+
+// период хранится в адресе страницы, чтобы отчетом можно было поделиться
+function readPeriod() {
+    return {
+        from: document.getElementById("period-from").value,
+        to: document.getElementById("period-to").value,
+        time_zone: timeZone
+    };
+}
+
+function savePeriod(period) {
+    const params = new URLSearchParams({ from: period.from, to: period.to, tz: period.time_zone });
+    history.replaceState(null, "", `${window.location.pathname}?${params}`);
+}
+
+function fillPeriod(params) {
+    const to = params.get("to") || isoDate(new Date(), timeZone);
+    const from = params.get("from") || isoDate(new Date(Date.now() - 29 * 24 * 3600 * 1000), timeZone);
+    document.getElementById("period-from").value = from;
+    document.getElementById("period-to").value = to;
+}
+
+// ==== отчеты ====
+
+function renderTotal(total) {
+    const root = document.getElementById("usage-total");
+    root.innerHTML = "";
+    [
+        ["Загрузка", percent(total.occupancy)],
+        ["Броней", String(total.bookings)],
+        ["Отмен", percent(total.cancellation_rate)],
+        ["Средняя встреча", `${Math.round(total.avg_minutes)} мин`]
+    ].forEach(([label, value]) => {
+        const item = document.createElement("div");
+        const valueEl = document.createElement("div");
+        valueEl.className = "stats__value";
+        valueEl.textContent = value;
+        const labelEl = document.createElement("div");
+        labelEl.className = "list-item__meta";
+        labelEl.textContent = label;
+        item.appendChild(valueEl);
+        item.appendChild(labelEl);
+        root.appendChild(item);
+    });
+}
+
+function renderRooms(rooms) {
+    const sorted = rooms.slice().sort((a, b) => b.occupancy - a.occupancy);
+    renderBarChart(document.getElementById("chart-occupancy"), sorted.map(r => ({
+        label: r.name,
+        value: r.occupancy,
+        title: `${r.name}: ${hours(r.booked_minutes)} из ${hours(r.bookable_minutes)}`
+    })), { max: 1, format: percent });
+
+    const list = document.getElementById("usage-rooms");
+    list.innerHTML = "";
+    sorted.forEach(r => {
+        const li = document.createElement("li");
+        li.className = "list-item";
+        const left = document.createElement("div");
+        const title = document.createElement("a");
+        title.className = "link-plain";
+        title.href = `/room.html?id=${r.room_id}`;
+        title.textContent = r.is_active ? r.name : `${r.name} (неактивна)`;
+        const meta = document.createElement("div");
+        meta.className = "list-item__meta";
+        meta.textContent = `загрузка ${percent(r.occupancy)} (${hours(r.booked_minutes)} из ${hours(r.bookable_minutes)})`
+            + ` • броней: ${r.bookings}, отмен: ${percent(r.cancellation_rate)}`
+            + (r.confirmed ? ` • в среднем ${Math.round(r.avg_minutes)} мин` : "");
+        left.appendChild(title);
+        left.appendChild(meta);
+        li.appendChild(left);
+        list.appendChild(li);
+    });
+
+    // список комнат для тепловой карты, выбор сохраняется
+    const select = document.getElementById("heatmap-room");
+    const selected = select.value;
+    select.length = 1;
+    rooms.forEach(r => select.appendChild(new Option(r.name, String(r.room_id))));
+    select.value = rooms.some(r => String(r.room_id) === selected) ? selected : "";
+}
+
+async function loadHeatmap() {
+    const roomId = parseInt(document.getElementById("heatmap-room").value, 10) || undefined;
+    try {
+        const res = await api.getUsageHeatmap(readPeriod(), roomId);
+        renderHeatmap(document.getElementById("chart-heatmap"), res.cells, {
+            rowLabels: WEEKDAYS,
+            colLabels: HOURS,
+            format: minutes => `занято ${hours(minutes)}`
+        });
+    } catch (e) {
+        showMessage("analytics-message", e.message);
+    }
+}
+
+function renderBookers(users) {
+    renderBarChart(document.getElementById("chart-bookers"), users.map(u => ({
+        label: u.display_name || u.email,
+        value: u.booked_minutes,
+        title: `${u.email}: ${hours(u.booked_minutes)}, броней ${u.bookings}, отменено ${u.cancelled}`
+    })), { format: hours });
+}
+
+async function loadAnalytics() {
+    const period = readPeriod();
+    if (period.from && period.to && period.from > period.to) {
+        showMessage("analytics-message", "Начало периода позже конца");
+        return;
+    }
+    savePeriod(period);
+    showMessage("analytics-message", "");
+    try {
+        const [usage, bookers] = await Promise.all([api.getRoomUsage(period), api.getTopBookers(period)]);
+        renderTotal(usage.total);
+        renderRooms(usage.rooms);
+        renderBookers(bookers.users);
+    } catch (e) {
+        showMessage("analytics-message", e.message);
+        return;
+    }
+    await loadHeatmap();
+}
+
+document.getElementById("period-apply").addEventListener("click", loadAnalytics);
+document.getElementById("heatmap-room").addEventListener("change", loadHeatmap);
+
+// ==== init ====
+
+(async function init() {
+    if (!(await initAuth())) return;
+    const params = new URLSearchParams(window.location.search);
+    timeZone = initDisplayZoneSelect(document.getElementById("tz-select"), [
+        { zone: knownTimeZone(params.get("tz")), label: "из ссылки" },
+        { zone: userTimeZone(currentUser), label: "мой" },
+        { zone: "UTC", label: "UTC" }
+    ], zone => {
+        timeZone = zone;
+        loadAnalytics();
+    });
+    fillPeriod(params);
+    await loadAnalytics();
+})();
@@ -0,0 +1,805 @@
+// Общий клиент API bookmyroom для всех страниц.
+// Базовый URL по умолчанию – тот же origin, можно переопределить через window.API_BASE
+// до подключения скриптов страницы.
+
+export const API_BASE = window.API_BASE || window.location.origin;
+
+const TOKEN_KEY = "bookmyroom_token";
+const REFRESH_KEY = "bookmyroom_refresh";
+
+/**
+ * @typedef {Object} User
+ * @property {number} id
+ * @property {string} email
+ * @property {"user"|"admin"} role
+ * @property {string} display_name
+ * @property {boolean} hide_identity не показывать себя другим в списках броней
+ * @property {string} time_zone IANA-зона для показа времени; "" – как в браузере
+ * @property {boolean} email_verified без подтверждения бронировать нельзя
+ * @property {string} created_at
+ */
+
+/**
+ * @typedef {Object} Room
+ * @property {number} id
+ * @property {string} name
+ * @property {string} [description]
+ * @property {number} capacity
+ * @property {string} [photo_url]
+ * @property {string} [photo_thumb_url] уменьшенная копия для списков
+ * @property {string} building здание, может быть пустым
+ * @property {number|null} floor
+ * @property {string[]} equipment теги: projector, video_conferencing, whiteboard, tv, speakerphone
+ * @property {boolean} accessible доступна для маломобильных
+ * @property {string} time_zone IANA-зона комнаты: в ней часы работы и закрытые даты
+ * @property {boolean} is_active
+ * @property {boolean} requires_approval брони создаются как pending
+ * @property {string} created_at
+ */
+
+/**
+ * @typedef {Object} Booking
+ * @property {number} id
+ * @property {number} room_id
+ * @property {number} user_id
+ * @property {string} start_time RFC3339
+ * @property {string} end_time RFC3339
+ * @property {"pending"|"confirmed"|"cancelled"|"rejected"} status
+ * @property {string} title тема встречи, может быть пустой
+ * @property {string} description заметки к встрече
+ * @property {number} [series_id] id серии, если бронь повторяющаяся
+ * @property {string} created_at
+ */
+
+/**
+ * Бронь из списка комнаты. Имя и email есть, только если смотрящему их можно видеть.
+ * @typedef {Booking & {user_name?: string, user_email?: string, attendee_count: number}} RoomBooking
+ */
+
+/**
+ * Бронь из "Моих бронирований": своя или та, куда пригласили (invited).
+ * @typedef {Booking & {invited: boolean, attendees: string[]}} MyBooking
+ */
+
+/**
+ * Ошибка ответа API: HTTP-статус и строка из поля `error` ответа сервера.
+ */
+export class ApiError extends Error {
+    constructor(status, message, data = null) {
+        super(message);
+        this.name = "ApiError";
+        this.status = status;
+        this.data = data;
+    }
+}
+
+// ==== токен ====
+
+export function getAuthToken() {
+    return localStorage.getItem(TOKEN_KEY);
+}
+
+/**
+ * Сохраняет токены после входа или обновления; без token забывает оба.
+ * @param {string|null} token access-токен
+ * @param {string} [refreshToken]
+ */
+export function setAuthToken(token, refreshToken) {
+    if (!token) {
+        localStorage.removeItem(TOKEN_KEY);
+        localStorage.removeItem(REFRESH_KEY);
+        return;
+    }
+    localStorage.setItem(TOKEN_KEY, token);
+    if (refreshToken) {
+        localStorage.setItem(REFRESH_KEY, refreshToken);
+    }
+}
+
+function getAuthHeaders() {
+    const token = getAuthToken();
+    if (!token) return {};
+    return { "Authorization": "Bearer " + token };
+}
+
+// Сессия истекла или отозвана: забываем токены и уводим на вход с пояснением
+function expireSession() {
+    setAuthToken(null);
+    window.location.href = "/index.html?session=expired";
+}
+
+let refreshPromise = null;
+
+/**
+ * Обменивает refresh-токен на новую пару. Одновременные 401 ждут один и тот же обмен.
+ * @returns {Promise<boolean>} false – сессию не продлить
+ */
+function refreshSession() {
+    if (!refreshPromise) {
+        refreshPromise = (async () => {
+            const used = localStorage.getItem(REFRESH_KEY);
+            if (!used) return false;
+            let resp;
+            try {
+                resp = await fetch(API_BASE + "/api/auth/refresh", {
+                    method: "POST",
+                    headers: { "Content-Type": "application/json" },
+                    body: JSON.stringify({ refresh_token: used })
+                });
+            } catch (e) {
+                throw new ApiError(0, "Сервер недоступен");
+            }
+            if (resp.ok) {
+                const data = await resp.json();
+                setAuthToken(data.token, data.refresh_token);
+                return true;
+            }
+            // refresh-токен одноразовый: другая вкладка могла обменять его раньше нас
+            const current = localStorage.getItem(REFRESH_KEY);
+            return !!current && current !== used;
+        })().finally(() => {
+            refreshPromise = null;
+        });
+    }
+    return refreshPromise;
+}
+
+// ==== транспорт ====
+
+async function send(path, options) {
+    // FormData браузер кодирует сам, вместе с границей multipart в Content-Type
+    const isForm = options.body instanceof FormData;
+    const headers = {
+        ...(isForm ? {} : { "Content-Type": "application/json" }),
+        ...getAuthHeaders(),
+        ...(options.headers || {})
+    };
+    let body;
+    if (isForm) {
+        body = options.body;
+    } else if (options.body !== undefined) {
+        body = JSON.stringify(options.body);
+    }
+    try {
+        return await fetch(API_BASE + path, {
+            method: options.method || "GET",
+            headers,
+            body
+        });
+    } catch (e) {
+        throw new ApiError(0, "Сервер недоступен");
+    }
+}
+
+// запрос с токеном; на 401 повторяется один раз после обновления токена
+async function sendAuthorized(path, options) {
+    const withToken = !!getAuthToken();
+    let resp = await send(path, options);
+    if (resp.status === 401 && withToken) {
+        if (await refreshSession()) {
+            resp = await send(path, options);
+        }
+        if (resp.status === 401) {
+            expireSession();
+        }
+    }
+    return resp;
+}
+
+/**
+ * @param {string} path путь относительно API_BASE, например "/api/rooms"
+ * @param {{method?: string, body?: any, headers?: Object}} [options]
+ * @returns {Promise<any>} разобранный JSON ответа (или null)
+ * @throws {ApiError} на 401 запрос с токеном повторяется после обновления токена,
+ *   а если сессию не продлить – сессия завершается
+ */
+export async function apiRequest(path, options = {}) {
+    const resp = await sendAuthorized(path, options);
+    let data = null;
+    try {
+        data = await resp.json();
+    } catch (_) {}
+    if (!resp.ok) {
+        const msg = data && data.error ? data.error : resp.statusText;
+        throw new ApiError(resp.status, msg, data);
+    }
+    return data;
+}
+
+/**
+ * Скачивание файла с авторизацией: обычная ссылка не передаст токен.
+ * @param {string} path
+ * @returns {Promise<{blob: Blob, filename: string}>} имя файла – из Content-Disposition
+ * @throws {ApiError}
+ */
+export async function apiDownload(path) {
+    const resp = await sendAuthorized(path, {});
+    if (!resp.ok) {
+        let data = null;
+        try {
+            data = await resp.json();
+        } catch (_) {}
+        throw new ApiError(resp.status, data && data.error ? data.error : resp.statusText, data);
+    }
+    const match = /filename="([^"]+)"/.exec(resp.headers.get("Content-Disposition") || "");
+    return { blob: await resp.blob(), filename: match ? match[1] : "export" };
+}
+
+// ==== auth ====
+
+/**
+ * После регистрации на email уходит письмо со ссылкой подтверждения.
+ * @returns {Promise<{id: number, email: string, role: string, email_verified: boolean}>}
+ */
+export function register(email, password) {
+    return apiRequest("/api/register", { method: "POST", body: { email, password } });
+}
+
+/**
+ * Результат сохраните через setAuthToken(res.token, res.refresh_token).
+ * @returns {Promise<{token: string, refresh_token: string, expires_in: number}>}
+ */
+export function login(email, password) {
+    return apiRequest("/api/login", { method: "POST", body: { email, password } });
+}
+
+/** Выход: сессия закрывается и на сервере, затем переход на страницу входа. */
+export async function logout() {
+    try {
+        await apiRequest("/api/auth/logout", { method: "POST" });
+    } catch (_) {
+        // токены забываем в любом случае
+    }
+    setAuthToken(null);
+    window.location.href = "/";
+}
+
+/**
+ * @typedef {Object} Session
+ * @property {number} id
+ * @property {string} user_agent
+ * @property {string} created_at
+ * @property {string} last_seen_at
+ * @property {boolean} current сессия этой вкладки
+ */
+
+/** @returns {Promise<Session[]>} */
+export async function listSessions() {
+    return (await apiRequest("/api/sessions")) || [];
+}
+
+export function revokeSession(sessionId) {
+    return apiRequest(`/api/sessions/${sessionId}`, { method: "DELETE" });
+}
+
+/** Завершает все сессии, включая текущую. */
+export function revokeAllSessions() {
+    return apiRequest("/api/sessions", { method: "DELETE" });
+}
+
+/** Токен из ссылки в письме (verify.html?token=...). */
+export function verifyEmail(token) {
+    return apiRequest("/api/auth/verify-email", { method: "POST", body: { token } });
+}
+
+export function resendVerification() {
+    return apiRequest("/api/auth/verify-email/resend", { method: "POST" });
+}
+
+/** Отвечает одинаково, есть ли такой email или нет. */
+export function forgotPassword(email) {
+    return apiRequest("/api/auth/forgot-password", { method: "POST", body: { email } });
+}
+
+/** Новый пароль по токену из письма (reset.html?token=...). Все сессии завершаются. */
+export function resetPassword(token, password) {
+    return apiRequest("/api/auth/reset-password", { method: "POST", body: { token, password } });
+}
+
+/** @returns {Promise<User>} */
+export function getMe() {
+    return apiRequest("/api/me");
+}
+
+/**
+ * @param {{display_name?: string, hide_identity?: boolean, time_zone?: string}} patch
+ *        time_zone – IANA-зона или "" (как в браузере); неизвестная зона – ошибка 400
+ * @returns {Promise<User>}
+ */
+export function updateMe(patch) {
+    return apiRequest("/api/me", { method: "PATCH", body: patch });
+}
+
+/**
+ * Текущий пользователь для страниц, требующих входа. Без токена уводит на страницу
+ * входа и возвращает null; истекшую сессию обрабатывает apiRequest.
+ * @returns {Promise<User|null>}
+ */
+export async function requireUser() {
+    if (!getAuthToken()) {
+        window.location.href = "/";
+        return null;
+    }
+    try {
+        return await getMe();
+    } catch (e) {
+        if (e.status === 401) return null;
+        throw e;
+    }
+}
+
+// ==== rooms ====
+
+/**
+ * @typedef {Object} RoomFilters
+ * @property {number} [min_capacity]
+ * @property {string[]} [equipment] нужны все перечисленные
+ * @property {string} [building]
+ * @property {number} [floor]
+ * @property {boolean} [accessible]
+ * @property {boolean} [active] true – только активные, false – только неактивные
+ * @property {""|"name"|"capacity"|"-capacity"|"location"} [sort] по умолчанию по id
+ */
+
+/**
+ * Без фильтров – все комнаты по id. Неактивные комнаты сервер отдает только админам.
+ * @param {RoomFilters} [filters]
+ * @returns {Promise<Room[]>}
+ */
+export async function listRooms(filters = {}) {
+    const params = roomFiltersToParams(filters);
+    const query = params.toString();
+    return (await apiRequest(query ? `/api/rooms?${query}` : "/api/rooms")) || [];
+}
+
+/**
+ * Фильтры в параметры запроса; тот же формат у адреса rooms.html, чтобы ссылкой
+ * на отфильтрованный список можно было поделиться.
+ * @param {RoomFilters} filters
+ * @returns {URLSearchParams}
+ */
+export function roomFiltersToParams(filters) {
+    const params = new URLSearchParams();
+    if (filters.min_capacity) params.set("min_capacity", String(filters.min_capacity));
+    if (filters.equipment && filters.equipment.length) params.set("equipment", filters.equipment.join(","));
+    if (filters.building) params.set("building", filters.building);
+    if (filters.floor !== undefined && filters.floor !== null) params.set("floor", String(filters.floor));
+    if (filters.accessible) params.set("accessible", "1");
+    if (filters.active !== undefined) params.set("active", filters.active ? "1" : "0");
+    if (filters.sort) params.set("sort", filters.sort);
+    return params;
+}
+
+/**
+ * Обратное к roomFiltersToParams; некорректные значения пропускаются.
+ * @param {URLSearchParams} params
+ * @returns {RoomFilters}
+ */
+export function roomFiltersFromParams(params) {
+    /** @type {RoomFilters} */
+    const filters = {};
+    const minCapacity = parseInt(params.get("min_capacity"), 10);
+    if (minCapacity > 0) filters.min_capacity = minCapacity;
+    const equipment = (params.get("equipment") || "").split(",").filter(Boolean);
+    if (equipment.length) filters.equipment = equipment;
+    if (params.get("building")) filters.building = params.get("building");
+    const floor = parseInt(params.get("floor"), 10);
+    if (!Number.isNaN(floor)) filters.floor = floor;
+    if (params.get("accessible") === "1") filters.accessible = true;
+    if (params.get("active") === "1") filters.active = true;
+    if (params.get("active") === "0") filters.active = false;
+    if (params.get("sort")) filters.sort = /** @type {RoomFilters["sort"]} */ (params.get("sort"));
+    return filters;
+}
+
+/**
+ * Активные комнаты с вместимостью >= capacity, свободные в [start, end) и открытые
+ * для такой брони по правилам комнаты.
+ * @param {{start: string, end: string, capacity?: number}} query времена в RFC3339
+ * @returns {Promise<Room[]>}
+ */
+export async function findAvailableRooms({ start, end, capacity = 1 }) {
+    const params = new URLSearchParams({ start, end, capacity: String(capacity) });
+    return (await apiRequest(`/api/rooms/available?${params}`)) || [];
+}
+
+/** @returns {Promise<Room>} */
+export function getRoom(roomId) {
+    return apiRequest(`/api/rooms/${roomId}`);
+}
+
+/**
+ * Страница списка броней: items в порядке order, next_cursor – для следующей страницы
+ * (null на последней), total – сколько всего броней под фильтром.
+ * @template T
+ * @typedef {{items: T[], next_cursor: string|null, total: number}} Page
+ */
+
+/**
+ * Фильтр списков броней. from/to (RFC3339) – брони, пересекающие [from, to);
+ * status – статусы через запятую; limit – до 200, по умолчанию 50;
+ * cursor – next_cursor предыдущей страницы с тем же фильтром.
+ * @typedef {Object} BookingQuery
+ * @property {string} [from]
+ * @property {string} [to]
+ * @property {string} [status]
+ * @property {"asc"|"desc"} [order]
+ * @property {number} [limit]
+ * @property {string} [cursor]
+ */
+
+function bookingQueryParams(query = {}) {
+    const params = new URLSearchParams();
+    Object.entries(query).forEach(([k, v]) => {
+        if (v !== undefined && v !== null && v !== "") params.set(k, String(v));
+    });
+    const qs = params.toString();
+    return qs ? `?${qs}` : "";
+}
+
+// проходит по всем страницам: только для ограниченных диапазонов (неделя календаря и т.п.)
+async function collectPages(loadPage) {
+    const items = [];
+    let cursor;
+    do {
+        const page = await loadPage(cursor);
+        items.push(...page.items);
+        cursor = page.next_cursor || undefined;
+    } while (cursor);
+    return items;
+}
+
+/**
+ * Брони комнаты, по умолчанию активные по возрастанию начала.
+ * Отмененные и отклоненные (status) может запросить только админ.
+ * @param {number} roomId
+ * @param {BookingQuery} [query]
+ * @returns {Promise<Page<RoomBooking>>}
+ */
+export function listRoomBookings(roomId, query) {
+    return apiRequest(`/api/rooms/${roomId}/bookings${bookingQueryParams(query)}`);
+}
+
+/**
+ * Все брони комнаты под фильтром, без страниц.
+ * @param {number} roomId
+ * @param {BookingQuery} [query] без limit и cursor
+ * @returns {Promise<RoomBooking[]>}
+ */
+export function listAllRoomBookings(roomId, query = {}) {
+    return collectPages(cursor => listRoomBookings(roomId, { ...query, limit: 200, cursor }));
+}
+
+/**
+ * Правила бронирования комнаты. null в лимите – без ограничения; пустой opening_hours –
+ * круглосуточно. Нарушение при бронировании – ошибка 422 с текстом для пользователя.
+ * @typedef {Object} RoomPolicy
+ * @property {string} time_zone зона комнаты, только для чтения – меняется в updateRoom
+ * @property {number|null} min_minutes
+ * @property {number|null} max_minutes
+ * @property {number|null} max_days_ahead
+ * @property {number|null} max_active_per_user
+ * @property {{weekday: number, opens: string, closes: string}[]} opening_hours weekday 1 – понедельник, время "HH:MM"
+ * @property {{starts_on: string, ends_on: string, reason: string}[]} blackouts даты YYYY-MM-DD включительно
+ */
+
+/** @returns {Promise<RoomPolicy>} */
+export function getRoomPolicy(roomId) {
+    return apiRequest(`/api/rooms/${roomId}/policy`);
+}
+
+// ==== bookings ====
+
+/**
+ * Свои брони и брони, куда пригласили; по умолчанию все статусы, сначала поздние.
+ * @param {BookingQuery} [query]
+ * @returns {Promise<Page<MyBooking>>}
+ */
+export function listMyBookings(query) {
+    return apiRequest(`/api/bookings/my${bookingQueryParams(query)}`);
+}
+
+/**
+ * @param {{room_id: number, start_time: string, end_time: string, title?: string,
+ *          description?: string, attendees?: string[]}} booking времена в RFC3339;
+ *          в attendees – email приглашенных, вместе с автором они должны поместиться в комнату
+ * @returns {Promise<{id: number, status: string, attendees: string[]}>}
+ */
+export function createBooking(booking) {
+    return apiRequest("/api/bookings", { method: "POST", body: booking });
+}
+
+/**
+ * Повторяющаяся бронь. С dry_run сервер только возвращает вхождения с пометкой conflict.
+ * @param {{room_id: number, start_time: string, end_time: string,
+ *          frequency: "daily"|"weekdays"|"weekly", until?: string, count?: number,
+ *          time_zone?: string, on_conflict?: "abort"|"skip", dry_run?: boolean,
+ *          title?: string, description?: string, attendees?: string[]}} series
+ * @returns {Promise<{series_id?: number, occurrences: {start_time: string, end_time: string, conflict: boolean, booking_id?: number}[], created: number, skipped: number}>}
+ */
+export function createBookingSeries(series) {
+    return apiRequest("/api/bookings/series", { method: "POST", body: series });
+}
+
+/** Отменяет все будущие вхождения серии. */
+export function cancelBookingSeries(seriesId) {
+    return apiRequest(`/api/bookings/series/${seriesId}`, { method: "DELETE" });
+}
+
+/**
+ * @typedef {Object} BookingTransition
+ * @property {string} from
+ * @property {string} to
+ * @property {("owner"|"admin")[]} roles кто может выполнить переход
+ */
+
+let transitionsPromise = null;
+
+/**
+ * Таблица допустимых переходов статусов брони, по которой сервер проверяет PATCH/DELETE.
+ * Загружается один раз за страницу.
+ * @returns {Promise<BookingTransition[]>}
+ */
+export function getBookingTransitions() {
+    if (!transitionsPromise) {
+        transitionsPromise = apiRequest("/api/bookings/transitions").catch(e => {
+            transitionsPromise = null;
+            throw e;
+        });
+    }
+    return transitionsPromise;
+}
+
+/**
+ * Статусы, в которые user может перевести бронь.
+ * @param {BookingTransition[]} transitions
+ * @param {Booking} booking
+ * @param {{id: number, role: string}|null} user
+ * @returns {string[]}
+ */
+export function allowedStatuses(transitions, booking, user) {
+    if (!user) return [];
+    const isOwner = user.id === booking.user_id;
+    const isAdmin = user.role === "admin";
+    return transitions
+        .filter(t => t.from === booking.status)
+        .filter(t => t.roles.some(role => (role === "owner" && isOwner) || (role === "admin" && isAdmin)))
+        .map(t => t.to);
+}
+
+/** @param {{status: string}} patch */
+export function updateBooking(bookingId, patch) {
+    return apiRequest(`/api/bookings/${bookingId}`, { method: "PATCH", body: patch });
+}
+
+/**
+ * Перенос брони одной операцией. Пропущенные поля остаются прежними.
+ * @param {{room_id?: number, start_time?: string, end_time?: string}} change времена в RFC3339
+ * @returns {Promise<Booking>} бронь после переноса
+ */
+export function rescheduleBooking(bookingId, change) {
+    return apiRequest(`/api/bookings/${bookingId}`, { method: "PATCH", body: change });
+}
+
+export function cancelBooking(bookingId) {
+    return apiRequest(`/api/bookings/${bookingId}`, { method: "DELETE" });
+}
+
+// ==== admin: rooms ====
+
+/**
+ * @param {{name: string, description?: string, capacity: number, photo_url?: string, requires_approval?: boolean,
+ *          building?: string, floor?: number|null, equipment?: string[], accessible?: boolean,
+ *          time_zone?: string}} room без time_zone – UTC
+ * @returns {Promise<{id: number}>}
+ */
+export function createRoom(room) {
+    return apiRequest("/api/rooms", { method: "POST", body: room });
+}
+
+/**
+ * Фото здесь не меняется – для него uploadRoomPhoto/deleteRoomPhoto.
+ * Поля расположения и оборудования перезаписываются целиком – передавайте текущие значения.
+ * Без is_active и requires_approval они не меняются. Неактивная комната новых броней не принимает,
+ * а уже сделанные остаются: их сервер возвращает в future_bookings, чтобы админ их разобрал.
+ * @param {{name: string, description?: string, capacity: number, is_active?: boolean, requires_approval?: boolean,
+ *          building?: string, floor?: number|null, equipment?: string[], accessible?: boolean,
+ *          time_zone?: string}} room без time_zone зона не меняется
+ * @returns {Promise<{status: string, future_bookings: Booking[]}>}
+ */
+export function updateRoom(roomId, room) {
+    return apiRequest(`/api/rooms/${roomId}`, { method: "PATCH", body: room });
+}
+
+/**
+ * Загрузка фото комнаты (JPEG, PNG или GIF до 5 МБ); прежнее фото заменяется.
+ * @param {File} file
+ * @returns {Promise<{photo_url: string, photo_thumb_url: string}>}
+ */
+export function uploadRoomPhoto(roomId, file) {
+    const form = new FormData();
+    form.append("photo", file);
+    return apiRequest(`/api/rooms/${roomId}/photo`, { method: "POST", body: form });
+}
+
+export function deleteRoomPhoto(roomId) {
+    return apiRequest(`/api/rooms/${roomId}/photo`, { method: "DELETE" });
+}
+
+/**
+ * Заменяет правила комнаты целиком; прошедшие закрытые даты можно не передавать.
+ * @param {RoomPolicy} policy
+ * @returns {Promise<RoomPolicy>}
+ */
+export function updateRoomPolicy(roomId, policy) {
+    return apiRequest(`/api/rooms/${roomId}/policy`, { method: "PUT", body: policy });
+}
+
+export function deleteRoom(roomId) {
+    return apiRequest(`/api/rooms/${roomId}`, { method: "DELETE" });
+}
+
+/**
+ * Импорт комнат из CSV (первая строка – заголовок) или JSON-массива. Колонки – как у комнаты:
+ * name, description, capacity, building, floor, equipment (через ;), accessible, time_zone,
+ * is_active, requires_approval. Комнаты ищутся по названию: найденная обновляется, иначе
+ * создается. Если хоть в одной строке ошибка, не сохраняется ничего (422 с теми же rows).
+ * future_bookings – будущие брони комнат, которые строка отключает (is_active=false): они
+ * остаются в силе, как при отключении в updateRoom.
+ * @param {File} file
+ * @param {boolean} dryRun только проверить и показать, что будет сделано
+ * @returns {Promise<{dry_run: boolean, created: number, updated: number, errors: number, future_bookings: number,
+ *          rows: {row: number, name: string, action: "create"|"update"|"error", room_id?: number, error?: string,
+ *                 future_bookings?: number}[]}>}
+ */
+export function importRooms(file, dryRun) {
+    const form = new FormData();
+    form.append("file", file);
+    return apiRequest(`/api/admin/import/rooms${dryRun ? "?dry_run=1" : ""}`, { method: "POST", body: form });
+}
+
+/**
+ * @param {"csv"|"json"} format
+ * @returns {Promise<{blob: Blob, filename: string}>}
+ */
+export function exportRooms(format) {
+    return apiDownload(`/api/admin/export/rooms?format=${format}`);
+}
+
+/**
+ * Брони, начавшиеся в периоде; время в файле – в зоне периода.
+ * @param {{from?: string, to?: string, time_zone?: string, room_id?: number}} filter даты YYYY-MM-DD
+ *        включительно; без дат – последние 30 дней
+ * @param {"csv"|"json"} format
+ * @returns {Promise<{blob: Blob, filename: string}>}
+ */
+export function exportBookings({ room_id, ...period }, format) {
+    return apiDownload(`/api/admin/export/bookings?${periodParams(period, { room_id, format })}`);
+}
+
+// ==== admin: подтверждение броней ====
+
+/**
+ * Все pending брони по всем комнатам, с названием комнаты и email автора.
+ * Решение принимается через updateBooking(id, {status: "confirmed" | "rejected"}).
+ * @returns {Promise<(Booking & {room_name: string, user_email: string})[]>}
+ */
+export async function listPendingBookings() {
+    return (await apiRequest("/api/admin/bookings/pending")) || [];
+}
+
+// ==== admin: пользователи ====
+
+/**
+ * @typedef {User & {disabled: boolean, bookings_total: number, upcoming_bookings: number}} AdminUser
+ */
+
+/**
+ * @param {string} [query] поиск по email и имени
+ * @returns {Promise<AdminUser[]>}
+ */
+export async function listUsers(query = "") {
+    const params = new URLSearchParams();
+    if (query) params.set("q", query);
+    return (await apiRequest(`/api/admin/users?${params}`)) || [];
+}
+
+/**
+ * Смена роли и/или отключение. Отключение завершает сессии и отменяет будущие брони.
+ * @param {{role?: "user"|"admin", disabled?: boolean}} patch
+ * @returns {Promise<{status: string, cancelled_bookings: number}>}
+ */
+export function updateUser(userId, patch) {
+    return apiRequest(`/api/admin/users/${userId}`, { method: "PATCH", body: patch });
+}
+
+/** Старый пароль перестает действовать, пользователю уходит ссылка для нового. */
+export function adminResetPassword(userId) {
+    return apiRequest(`/api/admin/users/${userId}/reset-password`, { method: "POST" });
+}
+
+// ==== admin: аналитика ====
+
+/**
+ * Период отчета: даты YYYY-MM-DD включительно в зоне time_zone; без дат – последние 30 дней.
+ * @typedef {{from?: string, to?: string, time_zone?: string}} AnalyticsPeriod
+ */
+
+/**
+ * Показатели по броням, начавшимся в периоде. Занятое время – только подтвержденные брони
+ * внутри часов работы комнаты; доли – от 0 до 1.
+ * @typedef {Object} UsageStats
+ * @property {number} bookings все брони, включая отмененные и отклоненные
+ * @property {number} confirmed
+ * @property {number} cancelled
+ * @property {number} cancellation_rate
+ * @property {number} avg_minutes средняя длина подтвержденной брони
+ * @property {number} booked_minutes
+ * @property {number} bookable_minutes часы работы за период без закрытых дат
+ * @property {number} occupancy booked_minutes / bookable_minutes
+ */
+
+// период в параметрах запроса – для аналитики и выгрузки броней; пустые extra пропускаются
+function periodParams({ from, to, time_zone } = {}, extra = {}) {
+    const params = new URLSearchParams();
+    if (from) params.set("from", from);
+    if (to) params.set("to", to);
+    if (time_zone) params.set("tz", time_zone);
+    Object.entries(extra).forEach(([k, v]) => {
+        if (v) params.set(k, String(v));
+    });
+    return params;
+}
+
+/**
+ * @param {AnalyticsPeriod} period
+ * @returns {Promise<{from: string, to: string, time_zone: string, total: UsageStats,
+ *          rooms: (UsageStats & {room_id: number, name: string, is_active: boolean, time_zone: string})[]}>}
+ */
+export function getRoomUsage(period) {
+    return apiRequest(`/api/admin/analytics/rooms?${periodParams(period)}`);
+}
+
+/**
+ * Занятые минуты по дням недели и часам: cells[0] – понедельник, cells[d][h] – час h в зоне отчета.
+ * @param {AnalyticsPeriod} period
+ * @param {number} [roomId] только одна комната
+ * @returns {Promise<{from: string, to: string, time_zone: string, cells: number[][]}>}
+ */
+export function getUsageHeatmap(period, roomId) {
+    return apiRequest(`/api/admin/analytics/heatmap?${periodParams(period, { room_id: roomId })}`);
+}
+
+/**
+ * @param {AnalyticsPeriod} period
+ * @param {number} [limit] по умолчанию 10
+ * @returns {Promise<{from: string, to: string, time_zone: string,
+ *          users: {user_id: number, email: string, display_name: string, bookings: number, cancelled: number, booked_minutes: number}[]}>}
+ */
+export function getTopBookers(period, limit) {
+    return apiRequest(`/api/admin/analytics/top-bookers?${periodParams(period, { limit })}`);
+}
+
+// ==== iCalendar-фиды ====
+
+/** Токен фидов пользователя (создается при первом запросе). @returns {Promise<{token: string}>} */
+export function getCalendarToken() {
+    return apiRequest("/api/calendar/token");
+}
+
+/** Новый токен; ссылки со старым перестают работать. @returns {Promise<{token: string}>} */
+export function rotateCalendarToken() {
+    return apiRequest("/api/calendar/token", { method: "POST" });
+}
+
+export function revokeCalendarToken() {
+    return apiRequest("/api/calendar/token", { method: "DELETE" });
+}
+
+export function roomFeedUrl(roomId, token) {
+    return `${API_BASE}/api/rooms/${roomId}/bookings.ics?token=${encodeURIComponent(token)}`;
+}
+
+export function myFeedUrl(token) {
+    return `${API_BASE}/api/bookings/my.ics?token=${encodeURIComponent(token)}`;
+}
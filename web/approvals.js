@@ -0,0 +1,107 @@
+import * as api from "./api.js";
+import { formatTimeRange } from "./format.js";
+import { initDisplayZoneSelect, userTimeZone } from "./timezone.js";
+
+document.getElementById("api-base-label").textContent = api.API_BASE;
+
+let currentUser = null;
+let displayZone = null; // зона, в которой показываем время броней
+
+function showMessage(id, text) {
+    const el = document.getElementById(id);
+    el.textContent = text || "";
+}
+
+// ==== auth + user ====
+
+async function initAuth() {
+    try {
+        currentUser = await api.requireUser();
+    } catch (e) {
+        alert("Не удалось загрузить профиль: " + e.message);
+        return false;
+    }
+    if (!currentUser) return false;
+    document.getElementById("user-email").textContent = currentUser.email;
+    document.getElementById("user-role").textContent = `(${currentUser.role})`;
+    if (currentUser.role !== "admin") {
+        window.location.href = "/rooms.html";
+        return false;
+    }
+    return true;
+}
+
+document.getElementById("logout-btn").addEventListener("click", api.logout);
+
+// ==== очередь ====
+
+async function loadPending() {
+    try {
+        const bookings = await api.listPendingBookings();
+        const list = document.getElementById("pending-list");
+        list.innerHTML = "";
+        bookings.forEach(b => {
+            const li = document.createElement("li");
+            li.className = "list-item";
+
+            const left = document.createElement("div");
+            const title = document.createElement("a");
+            title.className = "link-plain";
+            title.href = `/room.html?id=${b.room_id}`;
+            title.textContent = b.title ? `#${b.id} ${b.room_name}: ${b.title}` : `#${b.id} ${b.room_name}`;
+            const meta = document.createElement("div");
+            meta.className = "list-item__meta";
+            meta.textContent = `${formatTimeRange(b.start_time, b.end_time, displayZone)} • ${b.user_email}`;
+            left.appendChild(title);
+            left.appendChild(meta);
+
+            const right = document.createElement("div");
+            right.style.display = "flex";
+            right.style.gap = "6px";
+
+            const approveBtn = document.createElement("button");
+            approveBtn.className = "btn btn--secondary";
+            approveBtn.textContent = "Подтвердить";
+            approveBtn.addEventListener("click", () => decide(b.id, "confirmed"));
+            const rejectBtn = document.createElement("button");
+            rejectBtn.className = "btn btn--ghost";
+            rejectBtn.textContent = "Отклонить";
+            rejectBtn.addEventListener("click", () => decide(b.id, "rejected"));
+            right.appendChild(approveBtn);
+            right.appendChild(rejectBtn);
+
+            li.appendChild(left);
+            li.appendChild(right);
+            list.appendChild(li);
+        });
+        showMessage("pending-message", bookings.length === 0 ? "Нет бронирований, ожидающих подтверждения" : "");
+    } catch (e) {
+        showMessage("pending-message", e.message);
+    }
+}
+
+async function decide(bookingId, status) {
+    try {
+        await api.updateBooking(bookingId, { status });
+        await loadPending();
+        showMessage("pending-message", status === "confirmed" ? "Бронирование подтверждено" : "Бронирование отклонено");
+    } catch (e) {
+        showMessage("pending-message", e.message);
+    }
+}
+
+document.getElementById("reload-pending").addEventListener("click", loadPending);
+
+// ==== init ====
+
+(async function init() {
+    if (!(await initAuth())) return;
+    displayZone = initDisplayZoneSelect(document.getElementById("tz-select"), [
+        { zone: userTimeZone(currentUser), label: "мой" },
+        { zone: "UTC", label: "UTC" }
+    ], zone => {
+        displayZone = zone;
+        loadPending();
+    });
+    await loadPending();
+})();
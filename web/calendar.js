@@ -0,0 +1,338 @@
+// Календарная сетка бронирований комнаты (день / неделя).
+// Сетка строится из слотов по CALENDAR_SLOT_MINUTES, занятые интервалы рисуются
+// поверх неё блоками, выделенный мышью свободный диапазон отдается наружу через onSelect.
+// Дни и часы сетки – в часовом поясе календаря (options.timeZone, по умолчанию браузера).
+
+import { bookerLabel, bookingTitle, browserTimeZone, timeZoneOffsetLabel, zonedParts, zonedTimeToDate } from "./format.js";
+
+const CALENDAR_DAY_START_HOUR = 8;
+const CALENDAR_DAY_END_HOUR = 21;
+const CALENDAR_SLOT_MINUTES = 30;
+const CALENDAR_SLOT_HEIGHT = 22; // px, должен совпадать с .calendar__slot в style.css
+const CALENDAR_WEEKDAYS = ["Пн", "Вт", "Ср", "Чт", "Пт", "Сб", "Вс"];
+
+// День сетки – календарная дата в часовом поясе календаря. Храним его как Date на
+// полночь UTC этой даты и читаем через getUTC*; моменты слотов считает calendarSlotTime.
+
+function calendarToday(timeZone) {
+    const p = zonedParts(new Date(), timeZone);
+    return new Date(Date.UTC(p.year, p.month - 1, p.day));
+}
+
+function calendarStartOfWeek(day) {
+    // неделя с понедельника
+    return calendarAddDays(day, -((day.getUTCDay() + 6) % 7));
+}
+
+function calendarAddDays(day, days) {
+    const d = new Date(day);
+    d.setUTCDate(d.getUTCDate() + days);
+    return d;
+}
+
+function calendarWeekday(day) {
+    return CALENDAR_WEEKDAYS[(day.getUTCDay() + 6) % 7];
+}
+
+function calendarSlotTime(day, slotIndex, timeZone) {
+    return zonedTimeToDate(
+        day.getUTCFullYear(), day.getUTCMonth() + 1, day.getUTCDate(),
+        CALENDAR_DAY_START_HOUR, slotIndex * CALENDAR_SLOT_MINUTES, timeZone
+    );
+}
+
+function calendarFormatDay(day) {
+    return day.toLocaleDateString("ru-RU", { day: "2-digit", month: "2-digit", timeZone: "UTC" });
+}
+
+function calendarFormatDate(day) {
+    return day.toLocaleDateString("ru-RU", { timeZone: "UTC" });
+}
+
+function calendarFormatTime(date, timeZone) {
+    return date.toLocaleTimeString("ru-RU", { hour: "2-digit", minute: "2-digit", timeZone });
+}
+
+// root – пустой контейнер, options.onSelect(start: Date, end: Date) вызывается
+// после выделения свободного диапазона, options.timeZone – зона сетки.
+// options.onRangeChange(from: Date, to: Date) вызывается, когда сетка показывает другие
+// часы (навигация, день/неделя, зона): брони этого диапазона страница передает в setBookings.
+export function createRoomCalendar(root, options = {}) {
+    const slotsPerDay = (CALENDAR_DAY_END_HOUR - CALENDAR_DAY_START_HOUR) * 60 / CALENDAR_SLOT_MINUTES;
+    const initialZone = options.timeZone || browserTimeZone();
+
+    const state = {
+        view: "week",
+        timeZone: initialZone,
+        anchor: calendarToday(initialZone),
+        bookings: [],
+        range: null,
+        drag: null
+    };
+
+    root.classList.add("calendar");
+    root.innerHTML = "";
+
+    // ---- toolbar ----
+    const toolbar = document.createElement("div");
+    toolbar.className = "calendar__toolbar";
+
+    const prevBtn = document.createElement("button");
+    prevBtn.className = "btn btn--ghost";
+    prevBtn.textContent = "←";
+    const todayBtn = document.createElement("button");
+    todayBtn.className = "btn btn--ghost";
+    todayBtn.textContent = "Сегодня";
+    const nextBtn = document.createElement("button");
+    nextBtn.className = "btn btn--ghost";
+    nextBtn.textContent = "→";
+
+    const label = document.createElement("span");
+    label.className = "calendar__label";
+
+    const viewTabs = document.createElement("div");
+    viewTabs.className = "tabs";
+    const dayTab = document.createElement("button");
+    dayTab.className = "tab";
+    dayTab.textContent = "День";
+    const weekTab = document.createElement("button");
+    weekTab.className = "tab tab--active";
+    weekTab.textContent = "Неделя";
+    viewTabs.appendChild(dayTab);
+    viewTabs.appendChild(weekTab);
+
+    toolbar.appendChild(prevBtn);
+    toolbar.appendChild(todayBtn);
+    toolbar.appendChild(nextBtn);
+    toolbar.appendChild(label);
+    toolbar.appendChild(viewTabs);
+
+    const grid = document.createElement("div");
+    grid.className = "calendar__grid";
+
+    root.appendChild(toolbar);
+    root.appendChild(grid);
+
+    function visibleDays() {
+        if (state.view === "day") {
+            return [state.anchor];
+        }
+        const first = calendarStartOfWeek(state.anchor);
+        const days = [];
+        for (let i = 0; i < 7; i++) {
+            days.push(calendarAddDays(first, i));
+        }
+        return days;
+    }
+
+    function slotTime(day, slotIndex) {
+        return calendarSlotTime(day, slotIndex, state.timeZone);
+    }
+
+    function bookingsForDay(day) {
+        const dayFrom = slotTime(day, 0);
+        const dayTo = slotTime(day, slotsPerDay);
+        return state.bookings
+            .filter(b => b.status === "pending" || b.status === "confirmed")
+            .map(b => ({ booking: b, start: new Date(b.start_time), end: new Date(b.end_time) }))
+            .filter(x => x.start < dayTo && x.end > dayFrom);
+    }
+
+    function isSlotBusy(day, slotIndex, dayBookings) {
+        const from = slotTime(day, slotIndex);
+        const to = slotTime(day, slotIndex + 1);
+        return dayBookings.some(x => x.start < to && x.end > from);
+    }
+
+    function updateLabel(days) {
+        if (days.length === 1) {
+            label.textContent = `${calendarWeekday(days[0])}, ${calendarFormatDate(days[0])}`;
+        } else {
+            label.textContent = `${calendarFormatDay(days[0])} – ${calendarFormatDate(days[days.length - 1])}`;
+        }
+        label.textContent += ` (${state.timeZone}, ${timeZoneOffsetLabel(state.timeZone, slotTime(days[0], 0))})`;
+        dayTab.classList.toggle("tab--active", state.view === "day");
+        weekTab.classList.toggle("tab--active", state.view === "week");
+    }
+
+    function notifyRange(days) {
+        const from = slotTime(days[0], 0);
+        const to = slotTime(days[days.length - 1], slotsPerDay);
+        if (state.range && state.range.from.getTime() === from.getTime() && state.range.to.getTime() === to.getTime()) return;
+        state.range = { from, to };
+        if (typeof options.onRangeChange === "function") {
+            options.onRangeChange(from, to);
+        }
+    }
+
+    function render() {
+        const days = visibleDays();
+        const now = new Date();
+        const today = calendarToday(state.timeZone).getTime();
+        updateLabel(days);
+        notifyRange(days);
+
+        grid.innerHTML = "";
+        grid.style.gridTemplateColumns = `56px repeat(${days.length}, 1fr)`;
+
+        // шапка
+        grid.appendChild(document.createElement("div"));
+        days.forEach(day => {
+            const head = document.createElement("div");
+            head.className = "calendar__day-head";
+            if (day.getTime() === today) head.classList.add("calendar__day-head--today");
+            head.textContent = `${calendarWeekday(day)} ${calendarFormatDay(day)}`;
+            grid.appendChild(head);
+        });
+
+        // колонка времени
+        const times = document.createElement("div");
+        times.className = "calendar__times";
+        for (let i = 0; i < slotsPerDay; i++) {
+            const t = document.createElement("div");
+            t.className = "calendar__time";
+            t.textContent = i % 2 === 0 ? calendarFormatTime(slotTime(days[0], i), state.timeZone) : "";
+            times.appendChild(t);
+        }
+        grid.appendChild(times);
+
+        // колонки дней
+        days.forEach((day, dayIndex) => {
+            const dayBookings = bookingsForDay(day);
+            const col = document.createElement("div");
+            col.className = "calendar__day";
+
+            for (let i = 0; i < slotsPerDay; i++) {
+                const slot = document.createElement("div");
+                slot.className = "calendar__slot";
+                slot.dataset.day = dayIndex;
+                slot.dataset.slot = i;
+                if (slotTime(day, i + 1) <= now) {
+                    slot.classList.add("calendar__slot--past");
+                } else if (isSlotBusy(day, i, dayBookings)) {
+                    slot.classList.add("calendar__slot--busy");
+                } else {
+                    slot.classList.add("calendar__slot--free");
+                }
+                col.appendChild(slot);
+            }
+
+            const dayFrom = slotTime(day, 0);
+            const dayTo = slotTime(day, slotsPerDay);
+            const pxPerMinute = CALENDAR_SLOT_HEIGHT / CALENDAR_SLOT_MINUTES;
+            dayBookings.forEach(({ booking, start, end }) => {
+                const from = start < dayFrom ? dayFrom : start;
+                const to = end > dayTo ? dayTo : end;
+                const block = document.createElement("div");
+                block.className = "calendar__booking calendar__booking--" + booking.status;
+                block.style.top = `${(from - dayFrom) / 60000 * pxPerMinute}px`;
+                block.style.height = `${Math.max((to - from) / 60000 * pxPerMinute, 12)}px`;
+                block.textContent = `${calendarFormatTime(start, state.timeZone)}–${calendarFormatTime(end, state.timeZone)} #${booking.id}`;
+                block.title = `${bookingTitle(booking)} • ${bookerLabel(booking)} (${booking.status})`;
+                col.appendChild(block);
+            });
+
+            grid.appendChild(col);
+        });
+    }
+
+    // ---- выделение диапазона ----
+
+    function slotFromEvent(e) {
+        const el = e.target.closest(".calendar__slot");
+        if (!el || !grid.contains(el)) return null;
+        return { day: Number(el.dataset.day), slot: Number(el.dataset.slot), el };
+    }
+
+    function clearSelection() {
+        grid.querySelectorAll(".calendar__slot--selected").forEach(el => el.classList.remove("calendar__slot--selected"));
+    }
+
+    function selectionRange() {
+        const { day, from, to } = state.drag;
+        return { day, first: Math.min(from, to), last: Math.max(from, to) };
+    }
+
+    // true, если все слоты в диапазоне свободны
+    function paintSelection() {
+        clearSelection();
+        const { day, first, last } = selectionRange();
+        let ok = true;
+        for (let i = first; i <= last; i++) {
+            const el = grid.querySelector(`.calendar__slot[data-day="${day}"][data-slot="${i}"]`);
+            if (!el || !el.classList.contains("calendar__slot--free")) {
+                ok = false;
+                continue;
+            }
+            el.classList.add("calendar__slot--selected");
+        }
+        return ok;
+    }
+
+    grid.addEventListener("mousedown", e => {
+        const hit = slotFromEvent(e);
+        if (!hit || !hit.el.classList.contains("calendar__slot--free")) return;
+        e.preventDefault();
+        state.drag = { day: hit.day, from: hit.slot, to: hit.slot };
+        paintSelection();
+    });
+
+    grid.addEventListener("mouseover", e => {
+        if (!state.drag) return;
+        const hit = slotFromEvent(e);
+        // выделение только в пределах одного дня
+        if (!hit || hit.day !== state.drag.day) return;
+        state.drag.to = hit.slot;
+        paintSelection();
+    });
+
+    document.addEventListener("mouseup", () => {
+        if (!state.drag) return;
+        const ok = paintSelection();
+        const { day, first, last } = selectionRange();
+        state.drag = null;
+        clearSelection();
+        if (!ok) return;
+        const date = visibleDays()[day];
+        if (typeof options.onSelect === "function") {
+            options.onSelect(slotTime(date, first), slotTime(date, last + 1));
+        }
+    });
+
+    // ---- навигация ----
+
+    function shift(direction) {
+        state.anchor = calendarAddDays(state.anchor, direction * (state.view === "day" ? 1 : 7));
+        render();
+    }
+
+    prevBtn.addEventListener("click", () => shift(-1));
+    nextBtn.addEventListener("click", () => shift(1));
+    todayBtn.addEventListener("click", () => {
+        state.anchor = calendarToday(state.timeZone);
+        render();
+    });
+    dayTab.addEventListener("click", () => {
+        state.view = "day";
+        render();
+    });
+    weekTab.addEventListener("click", () => {
+        state.view = "week";
+        render();
+    });
+
+    render();
+
+    return {
+        setBookings(bookings) {
+            state.bookings = bookings || [];
+            render();
+        },
+        // показанные даты остаются теми же, меняются только часы сетки
+        setTimeZone(timeZone) {
+            state.timeZone = timeZone;
+            render();
+        },
+        render
+    };
+}
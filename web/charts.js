@@ -0,0 +1,111 @@
+// Простые SVG-графики без внешних библиотек: горизонтальные столбцы и тепловая карта.
+// Размеры в единицах viewBox, SVG растягивается на ширину контейнера.
+
+const SVG_NS = "http://www.w3.org/2000/svg";
+
+function svgEl(name, attrs = {}) {
+    const el = document.createElementNS(SVG_NS, name);
+    Object.entries(attrs).forEach(([k, v]) => el.setAttribute(k, String(v)));
+    return el;
+}
+
+function svgText(x, y, text, attrs = {}) {
+    const el = svgEl("text", { x, y, ...attrs });
+    el.textContent = text;
+    return el;
+}
+
+// подсказка при наведении
+function withTitle(el, text) {
+    const title = svgEl("title");
+    title.textContent = text;
+    el.appendChild(title);
+    return el;
+}
+
+/**
+ * Горизонтальная столбчатая диаграмма.
+ * @param {HTMLElement} root контейнер, содержимое заменяется
+ * @param {{label: string, value: number, title?: string}[]} items
+ * @param {{max?: number, format?: (value: number) => string}} [options]
+ *        max – значение во всю ширину (по умолчанию наибольшее), format – подпись значения
+ */
+export function renderBarChart(root, items, { max, format = String } = {}) {
+    root.innerHTML = "";
+    if (items.length === 0) return;
+    const width = 600;
+    const labelWidth = 180;
+    const valueWidth = 70;
+    const rowHeight = 22;
+    const barMax = width - labelWidth - valueWidth;
+    const top = max || Math.max(...items.map(i => i.value)) || 1;
+
+    const svg = svgEl("svg", {
+        viewBox: `0 0 ${width} ${items.length * rowHeight}`,
+        class: "chart",
+        role: "img"
+    });
+    items.forEach((item, i) => {
+        const y = i * rowHeight;
+        const row = withTitle(svgEl("g"), item.title || `${item.label}: ${format(item.value)}`);
+        row.appendChild(svgText(labelWidth - 8, y + 15, item.label, { "text-anchor": "end", class: "chart__label" }));
+        row.appendChild(svgEl("rect", {
+            x: labelWidth,
+            y: y + 4,
+            width: Math.max(0, Math.min(1, item.value / top)) * barMax,
+            height: rowHeight - 8,
+            rx: 3,
+            class: "chart__bar"
+        }));
+        row.appendChild(svgText(width - valueWidth + 6, y + 15, format(item.value), { class: "chart__value" }));
+        svg.appendChild(row);
+    });
+    root.appendChild(svg);
+}
+
+/**
+ * Тепловая карта: строки × столбцы, насыщенность ячейки – доля от наибольшего значения.
+ * @param {HTMLElement} root контейнер, содержимое заменяется
+ * @param {number[][]} cells cells[row][col]
+ * @param {{rowLabels: string[], colLabels: string[], format?: (value: number) => string}} options
+ *        подписи столбцов выводятся через одну, если их больше 12
+ */
+export function renderHeatmap(root, cells, { rowLabels, colLabels, format = String }) {
+    root.innerHTML = "";
+    const labelWidth = 30;
+    const headHeight = 16;
+    const cell = 22;
+    const cols = colLabels.length;
+    const max = Math.max(0, ...cells.flat());
+
+    const svg = svgEl("svg", {
+        viewBox: `0 0 ${labelWidth + cols * cell} ${headHeight + rowLabels.length * cell}`,
+        class: "chart",
+        role: "img"
+    });
+    colLabels.forEach((label, c) => {
+        if (cols > 12 && c % 2) return;
+        svg.appendChild(svgText(labelWidth + c * cell + cell / 2, headHeight - 4, label, {
+            "text-anchor": "middle",
+            class: "chart__label"
+        }));
+    });
+    rowLabels.forEach((label, r) => {
+        const y = headHeight + r * cell;
+        svg.appendChild(svgText(labelWidth - 6, y + cell / 2 + 4, label, { "text-anchor": "end", class: "chart__label" }));
+        colLabels.forEach((colLabel, c) => {
+            const value = cells[r][c];
+            const rect = svgEl("rect", {
+                x: labelWidth + c * cell + 1,
+                y: y + 1,
+                width: cell - 2,
+                height: cell - 2,
+                rx: 3,
+                class: "chart__cell",
+                "fill-opacity": max ? (0.08 + 0.92 * value / max).toFixed(2) : 0.08
+            });
+            svg.appendChild(withTitle(rect, `${label}, ${colLabel}: ${format(value)}`));
+        });
+    });
+    root.appendChild(svg);
+}
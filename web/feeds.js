@@ -0,0 +1,79 @@
+// Кнопки "Скачать .ics" / "Подписаться" для iCalendar-фидов.
+// Ссылка содержит токен фида пользователя, поэтому строится только по клику.
+
+import * as api from "./api.js";
+
+/**
+ * @param {HTMLElement} root пустой контейнер
+ * @param {(token: string) => string} feedUrl строит URL фида по токену
+ * @param {{allowRevoke?: boolean}} [options] показать кнопку отзыва ссылок
+ */
+export function initCalendarFeed(root, feedUrl, options = {}) {
+    root.classList.add("toolbar");
+    root.innerHTML = "";
+
+    const downloadBtn = document.createElement("button");
+    downloadBtn.className = "btn btn--ghost";
+    downloadBtn.textContent = "Скачать .ics";
+    const subscribeBtn = document.createElement("button");
+    subscribeBtn.className = "btn btn--ghost";
+    subscribeBtn.textContent = "Подписаться";
+    const output = document.createElement("input");
+    output.type = "text";
+    output.readOnly = true;
+    output.className = "feed-url hidden";
+    const message = document.createElement("div");
+    message.className = "message";
+
+    root.appendChild(downloadBtn);
+    root.appendChild(subscribeBtn);
+
+    downloadBtn.addEventListener("click", async () => {
+        try {
+            const { token } = await api.getCalendarToken();
+            const link = document.createElement("a");
+            link.href = feedUrl(token);
+            link.download = "";
+            link.click();
+        } catch (e) {
+            message.textContent = e.message;
+        }
+    });
+
+    subscribeBtn.addEventListener("click", async () => {
+        try {
+            const { token } = await api.getCalendarToken();
+            const webcal = feedUrl(token).replace(/^https?:/, "webcal:");
+            output.value = webcal;
+            output.classList.remove("hidden");
+            output.select();
+            if (navigator.clipboard) {
+                await navigator.clipboard.writeText(webcal).catch(() => {});
+            }
+            message.textContent = "Ссылка скопирована: добавьте ее в календарь как подписку";
+        } catch (e) {
+            message.textContent = e.message;
+        }
+    });
+
+    if (options.allowRevoke) {
+        const revokeBtn = document.createElement("button");
+        revokeBtn.className = "btn btn--ghost";
+        revokeBtn.textContent = "Отозвать ссылки";
+        revokeBtn.addEventListener("click", async () => {
+            if (!confirm("Все выданные ссылки на календари перестанут работать. Продолжить?")) return;
+            try {
+                await api.revokeCalendarToken();
+                output.value = "";
+                output.classList.add("hidden");
+                message.textContent = "Ссылки отозваны";
+            } catch (e) {
+                message.textContent = e.message;
+            }
+        });
+        root.appendChild(revokeBtn);
+    }
+
+    root.appendChild(output);
+    root.appendChild(message);
+}
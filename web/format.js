@@ -0,0 +1,167 @@
+// Общие функции форматирования дат и статусов для страниц.
+// Функции с параметром timeZone (IANA) показывают и разбирают время в этом часовом
+// поясе; без него – в часовом поясе браузера.
+
+const pad = n => String(n).padStart(2, "0");
+
+export function browserTimeZone() {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || "UTC";
+}
+
+// Части момента времени в часовом поясе: {year, month (1–12), day, hour, minute}
+export function zonedParts(date, timeZone) {
+    const parts = {};
+    new Intl.DateTimeFormat("en-US", {
+        timeZone,
+        hourCycle: "h23",
+        year: "numeric",
+        month: "numeric",
+        day: "numeric",
+        hour: "numeric",
+        minute: "numeric"
+    }).formatToParts(date).forEach(p => {
+        if (p.type !== "literal") parts[p.type] = Number(p.value);
+    });
+    return parts;
+}
+
+// смещение часового пояса от UTC в минутах в момент date
+function timeZoneOffsetMinutes(timeZone, date) {
+    const p = zonedParts(date, timeZone);
+    const wall = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute);
+    return Math.round((wall - Math.floor(date.getTime() / 60000) * 60000) / 60000);
+}
+
+// Настенное время в часовом поясе -> Date. Минуты могут выходить за час (как в Date.UTC).
+// Несуществующее время при переходе на летнее сдвигается на величину перехода.
+export function zonedTimeToDate(year, month, day, hour, minute, timeZone) {
+    const wall = Date.UTC(year, month - 1, day, hour, minute);
+    let t = wall - timeZoneOffsetMinutes(timeZone, new Date(wall)) * 60000;
+    // в найденный момент смещение может быть уже другим, если рядом переход
+    t = wall - timeZoneOffsetMinutes(timeZone, new Date(t)) * 60000;
+    return new Date(t);
+}
+
+// "UTC+03:00" – смещение часового пояса в момент date
+export function timeZoneOffsetLabel(timeZone, date = new Date()) {
+    const offset = timeZoneOffsetMinutes(timeZone, date);
+    const abs = Math.abs(offset);
+    return `UTC${offset < 0 ? "-" : "+"}${pad(Math.floor(abs / 60))}:${pad(abs % 60)}`;
+}
+
+// "2025-12-01T10:00" из <input type="datetime-local"> -> RFC3339 (UTC) для API
+export function localInputToRFC3339(str, timeZone) {
+    if (!str) return "";
+    if (!timeZone) {
+        // Браузер интерпретирует как локальное время
+        return new Date(str).toISOString();
+    }
+    const [date, time] = str.split("T");
+    const [year, month, day] = date.split("-").map(Number);
+    const [hour, minute] = time.split(":").map(Number);
+    return zonedTimeToDate(year, month, day, hour, minute, timeZone).toISOString();
+}
+
+// Date -> значение для <input type="datetime-local">
+export function dateToLocalInput(dt, timeZone) {
+    const p = timeZone
+        ? zonedParts(dt, timeZone)
+        : { year: dt.getFullYear(), month: dt.getMonth() + 1, day: dt.getDate(), hour: dt.getHours(), minute: dt.getMinutes() };
+    return `${p.year}-${pad(p.month)}-${pad(p.day)}T${pad(p.hour)}:${pad(p.minute)}`;
+}
+
+// apiStr: "2025-12-01T10:00:00Z" или с +03:00
+export function formatLocalDateTime(apiStr, timeZone) {
+    if (!apiStr) return "";
+    const dt = new Date(apiStr);
+    return dt.toLocaleString("ru-RU", {
+        timeZone,
+        year: "numeric",
+        month: "2-digit",
+        day: "2-digit",
+        hour: "2-digit",
+        minute: "2-digit"
+    });
+}
+
+// Интервал брони с подписанным смещением: "01.12.2025, 10:00 → 01.12.2025, 11:00 (UTC+03:00)"
+export function formatTimeRange(startStr, endStr, timeZone) {
+    const zone = timeZone || browserTimeZone();
+    const offset = timeZoneOffsetLabel(zone, new Date(startStr));
+    return `${formatLocalDateTime(startStr, zone)} → ${formatLocalDateTime(endStr, zone)} (${offset})`;
+}
+
+export function statusBadgeClass(status) {
+    if (status === "confirmed") return "badge badge--success";
+    if (status === "cancelled" || status === "rejected") return "badge badge--muted";
+    return "badge badge--danger";
+}
+
+// pending и confirmed занимают слот, cancelled и rejected – нет
+export function isActiveStatus(status) {
+    return status === "pending" || status === "confirmed";
+}
+
+// подпись кнопки для перехода брони из статуса from в статус to
+export function statusActionLabel(from, to) {
+    if (to === "cancelled") return "Отменить";
+    if (to === "rejected") return "Отклонить";
+    if (to === "confirmed") return from === "pending" ? "Подтвердить" : "Восстановить";
+    return to;
+}
+
+// заголовок брони в списках: тема, если задана
+export function bookingTitle(b) {
+    return b.title ? `#${b.id} ${b.title}` : `#${b.id} Без темы`;
+}
+
+// кто забронировал; сервер не присылает имя, если автор скрыл себя в профиле
+export function bookerLabel(b) {
+    if (!b.user_email) return "автор скрыт";
+    return b.user_name && b.user_name !== b.user_email ? `${b.user_name} <${b.user_email}>` : b.user_email;
+}
+
+// "a@x.ru, b@x.ru; c@x.ru" или по строке на адрес -> список email участников
+export function parseAttendees(str) {
+    return (str || "")
+        .split(/[\s,;]+/)
+        .map(s => s.trim())
+        .filter(Boolean);
+}
+
+// подписи тегов оборудования комнаты; порядок – как в форме и фильтре
+export const EQUIPMENT_LABELS = {
+    projector: "Проектор",
+    video_conferencing: "Видеосвязь",
+    whiteboard: "Доска",
+    tv: "Телевизор",
+    speakerphone: "Спикерфон"
+};
+
+// "Корпус A, 3 этаж" или "" если расположение не задано
+export function roomLocation(room) {
+    const parts = [];
+    if (room.building) parts.push(room.building);
+    if (room.floor !== null && room.floor !== undefined) parts.push(`${room.floor} этаж`);
+    return parts.join(", ");
+}
+
+// расположение, оборудование и доступность одной строкой для списков
+export function roomFeatures(room) {
+    const parts = [];
+    const location = roomLocation(room);
+    if (location) parts.push(location);
+    (room.equipment || []).forEach(tag => parts.push(EQUIPMENT_LABELS[tag] || tag));
+    if (room.accessible) parts.push("доступна для маломобильных");
+    return parts.join(" • ");
+}
+
+// локальная заглушка, если у комнаты нет фото
+export const PLACEHOLDER_PHOTO = "/img/room-placeholder.svg";
+
+// текст после успешного POST /api/bookings
+export function createdBookingMessage(status) {
+    return status === "pending"
+        ? "Бронирование создано и ожидает подтверждения администратора"
+        : "Бронирование создано";
+}
@@ -0,0 +1,157 @@
+// Импорт комнат из CSV/JSON и выгрузка комнат и броней в панели админа на rooms.html.
+
+import * as api from "./api.js";
+
+// подписи действий: [предпросмотр, после сохранения]
+const ACTION_LABELS = {
+    create: ["будет создана", "создана"],
+    update: ["будет обновлена", "обновлена"],
+    error: ["ошибка", "ошибка"]
+};
+
+function showMessage(id, text) {
+    document.getElementById(id).textContent = text || "";
+}
+
+// отдает скачанный файл браузеру
+function saveBlob({ blob, filename }) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+function renderImportRows({ rows, dry_run: dryRun }) {
+    const list = document.getElementById("import-rows");
+    list.innerHTML = "";
+    rows.forEach(r => {
+        const li = document.createElement("li");
+        li.className = "list-item";
+        const text = document.createElement("div");
+        text.textContent = `${r.row}. ${r.name || "(без названия)"}`;
+        if (r.error) {
+            const meta = document.createElement("div");
+            meta.className = "list-item__meta";
+            meta.textContent = r.error;
+            text.appendChild(meta);
+        }
+        if (r.future_bookings) {
+            const meta = document.createElement("div");
+            meta.className = "list-item__meta";
+            meta.textContent = `комната отключается, будущих броней: ${r.future_bookings} – ` +
+                "они останутся в силе, отмените или перенесите их на странице комнаты";
+            text.appendChild(meta);
+        }
+        const badge = document.createElement("span");
+        badge.className = r.action === "error" ? "badge badge--danger" : "badge badge--success";
+        badge.textContent = ACTION_LABELS[r.action] ? ACTION_LABELS[r.action][dryRun ? 0 : 1] : r.action;
+        li.appendChild(text);
+        li.appendChild(badge);
+        list.appendChild(li);
+    });
+}
+
+function importSummary(res) {
+    if (res.errors) return `Строк с ошибками: ${res.errors} – исправьте файл, ничего не сохранено`;
+    let text = `${res.dry_run ? "Будет создано" : "Создано"}: ${res.created}, обновлено: ${res.updated}`;
+    if (res.future_bookings) {
+        text += `. В отключаемых комнатах будущих броней: ${res.future_bookings}`;
+    }
+    return text;
+}
+
+async function fillExportRooms() {
+    const select = document.getElementById("export-room");
+    try {
+        const rooms = await api.listRooms();
+        select.length = 1;
+        rooms.forEach(r => select.appendChild(new Option(r.name, String(r.id))));
+    } catch (e) {
+        showMessage("export-message", e.message);
+    }
+}
+
+/**
+ * Подключает обработчики к разметке импорта и выгрузки (только для админа).
+ * @param {{timeZone: () => string, onImported: () => void}} options
+ *        timeZone – зона для дат выгрузки броней, onImported – после сохранения импорта
+ */
+export function initImportExport({ timeZone, onImported }) {
+    const fileInput = document.getElementById("import-file");
+    const applyBtn = document.getElementById("import-apply");
+
+    let preview = null; // итог последней проверки файла
+
+    // импорт доступен только после успешной проверки того же файла
+    fileInput.addEventListener("change", () => {
+        preview = null;
+        applyBtn.disabled = true;
+        document.getElementById("import-rows").innerHTML = "";
+        showMessage("import-message", "");
+    });
+
+    async function runImport(dryRun) {
+        const file = fileInput.files[0];
+        if (!file) {
+            showMessage("import-message", "Выберите файл");
+            return;
+        }
+        // то же предупреждение, что при отключении комнаты в ее форме
+        if (!dryRun && preview && preview.future_bookings > 0 && !confirm(
+            `В отключаемых комнатах ${preview.future_bookings} будущих броней. Они останутся в силе, ` +
+            "пока вы их не отмените или не перенесете. Импортировать?"
+        )) {
+            return;
+        }
+        try {
+            const res = await api.importRooms(file, dryRun);
+            preview = dryRun ? res : null;
+            renderImportRows(res);
+            showMessage("import-message", importSummary(res));
+            applyBtn.disabled = !dryRun || res.errors > 0;
+            if (!dryRun) {
+                fileInput.value = "";
+                await fillExportRooms();
+                onImported();
+            }
+        } catch (e) {
+            // 422: в данных те же строки с ошибками
+            if (e.data && e.data.rows) renderImportRows(e.data);
+            showMessage("import-message", e.data && e.data.rows ? importSummary(e.data) : e.message);
+            applyBtn.disabled = true;
+        }
+    }
+
+    document.getElementById("import-check").addEventListener("click", () => runImport(true));
+    applyBtn.addEventListener("click", () => runImport(false));
+
+    document.getElementById("export-rooms").addEventListener("click", async () => {
+        showMessage("export-message", "");
+        try {
+            saveBlob(await api.exportRooms(document.getElementById("export-format").value));
+        } catch (e) {
+            showMessage("export-message", e.message);
+        }
+    });
+
+    document.getElementById("export-bookings").addEventListener("click", async () => {
+        showMessage("export-message", "");
+        const roomId = parseInt(document.getElementById("export-room").value, 10) || undefined;
+        try {
+            saveBlob(await api.exportBookings({
+                from: document.getElementById("export-from").value,
+                to: document.getElementById("export-to").value,
+                time_zone: timeZone(),
+                room_id: roomId
+            }, document.getElementById("export-format").value));
+        } catch (e) {
+            showMessage("export-message", e.message);
+        }
+    });
+
+    fillExportRooms();
+}
@@ -0,0 +1,74 @@
+// Живые обновления через Server-Sent Events (/api/events, /api/rooms/{id}/events).
+// EventSource сам переподключается после обрыва и передает Last-Event-ID, сервер
+// досылает пропущенные события. Если сервер закрыл поток окончательно, переподключаемся
+// сами с нарастающей паузой и передаем id последнего события в query.
+
+import { API_BASE } from "./api.js";
+
+const RETRY_MIN_MS = 1000;
+const RETRY_MAX_MS = 30000;
+
+/**
+ * @typedef {Object} LiveEvent
+ * @property {number} id
+ * @property {"booking.created"|"booking.cancelled"|"booking.status_changed"|"booking.updated"|
+ *            "room.created"|"room.updated"|"room.deleted"|"reset"} type
+ *           reset – пропущенное не восстановить, список нужно загрузить заново
+ * @property {number} [room_id]
+ * @property {number} [prev_room_id] комната до переноса брони
+ * @property {import("./api.js").Booking} [booking] у отмененной или отклоненной брони
+ *           только id, room_id и status
+ * @property {import("./api.js").Room} [room]
+ */
+
+/**
+ * @param {string} path "/api/events" или "/api/rooms/{id}/events"
+ * @param {(event: LiveEvent) => void} onEvent
+ * @returns {() => void} отписка
+ */
+export function subscribeLive(path, onEvent) {
+    if (typeof EventSource === "undefined") return () => {};
+
+    let source = null;
+    let lastEventId = "";
+    let retryMs = RETRY_MIN_MS;
+    let retryTimer = null;
+    let closed = false;
+
+    function connect() {
+        const url = lastEventId
+            ? `${API_BASE}${path}?last_event_id=${encodeURIComponent(lastEventId)}`
+            : API_BASE + path;
+        source = new EventSource(url);
+
+        source.onopen = () => {
+            retryMs = RETRY_MIN_MS;
+        };
+
+        source.onmessage = msg => {
+            lastEventId = msg.lastEventId;
+            let event;
+            try {
+                event = JSON.parse(msg.data);
+            } catch (_) {
+                return;
+            }
+            onEvent(event);
+        };
+
+        source.onerror = () => {
+            // CONNECTING – браузер переподключится сам
+            if (closed || source.readyState !== EventSource.CLOSED) return;
+            retryTimer = setTimeout(connect, retryMs);
+            retryMs = Math.min(retryMs * 2, RETRY_MAX_MS);
+        };
+    }
+
+    connect();
+
+    return () => {
+        closed = true;
+        clearTimeout(retryTimer);
+        if (source) source.close();
+    };
+}
@@ -0,0 +1,324 @@
+import * as api from "./api.js";
+import {
+    bookingTitle,
+    createdBookingMessage,
+    formatTimeRange,
+    isActiveStatus,
+    statusActionLabel,
+    statusBadgeClass,
+    zonedParts,
+    zonedTimeToDate
+} from "./format.js";
+import { initCalendarFeed } from "./feeds.js";
+import { canReschedule, toggleRescheduleForm } from "./reschedule.js";
+import { initDisplayZoneSelect, userTimeZone } from "./timezone.js";
+import { renderVerifyBanner } from "./verify-banner.js";
+
+document.getElementById("api-base-label").textContent = api.API_BASE;
+
+let currentUser = null;
+let bookings = []; // загруженные страницы активной вкладки
+let tabPage = null; // {tab, now, cursor, hidden} – откуда грузить следующую страницу вкладки
+let tabCounts = { upcoming: 0, past: 0, cancelled: 0 };
+let roomsById = new Map();
+let transitions = [];
+let activeTab = "upcoming";
+let displayZone = null; // зона, в которой показываем время броней
+
+function showMessage(id, text) {
+    const el = document.getElementById(id);
+    el.textContent = text || "";
+}
+
+// ==== auth + user ====
+
+function updateUserInfo() {
+    const emailSpan = document.getElementById("user-email");
+    const roleSpan = document.getElementById("user-role");
+    emailSpan.textContent = currentUser ? currentUser.email || "" : "";
+    roleSpan.textContent = currentUser && currentUser.role ? `(${currentUser.role})` : "";
+}
+
+async function initAuth() {
+    try {
+        currentUser = await api.requireUser();
+    } catch (e) {
+        alert("Не удалось загрузить профиль: " + e.message);
+        return false;
+    }
+    if (!currentUser) return false;
+    updateUserInfo();
+    renderVerifyBanner(currentUser);
+    return true;
+}
+
+document.getElementById("logout-btn").addEventListener("click", api.logout);
+
+// ==== группировка ====
+
+function bookingGroup(b, now) {
+    // отклоненные админом показываем вместе с отмененными
+    if (!isActiveStatus(b.status)) return "cancelled";
+    return new Date(b.end_time) > now ? "upcoming" : "past";
+}
+
+// Фильтр вкладки для сервера: ближайшие сверху, прошедшие и отмененные – от последних
+// к старым. Идущая сейчас бронь пересекается и с from, и с to: ее показываем только
+// в предстоящих, а из прошедших отбрасываем после загрузки.
+function tabQuery(tab, now) {
+    switch (tab) {
+        case "upcoming":
+            return { status: "pending,confirmed", from: now.toISOString(), order: "asc" };
+        case "past":
+            return { status: "pending,confirmed", to: now.toISOString(), order: "desc" };
+        default:
+            return { status: "cancelled,rejected", order: "desc" };
+    }
+}
+
+// ==== рендер ====
+
+function renderBooking(b) {
+    const roomInfo = roomsById.get(b.room_id);
+    const li = document.createElement("li");
+    li.className = "list-item";
+
+    const left = document.createElement("div");
+    left.className = "booking-card";
+    if (roomInfo && roomInfo.photo_url) {
+        const img = document.createElement("img");
+        img.className = "booking-card__photo";
+        img.src = roomInfo.photo_thumb_url || roomInfo.photo_url;
+        img.alt = roomInfo.name;
+        left.appendChild(img);
+    }
+
+    const text = document.createElement("div");
+    const title = document.createElement("a");
+    title.className = "link-plain";
+    title.href = `/room.html?id=${b.room_id}`;
+    title.textContent = roomInfo ? roomInfo.name : `Комната #${b.room_id}`;
+    const meta = document.createElement("div");
+    meta.className = "list-item__meta";
+    meta.textContent = `${formatTimeRange(b.start_time, b.end_time, displayZone)} • ${bookingTitle(b)}`;
+    text.appendChild(title);
+    text.appendChild(meta);
+    if (b.description) {
+        const notes = document.createElement("div");
+        notes.className = "list-item__meta";
+        notes.textContent = b.description;
+        text.appendChild(notes);
+    }
+    if (b.attendees.length > 0) {
+        const people = document.createElement("div");
+        people.className = "list-item__meta";
+        people.textContent = `Участники: ${b.attendees.join(", ")}`;
+        text.appendChild(people);
+    }
+    left.appendChild(text);
+
+    const right = document.createElement("div");
+    right.style.display = "flex";
+    right.style.gap = "6px";
+
+    const badge = document.createElement("span");
+    badge.className = statusBadgeClass(b.status);
+    badge.textContent = b.status;
+    right.appendChild(badge);
+
+    if (b.invited) {
+        const invitedBadge = document.createElement("span");
+        invitedBadge.className = "badge";
+        invitedBadge.textContent = "приглашение";
+        right.appendChild(invitedBadge);
+    }
+
+    // смена статуса имеет смысл только для еще не закончившихся броней
+    if (new Date(b.end_time) > new Date()) {
+        api.allowedStatuses(transitions, b, currentUser).forEach(to => {
+            const actionBtn = document.createElement("button");
+            actionBtn.className = "btn btn--ghost";
+            actionBtn.textContent = statusActionLabel(b.status, to);
+            actionBtn.style.fontSize = "11px";
+            actionBtn.addEventListener("click", () => changeBookingStatus(b.id, to));
+            right.appendChild(actionBtn);
+        });
+    }
+    if (canReschedule(b, currentUser)) {
+        const editBtn = document.createElement("button");
+        editBtn.className = "btn btn--ghost";
+        editBtn.textContent = "Перенести";
+        editBtn.style.fontSize = "11px";
+        editBtn.addEventListener("click", () => {
+            toggleRescheduleForm(li, b, Array.from(roomsById.values()), async () => {
+                await loadData();
+                showMessage("my-bookings-message", "Бронирование перенесено");
+            }, displayZone);
+        });
+        right.appendChild(editBtn);
+    }
+    if (!b.invited && bookingGroup(b, new Date()) !== "upcoming" && (!roomInfo || roomInfo.is_active)) {
+        const rebookBtn = document.createElement("button");
+        rebookBtn.className = "btn btn--ghost";
+        rebookBtn.textContent = "Повторить";
+        rebookBtn.style.fontSize = "11px";
+        rebookBtn.addEventListener("click", () => rebook(b));
+        right.appendChild(rebookBtn);
+    }
+
+    li.appendChild(left);
+    li.appendChild(right);
+    return li;
+}
+
+function renderFooter() {
+    Object.keys(tabCounts).forEach(key => {
+        document.getElementById(`count-${key}`).textContent = tabCounts[key] ? `(${tabCounts[key]})` : "";
+    });
+    document.getElementById("my-bookings-more").classList.toggle("hidden", !(tabPage && tabPage.cursor));
+    showMessage("my-bookings-message", bookings.length === 0 ? "Нет бронирований" : "");
+}
+
+function render() {
+    document.querySelectorAll(".tab[data-tab]").forEach(tab => {
+        tab.classList.toggle("tab--active", tab.dataset.tab === activeTab);
+    });
+
+    const list = document.getElementById("my-bookings-list");
+    list.innerHTML = "";
+    bookings.forEach(b => list.appendChild(renderBooking(b)));
+    renderFooter();
+}
+
+document.querySelectorAll(".tab[data-tab]").forEach(tab => {
+    tab.addEventListener("click", async () => {
+        activeTab = tab.dataset.tab;
+        try {
+            if (await loadTab()) render();
+        } catch (e) {
+            showMessage("my-bookings-message", e.message);
+        }
+    });
+});
+
+// следующая страница дописывается в конец, открытые формы переноса не трогаем
+document.getElementById("my-bookings-more").addEventListener("click", async () => {
+    const shown = bookings.length;
+    try {
+        if (!(await loadTab(true))) return;
+    } catch (e) {
+        showMessage("my-bookings-message", e.message);
+        return;
+    }
+    const list = document.getElementById("my-bookings-list");
+    bookings.slice(shown).forEach(b => list.appendChild(renderBooking(b)));
+    renderFooter();
+});
+
+// ==== загрузка и действия ====
+
+// Первая (или следующая, more) страница активной вкладки. false – пока шел запрос,
+// переключили вкладку, и ответ уже не нужен.
+async function loadTab(more = false) {
+    if (!more) {
+        tabPage = { tab: activeTab, now: new Date(), cursor: null, hidden: 0 };
+    }
+    const state = tabPage;
+    const page = await api.listMyBookings({ ...tabQuery(state.tab, state.now), cursor: state.cursor || undefined });
+    if (state !== tabPage) return false;
+    const items = page.items.filter(b => bookingGroup(b, state.now) === state.tab);
+    state.hidden += page.items.length - items.length;
+    state.cursor = page.next_cursor;
+    tabCounts[state.tab] = page.total - state.hidden;
+    bookings = more ? bookings.concat(items) : items;
+    return true;
+}
+
+// счетчики остальных вкладок: от них нужен только total
+async function loadTabCounts() {
+    const now = new Date();
+    const tabs = Object.keys(tabCounts).filter(tab => tab !== activeTab);
+    const pages = await Promise.all(tabs.map(tab => api.listMyBookings({ ...tabQuery(tab, now), limit: 1 })));
+    tabs.forEach((tab, i) => {
+        tabCounts[tab] = pages[i].total;
+    });
+}
+
+async function loadData() {
+    try {
+        const [rooms, table] = await Promise.all([
+            api.listRooms(),
+            api.getBookingTransitions(),
+            loadTab(),
+            loadTabCounts()
+        ]);
+        transitions = table;
+        roomsById = new Map(rooms.map(r => [r.id, r]));
+        render();
+    } catch (e) {
+        showMessage("my-bookings-message", e.message);
+    }
+}
+
+async function changeBookingStatus(id, status) {
+    if (status === "cancelled" && !confirm("Отменить бронирование?")) return;
+    try {
+        if (status === "cancelled") {
+            await api.cancelBooking(id);
+        } else {
+            await api.updateBooking(id, { status });
+        }
+        await loadData();
+    } catch (e) {
+        showMessage("my-bookings-message", e.message);
+    }
+}
+
+// тот же момент через weeks недель по настенным часам зоны, а не +7 суток в мс,
+// чтобы время не съезжало при переходе на летнее время
+function addWeeks(date, weeks, timeZone) {
+    const p = zonedParts(date, timeZone);
+    return zonedTimeToDate(p.year, p.month, p.day + 7 * weeks, p.hour, p.minute, timeZone);
+}
+
+// Повтор прошедшей брони: тот же день недели и время в зоне комнаты, ближайшая будущая неделя
+async function rebook(b) {
+    const now = new Date();
+    const roomInfo = roomsById.get(b.room_id);
+    const zone = (roomInfo && roomInfo.time_zone) || displayZone;
+    let weeks = 1;
+    while (addWeeks(new Date(b.start_time), weeks, zone) <= now) weeks++;
+    const startStr = addWeeks(new Date(b.start_time), weeks, zone).toISOString();
+    const endStr = addWeeks(new Date(b.end_time), weeks, zone).toISOString();
+    if (!confirm(`Забронировать снова: ${formatTimeRange(startStr, endStr, displayZone)}?`)) return;
+    try {
+        const res = await api.createBooking({
+            room_id: b.room_id,
+            start_time: startStr,
+            end_time: endStr,
+            title: b.title,
+            description: b.description,
+            attendees: b.attendees
+        });
+        activeTab = "upcoming";
+        await loadData();
+        showMessage("my-bookings-message", createdBookingMessage(res.status));
+    } catch (e) {
+        showMessage("my-bookings-message", e.message);
+    }
+}
+
+// ==== init ====
+
+(async function init() {
+    if (!(await initAuth())) return;
+    displayZone = initDisplayZoneSelect(document.getElementById("tz-select"), [
+        { zone: userTimeZone(currentUser), label: "мой" },
+        { zone: "UTC", label: "UTC" }
+    ], zone => {
+        displayZone = zone;
+        render();
+    });
+    initCalendarFeed(document.getElementById("my-feed"), api.myFeedUrl, { allowRevoke: true });
+    await loadData();
+})();
@@ -0,0 +1,140 @@
+import * as api from "./api.js";
+import { browserTimeZone, formatLocalDateTime } from "./format.js";
+import { fillTimeZoneSelect } from "./timezone.js";
+import { renderVerifyBanner } from "./verify-banner.js";
+
+document.getElementById("api-base-label").textContent = api.API_BASE;
+
+let currentUser = null;
+
+function showMessage(id, text) {
+    const el = document.getElementById(id);
+    el.textContent = text || "";
+}
+
+// ==== auth + user ====
+
+async function initAuth() {
+    try {
+        currentUser = await api.requireUser();
+    } catch (e) {
+        alert("Не удалось загрузить профиль: " + e.message);
+        return false;
+    }
+    if (!currentUser) return false;
+    document.getElementById("user-role").textContent = `(${currentUser.role})`;
+    renderProfile();
+    renderVerifyBanner(currentUser);
+    return true;
+}
+
+function renderProfile() {
+    document.getElementById("profile-email").textContent = currentUser.display_name
+        ? `${currentUser.display_name} <${currentUser.email}>`
+        : currentUser.email;
+    document.getElementById("profile-meta").textContent =
+        `Роль: ${currentUser.role} • с нами с ${formatLocalDateTime(currentUser.created_at)}`;
+    document.getElementById("profile-display-name").value = currentUser.display_name || "";
+    document.getElementById("profile-hide-identity").checked = currentUser.hide_identity;
+    fillTimeZoneSelect(document.getElementById("profile-time-zone"), currentUser.time_zone,
+        `Как в браузере (${browserTimeZone()})`);
+}
+
+document.getElementById("logout-btn").addEventListener("click", api.logout);
+
+// ==== настройки ====
+
+document.getElementById("profile-save").addEventListener("click", async () => {
+    try {
+        currentUser = await api.updateMe({
+            display_name: document.getElementById("profile-display-name").value.trim(),
+            hide_identity: document.getElementById("profile-hide-identity").checked,
+            time_zone: document.getElementById("profile-time-zone").value
+        });
+        renderProfile();
+        showMessage("profile-message", "Настройки сохранены");
+    } catch (e) {
+        showMessage("profile-message", e.message);
+    }
+});
+
+// ==== сессии ====
+
+async function loadSessions() {
+    try {
+        const sessions = await api.listSessions();
+        const list = document.getElementById("sessions-list");
+        list.innerHTML = "";
+        sessions.forEach(s => {
+            const li = document.createElement("li");
+            li.className = "list-item";
+
+            const left = document.createElement("div");
+            const title = document.createElement("div");
+            title.textContent = s.user_agent || "Неизвестное устройство";
+            const meta = document.createElement("div");
+            meta.className = "list-item__meta";
+            meta.textContent = `Активность: ${formatLocalDateTime(s.last_seen_at)} • вход: ${formatLocalDateTime(s.created_at)}`;
+            left.appendChild(title);
+            left.appendChild(meta);
+
+            const right = document.createElement("div");
+            right.style.display = "flex";
+            right.style.gap = "6px";
+            if (s.current) {
+                const badge = document.createElement("span");
+                badge.className = "badge badge--success";
+                badge.textContent = "это устройство";
+                right.appendChild(badge);
+            }
+            const revokeBtn = document.createElement("button");
+            revokeBtn.className = "btn btn--ghost";
+            revokeBtn.textContent = s.current ? "Выйти" : "Завершить";
+            revokeBtn.style.fontSize = "11px";
+            revokeBtn.addEventListener("click", () => revokeSession(s));
+            right.appendChild(revokeBtn);
+
+            li.appendChild(left);
+            li.appendChild(right);
+            list.appendChild(li);
+        });
+        showMessage("sessions-message", sessions.length === 0 ? "Нет активных сессий" : "");
+    } catch (e) {
+        showMessage("sessions-message", e.message);
+    }
+}
+
+async function revokeSession(session) {
+    if (session.current) {
+        await api.logout();
+        return;
+    }
+    try {
+        await api.revokeSession(session.id);
+        showMessage("sessions-message", "Сессия завершена");
+        await loadSessions();
+    } catch (e) {
+        showMessage("sessions-message", e.message);
+    }
+}
+
+document.getElementById("revoke-all-sessions").addEventListener("click", async () => {
+    if (!confirm("Завершить все сессии, включая эту?")) return;
+    try {
+        await api.revokeAllSessions();
+    } catch (e) {
+        showMessage("sessions-message", e.message);
+        return;
+    }
+    api.setAuthToken(null);
+    window.location.href = "/";
+});
+
+document.getElementById("reload-sessions").addEventListener("click", loadSessions);
+
+// ==== init ====
+
+(async function init() {
+    if (!(await initAuth())) return;
+    await loadSessions();
+})();
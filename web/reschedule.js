@@ -0,0 +1,97 @@
+// Инлайн-форма переноса брони: новое время и/или другая комната одним PATCH,
+// без отмены и повторного бронирования.
+
+import * as api from "./api.js";
+import { dateToLocalInput, isActiveStatus, localInputToRFC3339, timeZoneOffsetLabel } from "./format.js";
+
+// те же условия, что проверяет сервер: своя (или admin), активная, еще не закончилась
+export function canReschedule(booking, user) {
+    if (!user) return false;
+    if (user.id !== booking.user_id && user.role !== "admin") return false;
+    return isActiveStatus(booking.status) && new Date(booking.end_time) > new Date();
+}
+
+/**
+ * Открывает (или закрывает, если уже открыта) форму переноса под элементом списка.
+ * @param {HTMLElement} li элемент списка броней
+ * @param {import("./api.js").Booking} booking
+ * @param {import("./api.js").Room[]} rooms комнаты для выбора
+ * @param {(booking: import("./api.js").Booking) => void} onSaved
+ * @param {string} [timeZone] зона, в которой показывается и вводится время; по умолчанию браузера
+ */
+export function toggleRescheduleForm(li, booking, rooms, onSaved, timeZone) {
+    const existing = li.querySelector(".reschedule-form");
+    if (existing) {
+        existing.remove();
+        return;
+    }
+
+    const form = document.createElement("div");
+    form.className = "toolbar reschedule-form";
+
+    const startLabel = document.createElement("label");
+    const offset = timeZone ? ` (${timeZoneOffsetLabel(timeZone)})` : "";
+    startLabel.textContent = `Начало${offset}`;
+    const startInput = document.createElement("input");
+    startInput.type = "datetime-local";
+    startInput.value = dateToLocalInput(new Date(booking.start_time), timeZone);
+    startLabel.appendChild(startInput);
+
+    const endLabel = document.createElement("label");
+    endLabel.textContent = `Окончание${offset}`;
+    const endInput = document.createElement("input");
+    endInput.type = "datetime-local";
+    endInput.value = dateToLocalInput(new Date(booking.end_time), timeZone);
+    endLabel.appendChild(endInput);
+
+    const roomLabel = document.createElement("label");
+    roomLabel.textContent = "Комната";
+    const roomSelect = document.createElement("select");
+    rooms
+        .filter(r => r.is_active || r.id === booking.room_id)
+        .forEach(r => {
+            const option = document.createElement("option");
+            option.value = r.id;
+            option.textContent = `#${r.id} ${r.name} (${r.capacity})`;
+            option.selected = r.id === booking.room_id;
+            roomSelect.appendChild(option);
+        });
+    roomLabel.appendChild(roomSelect);
+
+    const saveBtn = document.createElement("button");
+    saveBtn.className = "btn btn--secondary";
+    saveBtn.textContent = "Перенести";
+    const closeBtn = document.createElement("button");
+    closeBtn.className = "btn btn--ghost";
+    closeBtn.textContent = "Закрыть";
+
+    const message = document.createElement("div");
+    message.className = "message";
+
+    saveBtn.addEventListener("click", async () => {
+        if (!startInput.value || !endInput.value) {
+            message.textContent = "Заполните время начала и окончания";
+            return;
+        }
+        try {
+            const updated = await api.rescheduleBooking(booking.id, {
+                room_id: parseInt(roomSelect.value, 10),
+                start_time: localInputToRFC3339(startInput.value, timeZone),
+                end_time: localInputToRFC3339(endInput.value, timeZone)
+            });
+            form.remove();
+            onSaved(updated);
+        } catch (e) {
+            message.textContent = e.message;
+        }
+    });
+    closeBtn.addEventListener("click", () => form.remove());
+
+    form.appendChild(startLabel);
+    form.appendChild(endLabel);
+    form.appendChild(roomLabel);
+    form.appendChild(saveBtn);
+    form.appendChild(closeBtn);
+    form.appendChild(message);
+    li.appendChild(form);
+}
@@ -0,0 +1,36 @@
+import { API_BASE, resetPassword, setAuthToken } from "./api.js";
+
+document.getElementById("api-base-label").textContent = API_BASE;
+
+function showMessage(id, text) {
+    const el = document.getElementById(id);
+    el.textContent = text || "";
+}
+
+const token = new URLSearchParams(window.location.search).get("token");
+if (!token) {
+    document.getElementById("reset-form").classList.add("hidden");
+    showMessage("reset-message", "В ссылке нет токена. Запросите сброс пароля еще раз на странице входа.");
+}
+
+document.getElementById("reset-submit").addEventListener("click", async () => {
+    const password = document.getElementById("reset-password").value;
+    const repeat = document.getElementById("reset-password-repeat").value;
+    if (!password) {
+        showMessage("reset-message", "Введите новый пароль");
+        return;
+    }
+    if (password !== repeat) {
+        showMessage("reset-message", "Пароли не совпадают");
+        return;
+    }
+    try {
+        await resetPassword(token, password);
+        // старые токены этого браузера тоже больше не действуют
+        setAuthToken(null);
+        document.getElementById("reset-form").classList.add("hidden");
+        showMessage("reset-message", "Пароль изменен, теперь войдите с новым паролем");
+    } catch (e) {
+        showMessage("reset-message", e.message);
+    }
+});
@@ -0,0 +1,187 @@
+// Правила бронирования комнаты: краткое описание для всех и редактор для админа.
+
+import * as api from "./api.js";
+
+const WEEKDAYS = ["пн", "вт", "ср", "чт", "пт", "сб", "вс"]; // ISO: 1 – понедельник
+
+/**
+ * Правила одной строкой для подсказки у формы; "" – ограничений нет.
+ * @param {api.RoomPolicy} policy
+ */
+export function describePolicy(policy) {
+    const parts = [];
+    if (policy.opening_hours.length) {
+        const hours = policy.opening_hours
+            .map(h => `${WEEKDAYS[h.weekday - 1]} ${h.opens}–${h.closes}`)
+            .join(", ");
+        parts.push(`Часы работы (${policy.time_zone}): ${hours}, остальные дни – выходные`);
+    }
+    if (policy.min_minutes && policy.max_minutes) {
+        parts.push(`длительность от ${policy.min_minutes} до ${policy.max_minutes} мин`);
+    } else if (policy.min_minutes) {
+        parts.push(`длительность от ${policy.min_minutes} мин`);
+    } else if (policy.max_minutes) {
+        parts.push(`длительность до ${policy.max_minutes} мин`);
+    }
+    if (policy.max_days_ahead) {
+        parts.push(`не дальше чем на ${policy.max_days_ahead} дн. вперед`);
+    }
+    if (policy.max_active_per_user) {
+        parts.push(`не больше ${policy.max_active_per_user} активных броней на человека`);
+    }
+    policy.blackouts.forEach(b => {
+        const dates = b.starts_on === b.ends_on ? b.starts_on : `${b.starts_on} – ${b.ends_on}`;
+        parts.push(`закрыта ${dates}${b.reason ? ` (${b.reason})` : ""}`);
+    });
+    return parts.join("; ");
+}
+
+function numberInput(label, value) {
+    const el = document.createElement("label");
+    el.textContent = label;
+    const input = document.createElement("input");
+    input.type = "number";
+    input.min = "1";
+    input.value = value ?? "";
+    el.appendChild(input);
+    return { el, input };
+}
+
+function readNumber(input) {
+    const n = parseInt(input.value, 10);
+    return Number.isNaN(n) ? null : n;
+}
+
+function timeInput(value) {
+    const input = document.createElement("input");
+    input.type = "time";
+    input.value = value === "24:00" ? "23:59" : value;
+    return input;
+}
+
+/**
+ * Редактор правил (admin). Закрытие "23:59" сохраняется как 24:00 – до конца дня.
+ * @param {HTMLElement} root пустой контейнер
+ * @param {number} roomId
+ * @param {api.RoomPolicy} policy текущие правила
+ * @param {(policy: api.RoomPolicy) => void} onSaved
+ */
+export function renderPolicyEditor(root, roomId, policy, onSaved) {
+    root.innerHTML = "";
+
+    const limits = document.createElement("div");
+    limits.className = "toolbar";
+    const minMinutes = numberInput("Мин. длительность, мин", policy.min_minutes);
+    const maxMinutes = numberInput("Макс. длительность, мин", policy.max_minutes);
+    const daysAhead = numberInput("Дней вперед", policy.max_days_ahead);
+    const maxActive = numberInput("Активных броней на человека", policy.max_active_per_user);
+    [minMinutes.el, maxMinutes.el, daysAhead.el, maxActive.el].forEach(el => limits.appendChild(el));
+    root.appendChild(limits);
+
+    // часы работы: без отмеченных дней комната открыта круглосуточно;
+    // зона – из параметров комнаты, здесь только показываем
+    const hoursTitle = document.createElement("h4");
+    hoursTitle.textContent = `Часы работы, ${policy.time_zone} (не отмечено ни одного дня – круглосуточно)`;
+    root.appendChild(hoursTitle);
+    const days = WEEKDAYS.map((name, i) => {
+        const existing = policy.opening_hours.find(h => h.weekday === i + 1);
+        const row = document.createElement("div");
+        row.className = "toolbar";
+        const label = document.createElement("label");
+        const open = document.createElement("input");
+        open.type = "checkbox";
+        open.checked = Boolean(existing);
+        label.appendChild(open);
+        label.append(` ${name}`);
+        const opens = timeInput(existing ? existing.opens : "09:00");
+        const closes = timeInput(existing ? existing.closes : "18:00");
+        row.appendChild(label);
+        row.appendChild(opens);
+        row.append("–");
+        row.appendChild(closes);
+        root.appendChild(row);
+        return { weekday: i + 1, open, opens, closes };
+    });
+
+    const blackoutsTitle = document.createElement("h4");
+    blackoutsTitle.textContent = "Закрытые даты";
+    root.appendChild(blackoutsTitle);
+    const blackoutList = document.createElement("ul");
+    blackoutList.className = "list";
+    root.appendChild(blackoutList);
+    let blackouts = policy.blackouts.slice();
+
+    function renderBlackouts() {
+        blackoutList.innerHTML = "";
+        blackouts.forEach((b, i) => {
+            const li = document.createElement("li");
+            li.className = "list-item";
+            const text = document.createElement("div");
+            text.textContent = `${b.starts_on} – ${b.ends_on}${b.reason ? ` (${b.reason})` : ""}`;
+            const remove = document.createElement("button");
+            remove.className = "btn btn--ghost";
+            remove.textContent = "Убрать";
+            remove.addEventListener("click", () => {
+                blackouts = blackouts.filter((_, j) => j !== i);
+                renderBlackouts();
+            });
+            li.appendChild(text);
+            li.appendChild(remove);
+            blackoutList.appendChild(li);
+        });
+    }
+    renderBlackouts();
+
+    const addRow = document.createElement("div");
+    addRow.className = "toolbar";
+    const from = document.createElement("input");
+    from.type = "date";
+    const to = document.createElement("input");
+    to.type = "date";
+    const reason = document.createElement("input");
+    reason.type = "text";
+    reason.placeholder = "Причина, например праздник";
+    const addBtn = document.createElement("button");
+    addBtn.className = "btn btn--ghost";
+    addBtn.textContent = "Добавить";
+    addBtn.addEventListener("click", () => {
+        if (!from.value) return;
+        blackouts.push({ starts_on: from.value, ends_on: to.value || from.value, reason: reason.value.trim() });
+        from.value = to.value = reason.value = "";
+        renderBlackouts();
+    });
+    [from, to, reason, addBtn].forEach(el => addRow.appendChild(el));
+    root.appendChild(addRow);
+
+    const saveBtn = document.createElement("button");
+    saveBtn.className = "btn btn--secondary";
+    saveBtn.textContent = "Сохранить правила";
+    const message = document.createElement("div");
+    message.className = "message";
+    root.appendChild(saveBtn);
+    root.appendChild(message);
+
+    saveBtn.addEventListener("click", async () => {
+        const next = {
+            min_minutes: readNumber(minMinutes.input),
+            max_minutes: readNumber(maxMinutes.input),
+            max_days_ahead: readNumber(daysAhead.input),
+            max_active_per_user: readNumber(maxActive.input),
+            opening_hours: days
+                .filter(d => d.open.checked)
+                .map(d => ({
+                    weekday: d.weekday,
+                    opens: d.opens.value,
+                    closes: d.closes.value === "23:59" ? "24:00" : d.closes.value
+                })),
+            blackouts
+        };
+        try {
+            const saved = await api.updateRoomPolicy(roomId, next);
+            message.textContent = "Правила сохранены";
+            onSaved(saved);
+        } catch (e) {
+            message.textContent = e.message;
+        }
+    });
+}
@@ -1,86 +1,48 @@
-const API_BASE = window.location.origin;
-document.getElementById("api-base-label").textContent = API_BASE;
+import * as api from "./api.js";
+import { createRoomCalendar } from "./calendar.js";
+import { initCalendarFeed } from "./feeds.js";
+import { subscribeLive } from "./live.js";
+import { canReschedule, toggleRescheduleForm } from "./reschedule.js";
+import { describePolicy, renderPolicyEditor } from "./room-policy.js";
+import {
+    bookerLabel,
+    bookingTitle,
+    createdBookingMessage,
+    dateToLocalInput,
+    EQUIPMENT_LABELS,
+    formatTimeRange,
+    isActiveStatus,
+    localInputToRFC3339,
+    parseAttendees,
+    PLACEHOLDER_PHOTO,
+    roomFeatures,
+    statusActionLabel,
+    timeZoneOffsetLabel,
+    statusBadgeClass
+} from "./format.js";
+import { fillTimeZoneSelect, initDisplayZoneSelect, userTimeZone } from "./timezone.js";
+import { renderVerifyBanner } from "./verify-banner.js";
+
+document.getElementById("api-base-label").textContent = api.API_BASE;
 
-let authToken = null;
 let currentUser = null;
 let roomId = null;
 let room = null;
-
-const PLACEHOLDER_PHOTO = "https://via.placeholder.com/800x400?text=Room";
+let calendar = null;
+let allRooms = null; // для формы переноса, загружается при первом открытии
+let pendingSeries = null; // серия, показанная в предпросмотре и ожидающая подтверждения
+// Список показывает предстоящие брони постранично, календарь – брони своего диапазона
+let bookings = []; // загруженные страницы списка: активные брони, не закончившиеся к bookingsFrom
+let bookingsFrom = null; // from первой страницы, с ним же запрашиваются следующие
+let bookingsCursor = null; // next_cursor списка, null – загружено все
+let bookingsTotal = 0; // сколько предстоящих броней всего, с учетом незагруженных
+let calendarBookings = [];
+let calendarRange = null; // {from, to} из onRangeChange календаря
+let transitions = [];
+let displayZone = null; // зона, в которой показываем и вводим время на странице
 
 // ==== утилиты ====
 
-function setAuthToken(token) {
-    authToken = token;
-    if (!token) {
-        localStorage.removeItem("bookmyroom_token");
-    } else {
-        localStorage.setItem("bookmyroom_token", token);
-    }
-}
-
-function getAuthHeaders() {
-    if (!authToken) return {};
-    return { "Authorization": "Bearer " + authToken };
-}
-
-async function apiRequest(path, options = {}) {
-    const url = API_BASE + path;
-    const headers = {
-        "Content-Type": "application/json",
-        ...getAuthHeaders(),
-        ...(options.headers || {})
-    };
-    const resp = await fetch(url, {
-        method: options.method || "GET",
-        headers,
-        body: options.body ? JSON.stringify(options.body) : undefined
-    });
-    let data = null;
-    try {
-        data = await resp.json();
-    } catch (_) {}
-    if (!resp.ok) {
-        const msg = data && data.error ? data.error : resp.statusText;
-        throw new Error(msg);
-    }
-    return data;
-}
-
-function parseJwt(token) {
-    try {
-        const base64Url = token.split(".")[1];
-        const base64 = base64Url.replace(/-/g, "+").replace(/_/g, "/");
-        const jsonPayload = decodeURIComponent(
-            atob(base64)
-                .split("")
-                .map(c => "%" + ("00" + c.charCodeAt(0).toString(16)).slice(-2))
-                .join("")
-        );
-        return JSON.parse(jsonPayload);
-    } catch (_) {
-        return null;
-    }
-}
-
-function localInputToRFC3339(str) {
-    if (!str) return "";
-    const dt = new Date(str);
-    return dt.toISOString();
-}
-
-function formatLocalDateTime(apiStr) {
-    if (!apiStr) return "";
-    const dt = new Date(apiStr);
-    return dt.toLocaleString("ru-RU", {
-        year: "numeric",
-        month: "2-digit",
-        day: "2-digit",
-        hour: "2-digit",
-        minute: "2-digit"
-    });
-}
-
 function showMessage(id, text) {
     const el = document.getElementById(id);
     el.textContent = text || "";
@@ -105,30 +67,19 @@ function updateUserInfo() {
 }
 
 async function initAuth() {
-    const savedToken = localStorage.getItem("bookmyroom_token");
-    if (!savedToken) {
-        window.location.href = "/";
-        return;
-    }
-    setAuthToken(savedToken);
-    const payload = parseJwt(authToken);
-    if (!payload) {
-        setAuthToken(null);
-        window.location.href = "/";
-        return;
+    try {
+        currentUser = await api.requireUser();
+    } catch (e) {
+        alert("Не удалось загрузить профиль: " + e.message);
+        return false;
     }
-    currentUser = {
-        id: payload.user_id,
-        role: payload.role,
-        email: ""
-    };
+    if (!currentUser) return false;
     updateUserInfo();
+    renderVerifyBanner(currentUser);
+    return true;
 }
 
-document.getElementById("logout-btn").addEventListener("click", () => {
-    setAuthToken(null);
-    window.location.href = "/";
-});
+document.getElementById("logout-btn").addEventListener("click", api.logout);
 
 // ==== room ====
 
@@ -140,21 +91,93 @@ function getRoomIdFromQuery() {
     return Number.isNaN(num) ? null : num;
 }
 
-async function loadRoom() {
+// ==== неактивная комната ====
+
+// загруженные брони, которые остались в отключенной комнате; их разбирает админ
+function futureBookings() {
+    const now = new Date();
+    return bookings.filter(b => new Date(b.end_time) > now);
+}
+
+// все будущие брони, включая незагруженные страницы списка
+function loadAllFutureBookings() {
+    return api.listAllRoomBookings(roomId, { from: new Date().toISOString() });
+}
+
+// Неактивная комната не принимает броней: форма скрыта. Админу показываем оставшиеся
+// будущие брони с теми же действиями, что в общем списке (отменить, перенести).
+function renderInactiveNotice() {
+    const box = document.getElementById("room-inactive");
+    const inactive = room && !room.is_active;
+    document.getElementById("booking-form").classList.toggle("hidden", inactive);
+    box.classList.toggle("hidden", !inactive);
+    if (!inactive) return;
+
+    const isAdmin = currentUser && currentUser.role === "admin";
+    const future = isAdmin ? futureBookings() : [];
+    const text = document.getElementById("room-inactive-text");
+    const list = document.getElementById("room-inactive-list");
+    list.innerHTML = "";
+    if (!isAdmin) {
+        text.textContent = "Бронирование этой комнаты временно недоступно.";
+    } else if (future.length === 0) {
+        text.textContent = "Новые брони не принимаются. Будущих броней в комнате нет.";
+    } else {
+        text.textContent = `Новые брони не принимаются, но остались будущие брони (${Math.max(bookingsTotal, future.length)}): ` +
+            "отмените их или перенесите в другую комнату.";
+        future.forEach(b => list.appendChild(renderBookingItem(b)));
+    }
+    document.getElementById("cancel-future-bookings").classList.toggle("hidden", future.length === 0);
+}
+
+document.getElementById("cancel-future-bookings").addEventListener("click", async () => {
+    let future;
     try {
-        room = await apiRequest(`/api/rooms/${roomId}`);
-        const title = document.getElementById("room-title");
-        const meta = document.getElementById("room-meta");
-        const status = document.getElementById("room-status");
-        const img = document.getElementById("room-photo");
+        future = await loadAllFutureBookings();
+    } catch (e) {
+        showMessage("bookings-message", e.message);
+        return;
+    }
+    if (!confirm(`Отменить будущие брони в этой комнате (${future.length})?`)) return;
+    let failed = 0;
+    for (const b of future) {
+        try {
+            await api.cancelBooking(b.id);
+        } catch {
+            failed++;
+        }
+    }
+    showMessage("bookings-message", failed
+        ? `Отменено ${future.length - failed} из ${future.length}, остальные не удалось отменить`
+        : `Отменено бронирований: ${future.length}`);
+    await loadBookings();
+});
+
+function renderRoomHeader() {
+    const title = document.getElementById("room-title");
+    const meta = document.getElementById("room-meta");
+    const status = document.getElementById("room-status");
+    const img = document.getElementById("room-photo");
+
+    title.textContent = `Комната #${room.id} ${room.name}`;
+    meta.textContent = [room.description || "Без описания", `capacity=${room.capacity}`, roomFeatures(room)]
+        .filter(Boolean)
+        .join(" • ");
+    status.innerHTML = room.is_active
+        ? '<span class="badge badge--success">active</span>'
+        : '<span class="badge badge--muted">inactive</span>';
+    if (room.requires_approval) {
+        status.innerHTML += ' <span class="badge">требует подтверждения</span>';
+    }
 
-        title.textContent = `Комната #${room.id} ${room.name}`;
-        meta.textContent = `${room.description || "Без описания"} • capacity=${room.capacity}`;
-        status.innerHTML = room.is_active
-            ? '<span class="badge badge--success">active</span>'
-            : '<span class="badge badge--muted">inactive</span>';
+    img.src = room.photo_url || PLACEHOLDER_PHOTO;
+    renderInactiveNotice();
+}
 
-        img.src = room.photo_url && room.photo_url.trim() !== "" ? room.photo_url : PLACEHOLDER_PHOTO;
+async function loadRoom() {
+    try {
+        room = await api.getRoom(roomId);
+        renderRoomHeader();
 
         // admin form
         const adminForm = document.getElementById("admin-room-form");
@@ -163,8 +186,14 @@ async function loadRoom() {
             document.getElementById("admin-room-name").value = room.name;
             document.getElementById("admin-room-desc").value = room.description || "";
             document.getElementById("admin-room-capacity").value = room.capacity;
-            document.getElementById("admin-room-photo").value = room.photo_url || "";
+            document.getElementById("admin-room-building").value = room.building || "";
+            document.getElementById("admin-room-floor").value = room.floor ?? "";
+            document.getElementById("admin-room-accessible").checked = room.accessible;
+            fillTimeZoneSelect(document.getElementById("admin-room-tz"), room.time_zone);
+            renderEquipmentCheckboxes(room.equipment || []);
+            document.getElementById("admin-delete-photo").classList.toggle("hidden", !room.photo_url);
             document.getElementById("admin-room-active").checked = room.is_active;
+            document.getElementById("admin-room-approval").checked = room.requires_approval;
         } else {
             adminForm.classList.add("hidden");
         }
@@ -173,94 +202,482 @@ async function loadRoom() {
     }
 }
 
+// ==== правила бронирования ====
+
+function renderPolicySummary(policy) {
+    const el = document.getElementById("room-policy");
+    const text = describePolicy(policy);
+    el.textContent = text ? `Правила: ${text}` : "";
+    el.classList.toggle("hidden", !text);
+}
+
+async function loadPolicy() {
+    try {
+        const policy = await api.getRoomPolicy(roomId);
+        renderPolicySummary(policy);
+        const section = document.getElementById("admin-policy");
+        if (currentUser && currentUser.role === "admin") {
+            section.classList.remove("hidden");
+            renderPolicyEditor(document.getElementById("admin-policy-form"), roomId, policy, renderPolicySummary);
+        } else {
+            section.classList.add("hidden");
+        }
+    } catch (e) {
+        showMessage("booking-form-message", "Не удалось загрузить правила комнаты: " + e.message);
+    }
+}
+
+function renderEquipmentCheckboxes(selected) {
+    const box = document.getElementById("admin-room-equipment");
+    box.innerHTML = "";
+    Object.entries(EQUIPMENT_LABELS).forEach(([tag, label]) => {
+        const el = document.createElement("label");
+        const input = document.createElement("input");
+        input.type = "checkbox";
+        input.value = tag;
+        input.checked = selected.includes(tag);
+        el.appendChild(input);
+        el.append(" " + label);
+        box.appendChild(el);
+    });
+}
+
 // ==== bookings ====
 
+function renderBookingItem(b) {
+    const li = document.createElement("li");
+    li.className = "list-item";
+    li.dataset.bookingId = b.id;
+
+    const left = document.createElement("div");
+    const title = document.createElement("div");
+    title.textContent = bookingTitle(b);
+    const meta = document.createElement("div");
+    meta.className = "list-item__meta";
+    meta.textContent = `${formatTimeRange(b.start_time, b.end_time, displayZone)} • ${bookerLabel(b)}`;
+    if (b.attendee_count) {
+        meta.textContent += ` • участников: ${b.attendee_count + 1}`;
+    }
+    left.appendChild(title);
+    left.appendChild(meta);
+    if (b.description) {
+        const notes = document.createElement("div");
+        notes.className = "list-item__meta";
+        notes.textContent = b.description;
+        left.appendChild(notes);
+    }
+
+    const right = document.createElement("div");
+    right.style.display = "flex";
+    right.style.gap = "6px";
+
+    const badge = document.createElement("span");
+    badge.className = statusBadgeClass(b.status);
+    badge.textContent = b.status;
+    right.appendChild(badge);
+
+    // только те действия, которые примет сервер
+    api.allowedStatuses(transitions, b, currentUser).forEach(to => {
+        const actionBtn = document.createElement("button");
+        actionBtn.className = "btn btn--ghost";
+        actionBtn.textContent = statusActionLabel(b.status, to);
+        actionBtn.style.fontSize = "11px";
+        actionBtn.addEventListener("click", () => changeBookingStatus(b.id, to));
+        right.appendChild(actionBtn);
+    });
+
+    if (canReschedule(b, currentUser)) {
+        const editBtn = document.createElement("button");
+        editBtn.className = "btn btn--ghost";
+        editBtn.textContent = "Перенести";
+        editBtn.style.fontSize = "11px";
+        editBtn.addEventListener("click", () => openReschedule(li, b));
+        right.appendChild(editBtn);
+    }
+
+    if (currentUser && currentUser.id === b.user_id) {
+        if (b.series_id) {
+            const cancelSeriesBtn = document.createElement("button");
+            cancelSeriesBtn.className = "btn btn--ghost";
+            cancelSeriesBtn.textContent = "Отменить серию";
+            cancelSeriesBtn.style.fontSize = "11px";
+            cancelSeriesBtn.addEventListener("click", () => cancelSeries(b.series_id));
+            right.appendChild(cancelSeriesBtn);
+        }
+    }
+
+    li.appendChild(left);
+    li.appendChild(right);
+    return li;
+}
+
+function renderBookingsFooter() {
+    document.getElementById("bookings-more").classList.toggle("hidden", !bookingsCursor);
+    showMessage("bookings-message", bookings.length === 0 ? "Нет предстоящих бронирований" : "");
+}
+
+function renderBookings() {
+    if (calendar) {
+        calendar.setBookings(calendarBookings);
+    }
+    const list = document.getElementById("bookings-list");
+    list.innerHTML = "";
+    bookings.forEach(b => list.appendChild(renderBookingItem(b)));
+    renderBookingsFooter();
+    renderInactiveNotice();
+}
+
+async function loadCalendarBookings() {
+    if (!calendarRange) return;
+    const range = calendarRange;
+    try {
+        const items = await api.listAllRoomBookings(roomId, {
+            from: range.from.toISOString(),
+            to: range.to.toISOString()
+        });
+        // пока шел запрос, календарь могли перелистнуть
+        if (range !== calendarRange) return;
+        calendarBookings = items;
+        calendar.setBookings(calendarBookings);
+    } catch (e) {
+        showMessage("bookings-message", e.message);
+    }
+}
+
+function onCalendarRangeChange(from, to) {
+    calendarRange = { from, to };
+    loadCalendarBookings();
+}
+
+// первая страница списка, календарь и таблица переходов
 async function loadBookings() {
     try {
-        const bookings = await apiRequest(`/api/rooms/${roomId}/bookings`);
+        bookingsFrom = new Date().toISOString();
+        const [page, loadedTransitions] = await Promise.all([
+            api.listRoomBookings(roomId, { from: bookingsFrom }),
+            api.getBookingTransitions()
+        ]);
+        transitions = loadedTransitions;
+        bookings = page.items;
+        bookingsCursor = page.next_cursor;
+        bookingsTotal = page.total;
+        renderBookings();
+    } catch (e) {
+        showMessage("bookings-message", e.message);
+    }
+    await loadCalendarBookings();
+}
+
+// следующая страница дописывается в конец, открытые формы переноса не трогаем
+document.getElementById("bookings-more").addEventListener("click", async () => {
+    if (!bookingsCursor) return;
+    try {
+        const page = await api.listRoomBookings(roomId, { from: bookingsFrom, cursor: bookingsCursor });
         const list = document.getElementById("bookings-list");
-        list.innerHTML = "";
-
-        bookings.forEach(b => {
-            const li = document.createElement("li");
-            li.className = "list-item";
-
-            const left = document.createElement("div");
-            const title = document.createElement("div");
-            title.textContent = `#${b.id} user=${b.user_id}`;
-            const meta = document.createElement("div");
-            meta.className = "list-item__meta";
-            meta.textContent = `${formatLocalDateTime(b.start_time)} → ${formatLocalDateTime(b.end_time)}`;
-            left.appendChild(title);
-            left.appendChild(meta);
-
-            const right = document.createElement("div");
-            right.style.display = "flex";
-            right.style.gap = "6px";
-
-            const badge = document.createElement("span");
-            let badgeClass = "badge";
-            if (b.status === "confirmed") badgeClass += " badge--success";
-            else if (b.status === "cancelled") badgeClass += " badge--muted";
-            else badgeClass += " badge--danger";
-            badge.className = badgeClass;
-            badge.textContent = b.status;
-            right.appendChild(badge);
-
-            if (currentUser && currentUser.id === b.user_id && b.status !== "cancelled") {
-                const cancelBtn = document.createElement("button");
-                cancelBtn.className = "btn btn--ghost";
-                cancelBtn.textContent = "Отменить";
-                cancelBtn.style.fontSize = "11px";
-                cancelBtn.addEventListener("click", () => cancelBooking(b.id));
-                right.appendChild(cancelBtn);
-            }
-
-            li.appendChild(left);
-            li.appendChild(right);
+        page.items
+            .filter(b => !bookings.some(x => x.id === b.id))
+            .forEach(b => {
+                bookings.push(b);
+                list.appendChild(renderBookingItem(b));
+            });
+        bookingsCursor = page.next_cursor;
+        bookingsTotal = page.total;
+        renderBookingsFooter();
+        renderInactiveNotice();
+    } catch (e) {
+        showMessage("bookings-message", e.message);
+    }
+});
+
+// ==== живые обновления ====
+
+// бронь попадает в загруженную часть списка: не закончилась и, если есть следующие
+// страницы, начинается не позже последней загруженной
+function fitsLoadedList(b) {
+    if (b.room_id !== roomId || !isActiveStatus(b.status) || new Date(b.end_time) <= new Date()) return false;
+    if (!bookingsCursor || bookings.length === 0) return true;
+    return new Date(b.start_time) <= new Date(bookings[bookings.length - 1].start_time);
+}
+
+function fitsCalendarRange(b) {
+    return calendarRange && b.room_id === roomId && isActiveStatus(b.status) &&
+        new Date(b.start_time) < calendarRange.to && new Date(b.end_time) > calendarRange.from;
+}
+
+// Вставляет, заменяет или убирает одну бронь, не перезагружая список: открытая
+// форма переноса у других броней остается на месте.
+function patchBooking(b) {
+    const list = document.getElementById("bookings-list");
+    const existing = list.querySelector(`[data-booking-id="${b.id}"]`);
+    const wasListed = bookings.some(x => x.id === b.id);
+    bookings = bookings.filter(x => x.id !== b.id);
+    const listed = fitsLoadedList(b);
+    bookingsTotal += Number(listed) - Number(wasListed);
+
+    if (!listed) {
+        if (existing) existing.remove();
+    } else {
+        const index = bookings.findIndex(x => new Date(x.start_time) > new Date(b.start_time));
+        const li = renderBookingItem(b);
+        if (existing) existing.remove();
+        if (index === -1) {
+            bookings.push(b);
             list.appendChild(li);
-        });
+        } else {
+            const next = list.querySelector(`[data-booking-id="${bookings[index].id}"]`);
+            bookings.splice(index, 0, b);
+            list.insertBefore(li, next);
+        }
+    }
 
-        showMessage("bookings-message", bookings.length === 0 ? "Нет бронирований" : "");
+    calendarBookings = calendarBookings.filter(x => x.id !== b.id);
+    if (fitsCalendarRange(b)) {
+        calendarBookings.push(b);
+    }
+    if (calendar) {
+        calendar.setBookings(calendarBookings);
+    }
+    renderBookingsFooter();
+    renderInactiveNotice();
+}
+
+// События публичные и не несут имени автора: берем его из прежней копии брони,
+// а для новой брони – из списка комнаты, где сервер учитывает настройки приватности.
+async function withBooker(b) {
+    const known = bookings.find(x => x.id === b.id) || calendarBookings.find(x => x.id === b.id);
+    if (known) {
+        return { ...b, user_name: known.user_name, user_email: known.user_email, attendee_count: known.attendee_count };
+    }
+    if (!isActiveStatus(b.status) || b.room_id !== roomId) return b;
+    try {
+        const fresh = await api.listRoomBookings(roomId, { from: b.start_time, to: b.end_time });
+        return fresh.items.find(x => x.id === b.id) || b;
+    } catch {
+        return b;
+    }
+}
+
+async function onLiveEvent(event) {
+    switch (event.type) {
+        case "booking.created":
+        case "booking.cancelled":
+        case "booking.status_changed":
+        case "booking.updated":
+            patchBooking(await withBooker(event.booking));
+            break;
+        case "room.updated":
+            room = event.room;
+            renderRoomHeader();
+            break;
+        case "room.deleted":
+            bookings = [];
+            bookingsCursor = null;
+            bookingsTotal = 0;
+            calendarBookings = [];
+            renderBookings();
+            showMessage("bookings-message", "Комната удалена");
+            break;
+        case "reset":
+            loadRoom();
+            loadBookings();
+            break;
+    }
+}
+
+async function changeBookingStatus(id, status) {
+    try {
+        if (status === "cancelled") {
+            await api.cancelBooking(id);
+        } else {
+            await api.updateBooking(id, { status });
+        }
+        await loadBookings();
+    } catch (e) {
+        showMessage("bookings-message", e.message);
+    }
+}
+
+async function openReschedule(li, booking) {
+    try {
+        if (!allRooms) {
+            allRooms = await api.listRooms();
+        }
+        toggleRescheduleForm(li, booking, allRooms, async updated => {
+            showMessage("bookings-message", updated.room_id === roomId
+                ? "Бронирование перенесено"
+                : "Бронирование перенесено в другую комнату");
+            await loadBookings();
+        }, displayZone);
     } catch (e) {
         showMessage("bookings-message", e.message);
     }
 }
 
-async function cancelBooking(id) {
+async function cancelSeries(seriesId) {
+    if (!confirm("Отменить все будущие бронирования этой серии?")) return;
     try {
-        await apiRequest(`/api/bookings/${id}`, { method: "DELETE" });
+        const res = await api.cancelBookingSeries(seriesId);
+        showMessage("bookings-message", `Отменено бронирований: ${res.cancelled}`);
         await loadBookings();
     } catch (e) {
         showMessage("bookings-message", e.message);
     }
 }
 
-document.getElementById("create-booking").addEventListener("click", async () => {
+// ==== повторяющиеся брони ====
+
+function readSeriesForm(start, end, details) {
+    const frequency = document.getElementById("booking-repeat").value;
+    if (!frequency) return null;
+    return {
+        room_id: roomId,
+        start_time: start,
+        end_time: end,
+        ...details,
+        frequency,
+        until: document.getElementById("booking-repeat-until").value,
+        count: parseInt(document.getElementById("booking-repeat-count").value, 10) || 0,
+        // дни недели и выходные сервер считает в той зоне, в которой введено время
+        time_zone: displayZone
+    };
+}
+
+function hideSeriesPreview() {
+    pendingSeries = null;
+    document.getElementById("series-preview").classList.add("hidden");
+    document.getElementById("series-preview-list").innerHTML = "";
+}
+
+async function previewSeries(series) {
+    const preview = await api.createBookingSeries({ ...series, dry_run: true });
+    const list = document.getElementById("series-preview-list");
+    list.innerHTML = "";
+    preview.occurrences.forEach(o => {
+        const li = document.createElement("li");
+        li.className = "list-item";
+        const text = document.createElement("div");
+        text.textContent = formatTimeRange(o.start_time, o.end_time, displayZone);
+        const badge = document.createElement("span");
+        badge.className = o.conflict ? "badge badge--danger" : "badge badge--success";
+        badge.textContent = o.conflict ? "занято" : "свободно";
+        li.appendChild(text);
+        li.appendChild(badge);
+        list.appendChild(li);
+    });
+
+    // если конфликтов не было, при создании не пропускаем молча новые
+    pendingSeries = { ...series, on_conflict: preview.skipped > 0 ? "skip" : "abort" };
+    document.getElementById("series-confirm").textContent = preview.skipped > 0
+        ? `Создать, пропустив занятые (${preview.skipped})`
+        : `Создать серию (${preview.occurrences.length})`;
+    document.getElementById("series-preview").classList.remove("hidden");
+}
+
+document.getElementById("series-confirm").addEventListener("click", async () => {
+    if (!pendingSeries) return;
+    try {
+        const res = await api.createBookingSeries(pendingSeries);
+        hideSeriesPreview();
+        showMessage("booking-form-message", "");
+        showMessage("bookings-message", `Серия создана: ${res.created} бронирований, пропущено ${res.skipped}`);
+        await loadBookings();
+    } catch (e) {
+        showMessage("booking-form-message", e.message);
+    }
+});
+
+document.getElementById("series-abort").addEventListener("click", () => {
+    hideSeriesPreview();
+    showMessage("bookings-message", "Серия не создана");
+});
+
+async function createBookingFromForm() {
     const startLocal = document.getElementById("booking-start-local").value;
     const endLocal = document.getElementById("booking-end-local").value;
     if (!startLocal || !endLocal) {
-        showMessage("bookings-message", "Заполните время начала и окончания");
+        showMessage("booking-form-message", "Заполните время начала и окончания");
+        return;
+    }
+    const start = localInputToRFC3339(startLocal, displayZone);
+    const end = localInputToRFC3339(endLocal, displayZone);
+    const details = {
+        title: document.getElementById("booking-title").value.trim(),
+        description: document.getElementById("booking-description").value.trim(),
+        attendees: parseAttendees(document.getElementById("booking-attendees").value)
+    };
+    // сервер все равно откажет, но так понятнее, чем после отправки
+    if (details.attendees.length + 1 > room.capacity) {
+        showMessage("booking-form-message", `В комнате ${room.capacity} мест, а участников с вами – ${details.attendees.length + 1}`);
+        return;
+    }
+
+    const series = readSeriesForm(start, end, details);
+    if (series) {
+        try {
+            await previewSeries(series);
+            showMessage("booking-form-message", "");
+        } catch (e) {
+            showMessage("booking-form-message", e.message);
+        }
         return;
     }
-    const start = localInputToRFC3339(startLocal);
-    const end = localInputToRFC3339(endLocal);
 
     try {
-        await apiRequest("/api/bookings", {
-            method: "POST",
-            body: {
-                room_id: roomId,
-                start_time: start,
-                end_time: end
-            }
+        const res = await api.createBooking({
+            room_id: roomId,
+            start_time: start,
+            end_time: end,
+            ...details
         });
-        showMessage("bookings-message", "Бронирование создано");
+        ["booking-title", "booking-description", "booking-attendees"].forEach(id => {
+            document.getElementById(id).value = "";
+        });
+        showMessage("booking-form-message", "");
+        showMessage("bookings-message", createdBookingMessage(res.status));
         await loadBookings();
     } catch (e) {
-        showMessage("bookings-message", e.message);
+        showMessage("booking-form-message", e.message);
     }
-});
+}
+
+document.getElementById("create-booking").addEventListener("click", createBookingFromForm);
+
+// выделение в календаре заполняет форму и отправляет ее тем же путем, что и кнопка
+async function onCalendarSelect(start, end) {
+    if (!room.is_active) {
+        showMessage("booking-form-message", "Комната неактивна и не принимает бронирования");
+        return;
+    }
+    document.getElementById("booking-start-local").value = dateToLocalInput(start, displayZone);
+    document.getElementById("booking-end-local").value = dateToLocalInput(end, displayZone);
+    if (!confirm(`Забронировать ${formatTimeRange(start.toISOString(), end.toISOString(), displayZone)}?`)) return;
+    await createBookingFromForm();
+}
+
+// ==== часовой пояс ====
+
+function renderZoneLabels() {
+    const offset = `(${timeZoneOffsetLabel(displayZone)})`;
+    document.querySelectorAll(".tz-label").forEach(el => {
+        el.textContent = offset;
+    });
+}
+
+// Переключение зоны: введенные в форму значения сохраняют тот же момент времени
+function setDisplayZone(zone) {
+    ["booking-start-local", "booking-end-local"].forEach(id => {
+        const input = document.getElementById(id);
+        if (input.value) {
+            input.value = dateToLocalInput(new Date(localInputToRFC3339(input.value, displayZone)), zone);
+        }
+    });
+    displayZone = zone;
+    renderZoneLabels();
+    renderBookings();
+    if (calendar) {
+        calendar.setTimeZone(zone);
+    }
+}
 
 // ==== admin: save room ====
 
@@ -269,27 +686,84 @@ document.getElementById("admin-save-room").addEventListener("click", async () =>
     const name = document.getElementById("admin-room-name").value.trim();
     const description = document.getElementById("admin-room-desc").value.trim();
     const capacity = parseInt(document.getElementById("admin-room-capacity").value, 10) || 1;
-    const photo_url = document.getElementById("admin-room-photo").value.trim();
     const is_active = document.getElementById("admin-room-active").checked;
+    const requires_approval = document.getElementById("admin-room-approval").checked;
+    const building = document.getElementById("admin-room-building").value.trim();
+    const floorValue = document.getElementById("admin-room-floor").value;
+    const floor = floorValue === "" ? null : parseInt(floorValue, 10);
+    const equipment = Array.from(document.querySelectorAll("#admin-room-equipment input:checked")).map(i => i.value);
+    const accessible = document.getElementById("admin-room-accessible").checked;
+    const time_zone = document.getElementById("admin-room-tz").value;
+
+    const future = futureBookings();
+    if (room.is_active && !is_active && future.length > 0 && !confirm(
+        `В комнате ${Math.max(bookingsTotal, future.length)} будущих броней. Они останутся в силе, пока вы их не отмените или не перенесете. Отключить комнату?`
+    )) {
+        return;
+    }
 
     try {
-        await apiRequest(`/api/rooms/${roomId}`, {
-            method: "PATCH",
-            body: {
-                name,
-                description,
-                capacity,
-                photo_url,
-                is_active
-            }
+        await api.updateRoom(roomId, {
+            name,
+            description,
+            capacity,
+            building,
+            floor,
+            equipment,
+            accessible,
+            time_zone,
+            is_active,
+            requires_approval
         });
         await loadRoom();
+        await loadPolicy();
         showMessage("bookings-message", "Комната обновлена");
     } catch (e) {
         alert("Ошибка сохранения комнаты: " + e.message);
     }
 });
 
+// ==== admin: фото ====
+
+async function uploadPhoto(file) {
+    if (!currentUser || currentUser.role !== "admin" || !file) return;
+    try {
+        await api.uploadRoomPhoto(roomId, file);
+        await loadRoom();
+        showMessage("bookings-message", "Фото обновлено");
+    } catch (e) {
+        alert("Ошибка загрузки фото: " + e.message);
+    }
+}
+
+const photoInput = document.getElementById("admin-room-photo");
+photoInput.addEventListener("change", async () => {
+    await uploadPhoto(photoInput.files[0]);
+    photoInput.value = "";
+});
+
+const photoDrop = document.getElementById("admin-photo-drop");
+photoDrop.addEventListener("dragover", e => {
+    e.preventDefault();
+    photoDrop.classList.add("photo-drop--over");
+});
+photoDrop.addEventListener("dragleave", () => photoDrop.classList.remove("photo-drop--over"));
+photoDrop.addEventListener("drop", e => {
+    e.preventDefault();
+    photoDrop.classList.remove("photo-drop--over");
+    uploadPhoto(e.dataTransfer.files[0]);
+});
+
+document.getElementById("admin-delete-photo").addEventListener("click", async () => {
+    if (!confirm("Удалить фото комнаты?")) return;
+    try {
+        await api.deleteRoomPhoto(roomId);
+        await loadRoom();
+    } catch (e) {
+        alert("Ошибка удаления фото: " + e.message);
+    }
+});
+
 // ==== init ====
 
 (async function init() {
@@ -299,7 +773,22 @@ document.getElementById("admin-save-room").addEventListener("click", async () =>
         window.location.href = "/rooms.html";
         return;
     }
-    await initAuth();
+    if (!(await initAuth())) return;
     await loadRoom();
+    displayZone = initDisplayZoneSelect(document.getElementById("tz-select"), [
+        { zone: userTimeZone(currentUser), label: "мой" },
+        { zone: room && room.time_zone, label: "комнаты" },
+        { zone: "UTC", label: "UTC" }
+    ], setDisplayZone);
+    renderZoneLabels();
+    initCalendarFeed(document.getElementById("room-feed"), token => api.roomFeedUrl(roomId, token));
+    await loadPolicy();
     await loadBookings();
+    // первая отрисовка сообщит диапазон через onRangeChange и загрузит его брони
+    calendar = createRoomCalendar(document.getElementById("booking-calendar"), {
+        onSelect: onCalendarSelect,
+        onRangeChange: onCalendarRangeChange,
+        timeZone: displayZone
+    });
+    subscribeLive(`/api/rooms/${roomId}/events`, onLiveEvent);
 })();
@@ -1,68 +1,36 @@
-const API_BASE = window.location.origin;
-document.getElementById("api-base-label").textContent = API_BASE;
+import * as api from "./api.js";
+import {
+    bookerLabel,
+    bookingTitle,
+    createdBookingMessage,
+    dateToLocalInput,
+    formatTimeRange,
+    isActiveStatus,
+    EQUIPMENT_LABELS,
+    localInputToRFC3339,
+    PLACEHOLDER_PHOTO,
+    roomFeatures,
+    statusBadgeClass,
+    timeZoneOffsetLabel
+} from "./format.js";
+import { initImportExport } from "./import-export.js";
+import { subscribeLive } from "./live.js";
+import { fillTimeZoneSelect, initDisplayZoneSelect, userTimeZone } from "./timezone.js";
+import { renderVerifyBanner } from "./verify-banner.js";
+
+document.getElementById("api-base-label").textContent = api.API_BASE;
 
-let authToken = null;
 let currentUser = null;
 let selectedRoom = null;
-
-function setAuthToken(token) {
-    authToken = token;
-    if (!token) {
-        localStorage.removeItem("bookmyroom_token");
-    } else {
-        localStorage.setItem("bookmyroom_token", token);
-    }
-}
-
-function getAuthHeaders() {
-    if (!authToken) return {};
-    return { "Authorization": "Bearer " + authToken };
-}
-
-async function apiRequest(path, options = {}) {
-    const url = API_BASE + path;
-    const headers = {
-        "Content-Type": "application/json",
-        ...getAuthHeaders(),
-        ...(options.headers || {})
-    };
-    const resp = await fetch(url, {
-        method: options.method || "GET",
-        headers,
-        body: options.body ? JSON.stringify(options.body) : undefined
-    });
-    let data = null;
-    try {
-        data = await resp.json();
-    } catch (_) {}
-    if (!resp.ok) {
-        const msg = data && data.error ? data.error : resp.statusText;
-        throw new Error(msg);
-    }
-    return data;
-}
+let lastSearch = null; // {start, end} последнего поиска свободных комнат
+let displayZone = null; // зона, в которой показываем и вводим время на странице
+let filters = api.roomFiltersFromParams(new URLSearchParams(window.location.search));
 
 function showMessage(id, text) {
     const el = document.getElementById(id);
     el.textContent = text || "";
 }
 
-function parseJwt(token) {
-    try {
-        const base64Url = token.split(".")[1];
-        const base64 = base64Url.replace(/-/g, "+").replace(/_/g, "/");
-        const jsonPayload = decodeURIComponent(
-            atob(base64)
-                .split("")
-                .map(c => "%" + ("00" + c.charCodeAt(0).toString(16)).slice(-2))
-                .join("")
-        );
-        return JSON.parse(jsonPayload);
-    } catch (_) {
-        return null;
-    }
-}
-
 function updateUserInfo() {
     const emailSpan = document.getElementById("user-email");
     const roleSpan = document.getElementById("user-role");
@@ -78,49 +46,200 @@ function updateUserInfo() {
         emailSpan.textContent = currentUser.email || "";
         roleSpan.textContent = currentUser.role ? `(${currentUser.role})` : "";
         logoutBtn.classList.remove("hidden");
-        if (currentUser.role === "admin") {
-            adminPanel.classList.remove("hidden");
-        } else {
-            adminPanel.classList.add("hidden");
-        }
+        adminPanel.classList.toggle("hidden", currentUser.role !== "admin");
+        document.getElementById("filter-active-label").classList.toggle("hidden", currentUser.role !== "admin");
     }
 }
 
 async function initAuth() {
-    const savedToken = localStorage.getItem("bookmyroom_token");
-    if (!savedToken) {
-        window.location.href = "/";
-        return;
-    }
-    setAuthToken(savedToken);
-    const payload = parseJwt(authToken);
-    if (!payload) {
-        setAuthToken(null);
-        window.location.href = "/";
-        return;
+    try {
+        currentUser = await api.requireUser();
+    } catch (e) {
+        alert("Не удалось загрузить профиль: " + e.message);
+        return false;
     }
-    currentUser = {
-        id: payload.user_id,
-        role: payload.role,
-        email: "" // email не зашит в токен
-    };
+    if (!currentUser) return false;
     updateUserInfo();
+    renderVerifyBanner(currentUser);
+    return true;
 }
 
 // ROOMS
 
+function renderRoomItem(room) {
+    const li = document.createElement("li");
+    li.className = "list-item";
+    li.dataset.roomId = room.id;
+
+    const left = document.createElement("div");
+    left.className = "booking-card";
+    const img = document.createElement("img");
+    img.className = "booking-card__photo";
+    img.src = room.photo_thumb_url || room.photo_url || PLACEHOLDER_PHOTO;
+    img.alt = "";
+    img.loading = "lazy";
+    left.appendChild(img);
+
+    const text = document.createElement("div");
+    const title = document.createElement("div");
+    title.textContent = `#${room.id} ${room.name}`;
+    const meta = document.createElement("div");
+    meta.className = "list-item__meta";
+    meta.textContent = `Вместимость=${room.capacity}${room.description ? " • " + room.description : ""}`;
+    text.appendChild(title);
+    text.appendChild(meta);
+    const features = roomFeatures(room);
+    if (features) {
+        const featuresEl = document.createElement("div");
+        featuresEl.className = "list-item__meta";
+        featuresEl.textContent = features;
+        text.appendChild(featuresEl);
+    }
+    left.appendChild(text);
+
+    const right = document.createElement("div");
+    const badge = document.createElement("span");
+    badge.className = "badge " + (room.is_active ? "badge--success" : "badge--muted");
+    badge.textContent = room.is_active ? "active" : "inactive";
+    right.appendChild(badge);
+
+    li.appendChild(left);
+    li.appendChild(right);
+
+    li.addEventListener("click", () => {
+        window.location.href = `/room.html?id=${room.id}`;
+    });
+    return li;
+}
+
 async function loadRooms() {
     try {
-        const rooms = await apiRequest("/api/rooms");
+        const rooms = await api.listRooms(filters);
         const list = document.getElementById("rooms-list");
         list.innerHTML = "";
+        rooms.forEach(room => list.appendChild(renderRoomItem(room)));
+        rememberBuildings(rooms);
+        showMessage("rooms-message", rooms.length === 0
+            ? (hasFilters() ? "Нет комнат с такими параметрами" : "Нет комнат")
+            : "");
+    } catch (e) {
+        showMessage("rooms-message", e.message);
+    }
+}
+
+// ROOM FILTERS
+// Фильтры живут в адресе страницы (тот же формат, что у GET /api/rooms),
+// поэтому отфильтрованным списком можно поделиться ссылкой.
+
+function hasFilters() {
+    return api.roomFiltersToParams(filters).toString() !== "";
+}
+
+function renderEquipmentFilter() {
+    const box = document.getElementById("filter-equipment");
+    box.innerHTML = "";
+    Object.entries(EQUIPMENT_LABELS).forEach(([tag, label]) => {
+        const el = document.createElement("label");
+        const input = document.createElement("input");
+        input.type = "checkbox";
+        input.value = tag;
+        input.addEventListener("change", onFiltersChange);
+        el.appendChild(input);
+        el.append(" " + label);
+        box.appendChild(el);
+    });
+}
+
+function fillFilterForm() {
+    document.getElementById("filter-capacity").value = filters.min_capacity || "";
+    document.getElementById("filter-building").value = filters.building || "";
+    document.getElementById("filter-floor").value = filters.floor ?? "";
+    document.getElementById("filter-active").value = filters.active === undefined ? "" : (filters.active ? "1" : "0");
+    document.getElementById("filter-sort").value = filters.sort || "";
+    document.getElementById("filter-accessible").checked = !!filters.accessible;
+    const equipment = filters.equipment || [];
+    document.querySelectorAll("#filter-equipment input").forEach(input => {
+        input.checked = equipment.includes(input.value);
+    });
+}
+
+function readFilterForm() {
+    const params = new URLSearchParams();
+    const set = (key, value) => {
+        if (value !== "") params.set(key, value);
+    };
+    set("min_capacity", document.getElementById("filter-capacity").value);
+    set("building", document.getElementById("filter-building").value.trim());
+    set("floor", document.getElementById("filter-floor").value);
+    set("active", document.getElementById("filter-active").value);
+    set("sort", document.getElementById("filter-sort").value);
+    if (document.getElementById("filter-accessible").checked) params.set("accessible", "1");
+    const equipment = Array.from(document.querySelectorAll("#filter-equipment input:checked")).map(i => i.value);
+    set("equipment", equipment.join(","));
+    return api.roomFiltersFromParams(params);
+}
+
+function onFiltersChange() {
+    filters = readFilterForm();
+    const query = api.roomFiltersToParams(filters).toString();
+    history.replaceState(null, "", query ? `?${query}` : window.location.pathname);
+    loadRooms();
+}
+
+// здания для подсказки в фильтре: копим из всех загруженных списков
+const knownBuildings = new Set();
+
+function rememberBuildings(rooms) {
+    rooms.forEach(room => {
+        if (room.building) knownBuildings.add(room.building);
+    });
+    const datalist = document.getElementById("filter-building-options");
+    datalist.innerHTML = "";
+    Array.from(knownBuildings).sort().forEach(name => {
+        const option = document.createElement("option");
+        option.value = name;
+        datalist.appendChild(option);
+    });
+}
+
+["filter-capacity", "filter-building", "filter-floor", "filter-active", "filter-sort", "filter-accessible"].forEach(id => {
+    document.getElementById(id).addEventListener("change", onFiltersChange);
+});
+
+document.getElementById("reset-filters").addEventListener("click", () => {
+    filters = {};
+    fillFilterForm();
+    history.replaceState(null, "", window.location.pathname);
+    loadRooms();
+});
+
+// ROOM SEARCH
+
+async function searchRooms() {
+    const startLocal = document.getElementById("search-start").value;
+    const endLocal = document.getElementById("search-end").value;
+    const capacity = parseInt(document.getElementById("search-capacity").value, 10) || 1;
+    const list = document.getElementById("search-results");
+    list.innerHTML = "";
+    if (!startLocal || !endLocal) {
+        showMessage("search-message", "Заполните время начала и окончания");
+        return;
+    }
+    const start = localInputToRFC3339(startLocal, displayZone);
+    const end = localInputToRFC3339(endLocal, displayZone);
+    showMessage("search-message", "");
+    try {
+        const rooms = await api.findAvailableRooms({ start, end, capacity });
+        lastSearch = { start, end };
         rooms.forEach(room => {
             const li = document.createElement("li");
             li.className = "list-item";
             li.dataset.roomId = room.id;
 
             const left = document.createElement("div");
-            const title = document.createElement("div");
+            const title = document.createElement("a");
+            title.className = "link-plain";
+            title.href = `/room.html?id=${room.id}`;
             title.textContent = `#${room.id} ${room.name}`;
             const meta = document.createElement("div");
             meta.className = "list-item__meta";
@@ -128,101 +247,158 @@ async function loadRooms() {
             left.appendChild(title);
             left.appendChild(meta);
 
-            const right = document.createElement("div");
-            const badge = document.createElement("span");
-            badge.className = "badge " + (room.is_active ? "badge--success" : "badge--muted");
-            badge.textContent = room.is_active ? "active" : "inactive";
-            right.appendChild(badge);
+            const bookBtn = document.createElement("button");
+            bookBtn.className = "btn";
+            bookBtn.textContent = "Забронировать";
+            bookBtn.addEventListener("click", () => bookFoundRoom(room, start, end));
 
             li.appendChild(left);
-            li.appendChild(right);
-
-            li.addEventListener("click", () => {
-                window.location.href = `/room.html?id=${room.id}`;
-            });
-            
+            li.appendChild(bookBtn);
             list.appendChild(li);
         });
-        showMessage("rooms-message", rooms.length === 0 ? "Нет комнат" : "");
+        showMessage("search-message", rooms.length === 0 ? "Нет свободных комнат на это время" : "");
     } catch (e) {
-        showMessage("rooms-message", e.message);
+        showMessage("search-message", e.message);
     }
 }
 
-function localInputToRFC3339(str) {
-    if (!str) return "";
-    // Браузер интерпретирует как локальное время
-    const dt = new Date(str);
-    return dt.toISOString(); // RFC3339 с Z для API
+async function bookFoundRoom(room, start, end) {
+    try {
+        const res = await api.createBooking({ room_id: room.id, start_time: start, end_time: end });
+        showMessage("search-message", `${createdBookingMessage(res.status)}: ${room.name}, ${formatTimeRange(start, end, displayZone)}`);
+        document.getElementById("search-results").innerHTML = "";
+    } catch (e) {
+        showMessage("search-message", e.message);
+    }
 }
 
-// apiStr: "2025-12-01T10:00:00Z" или с +03:00
-function formatLocalDateTime(apiStr) {
-    if (!apiStr) return "";
-    const dt = new Date(apiStr);
-    // Локальное отображение без явной таймзоны
-    return dt.toLocaleString("ru-RU", {
-        year: "numeric",
-        month: "2-digit",
-        day: "2-digit",
-        hour: "2-digit",
-        minute: "2-digit"
-    });
-}
+document.getElementById("search-rooms").addEventListener("click", searchRooms);
 
-async function loadRoomBookings(roomId) {
-    try {
-        const bookings = await apiRequest(`/api/rooms/${roomId}/bookings`);
-        const list = document.getElementById("bookings-list");
-        list.innerHTML = "";
-        bookings.forEach(b => {
-            const li = document.createElement("li");
-            li.className = "list-item";
+// LIVE UPDATES
 
-            const left = document.createElement("div");
-            const title = document.createElement("div");
-            title.textContent = `#${b.id} user=${b.user_id}`;
-            const meta = document.createElement("div");
-            meta.className = "list-item__meta";
-            meta.textContent = `${b.start_time} → ${b.end_time}`;
-            left.appendChild(title);
-            left.appendChild(meta);
+function patchRoom(roomId, room) {
+    const list = document.getElementById("rooms-list");
+    const existing = list.querySelector(`[data-room-id="${roomId}"]`);
+    // отключенная комната пропадает из списка у всех, кроме админа
+    if (room && !room.is_active && currentUser.role !== "admin") {
+        room = null;
+    }
+    if (!room) {
+        if (existing) existing.remove();
+    } else if (existing) {
+        existing.replaceWith(renderRoomItem(room));
+    } else {
+        list.appendChild(renderRoomItem(room));
+    }
+    showMessage("rooms-message", list.children.length === 0 ? "Нет комнат" : "");
+}
 
-            const right = document.createElement("div");
-            right.style.display = "flex";
-            right.style.gap = "6px";
-
-            const badge = document.createElement("span");
-            let badgeClass = "badge";
-            if (b.status === "confirmed") badgeClass += " badge--success";
-            else if (b.status === "cancelled") badgeClass += " badge--muted";
-            else badgeClass += " badge--danger";
-            badge.className = badgeClass;
-            badge.textContent = b.status;
-            right.appendChild(badge);
-
-            if (currentUser && currentUser.id === b.user_id && b.status !== "cancelled") {
-                const cancelBtn = document.createElement("button");
-                cancelBtn.className = "btn btn--ghost";
-                cancelBtn.textContent = "Отменить";
-                cancelBtn.style.fontSize = "11px";
-                cancelBtn.addEventListener("click", () => cancelBooking(b.id, roomId));
-                right.appendChild(cancelBtn);
+// комнату, которую только что заняли на искомое время, убираем из результатов поиска
+function dropTakenSearchResult(booking) {
+    if (!lastSearch || !isActiveStatus(booking.status)) return;
+    const overlaps = new Date(booking.start_time) < new Date(lastSearch.end)
+        && new Date(booking.end_time) > new Date(lastSearch.start);
+    if (!overlaps) return;
+    const li = document.querySelector(`#search-results [data-room-id="${booking.room_id}"]`);
+    if (li) li.remove();
+}
+
+function onLiveEvent(event) {
+    switch (event.type) {
+        case "room.created":
+        case "room.updated":
+            // попадает ли комната под фильтр и где ей стоять, знает только сервер
+            if (hasFilters()) {
+                loadRooms();
+            } else {
+                patchRoom(event.room_id, event.room);
             }
+            break;
+        case "room.deleted":
+            patchRoom(event.room_id, null);
+            break;
+        case "booking.created":
+        case "booking.status_changed":
+        case "booking.updated":
+            dropTakenSearchResult(event.booking);
+            break;
+        case "reset":
+            loadRooms();
+            break;
+    }
+}
 
-            li.appendChild(left);
-            li.appendChild(right);
-            list.appendChild(li);
-        });
-        showMessage("bookings-message", bookings.length === 0 ? "Нет бронирований" : "");
+// предстоящие брони выбранной комнаты грузятся страницами: {roomId, from, cursor}
+let roomBookingsPage = null;
+
+function renderRoomBookingItem(b, roomId) {
+    const li = document.createElement("li");
+    li.className = "list-item";
+
+    const left = document.createElement("div");
+    const title = document.createElement("div");
+    title.textContent = bookingTitle(b);
+    const meta = document.createElement("div");
+    meta.className = "list-item__meta";
+    meta.textContent = `${formatTimeRange(b.start_time, b.end_time, displayZone)} • ${bookerLabel(b)}`;
+    left.appendChild(title);
+    left.appendChild(meta);
+
+    const right = document.createElement("div");
+    right.style.display = "flex";
+    right.style.gap = "6px";
+
+    const badge = document.createElement("span");
+    badge.className = statusBadgeClass(b.status);
+    badge.textContent = b.status;
+    right.appendChild(badge);
+
+    if (currentUser && currentUser.id === b.user_id && b.status !== "cancelled") {
+        const cancelBtn = document.createElement("button");
+        cancelBtn.className = "btn btn--ghost";
+        cancelBtn.textContent = "Отменить";
+        cancelBtn.style.fontSize = "11px";
+        cancelBtn.addEventListener("click", () => cancelBooking(b.id, roomId));
+        right.appendChild(cancelBtn);
+    }
+
+    li.appendChild(left);
+    li.appendChild(right);
+    return li;
+}
+
+// первая страница заменяет список, следующие дописываются в конец
+async function loadRoomBookings(roomId, more = false) {
+    if (!more) {
+        roomBookingsPage = { roomId, from: new Date().toISOString(), cursor: null };
+    }
+    const state = roomBookingsPage;
+    try {
+        const page = await api.listRoomBookings(roomId, { from: state.from, cursor: state.cursor || undefined });
+        // пока шел запрос, выбрали другую комнату
+        if (state !== roomBookingsPage) return;
+        const list = document.getElementById("bookings-list");
+        if (!more) list.innerHTML = "";
+        page.items.forEach(b => list.appendChild(renderRoomBookingItem(b, roomId)));
+        state.cursor = page.next_cursor;
+        document.getElementById("bookings-more").classList.toggle("hidden", !state.cursor);
+        showMessage("bookings-message", list.children.length === 0
+            ? "Нет предстоящих бронирований"
+            : `Показано ${list.children.length} из ${page.total}`);
     } catch (e) {
         showMessage("bookings-message", e.message);
     }
 }
 
+document.getElementById("bookings-more").addEventListener("click", () => {
+    if (roomBookingsPage && roomBookingsPage.cursor) {
+        loadRoomBookings(roomBookingsPage.roomId, true);
+    }
+});
+
 async function cancelBooking(bookingId, roomId) {
     try {
-        await apiRequest(`/api/bookings/${bookingId}`, { method: "DELETE" });
+        await api.cancelBooking(bookingId);
         await loadRoomBookings(roomId);
     } catch (e) {
         showMessage("bookings-message", e.message);
@@ -235,20 +411,17 @@ document.getElementById("create-booking").addEventListener("click", async () =>
         showMessage("bookings-message", "Сначала выберите комнату");
         return;
     }
-    const start = document.getElementById("booking-start").value.trim();
-    const end = document.getElementById("booking-end").value.trim();
-    if (!start || !end) {
+    const startLocal = document.getElementById("booking-start").value;
+    const endLocal = document.getElementById("booking-end").value;
+    if (!startLocal || !endLocal) {
         showMessage("bookings-message", "Нужно заполнить время начала и окончания");
         return;
     }
     try {
-        await apiRequest("/api/bookings", {
-            method: "POST",
-            body: {
-                room_id: selectedRoom.id,
-                start_time: start,
-                end_time: end
-            }
+        await api.createBooking({
+            room_id: selectedRoom.id,
+            start_time: localInputToRFC3339(startLocal, displayZone),
+            end_time: localInputToRFC3339(endLocal, displayZone)
         });
         showMessage("bookings-message", "Бронирование создано");
         await loadRoomBookings(selectedRoom.id);
@@ -266,15 +439,14 @@ document.getElementById("admin-create-room").addEventListener("click", async ()
     const name = document.getElementById("admin-new-room-name").value.trim();
     const description = document.getElementById("admin-new-room-desc").value.trim();
     const capacity = parseInt(document.getElementById("admin-new-room-capacity").value, 10) || 1;
+    const requires_approval = document.getElementById("admin-new-room-approval").checked;
+    const time_zone = document.getElementById("admin-new-room-tz").value;
     if (!name) {
         showMessage("rooms-message", "Имя комнаты обязательно");
         return;
     }
     try {
-        await apiRequest("/api/rooms", {
-            method: "POST",
-            body: { name, description, capacity, photo_url: "" }
-        });
+        await api.createRoom({ name, description, capacity, requires_approval, time_zone });
         showMessage("rooms-message", "Комната создана");
         await loadRooms();
     } catch (e) {
@@ -291,18 +463,26 @@ document.getElementById("admin-save-room").addEventListener("click", async () =>
     const active = document.getElementById("admin-room-active").checked;
 
     try {
-        await apiRequest(`/api/rooms/${selectedRoom.id}`, {
-            method: "PATCH",
-            body: {
-                name,
-                description,
-                capacity,
-                photo_url: selectedRoom.photo_url || "",
-                is_active: active // это поле есть в БД, но handler его пока не использует; логика может быть расширена
-            }
+        const res = await api.updateRoom(selectedRoom.id, {
+            name,
+            description,
+            capacity,
+            requires_approval: !!selectedRoom.requires_approval,
+            building: selectedRoom.building,
+            floor: selectedRoom.floor,
+            equipment: selectedRoom.equipment,
+            accessible: selectedRoom.accessible,
+            is_active: active
         });
         showMessage("rooms-message", "Комната обновлена");
         await loadRooms();
+        const future = res.future_bookings || [];
+        if (future.length > 0 && confirm(
+            `Комната неактивна, но на нее остались будущие бронирования: ${future.length}. ` +
+            "Открыть страницу комнаты, чтобы отменить или перенести их?"
+        )) {
+            window.location.href = `/room.html?id=${selectedRoom.id}`;
+        }
     } catch (e) {
         showMessage("rooms-message", e.message);
     }
@@ -313,7 +493,7 @@ document.getElementById("admin-delete-room").addEventListener("click", async ()
     if (!currentUser || currentUser.role !== "admin" || !selectedRoom) return;
     if (!confirm("Удалить эту комнату и все её бронирования?")) return;
     try {
-        await apiRequest(`/api/rooms/${selectedRoom.id}`, { method: "DELETE" });
+        await api.deleteRoom(selectedRoom.id);
         showMessage("rooms-message", "Комната удалена");
         selectedRoom = null;
         document.getElementById("room-details").classList.add("hidden");
@@ -324,17 +504,50 @@ document.getElementById("admin-delete-room").addEventListener("click", async ()
     }
 });
 
+// TIME ZONE
+
+function renderZoneLabels() {
+    const offset = `(${timeZoneOffsetLabel(displayZone)})`;
+    document.querySelectorAll(".tz-label").forEach(el => {
+        el.textContent = offset;
+    });
+}
+
+// Переключение зоны: введенные значения сохраняют тот же момент времени
+function setDisplayZone(zone) {
+    ["search-start", "search-end", "booking-start", "booking-end"].forEach(id => {
+        const input = document.getElementById(id);
+        if (input.value) {
+            input.value = dateToLocalInput(new Date(localInputToRFC3339(input.value, displayZone)), zone);
+        }
+    });
+    displayZone = zone;
+    renderZoneLabels();
+    if (selectedRoom) {
+        loadRoomBookings(selectedRoom.id);
+    }
+}
+
 // reload rooms
 document.getElementById("reload-rooms").addEventListener("click", loadRooms);
 
 // logout
-document.getElementById("logout-btn").addEventListener("click", () => {
-    setAuthToken(null);
-    window.location.href = "/";
-});
+document.getElementById("logout-btn").addEventListener("click", api.logout);
 
 // init
 (async function init() {
-    await initAuth();
+    if (!(await initAuth())) return;
+    displayZone = initDisplayZoneSelect(document.getElementById("tz-select"), [
+        { zone: userTimeZone(currentUser), label: "мой" },
+        { zone: "UTC", label: "UTC" }
+    ], setDisplayZone);
+    renderZoneLabels();
+    fillTimeZoneSelect(document.getElementById("admin-new-room-tz"), userTimeZone(currentUser));
+    if (currentUser.role === "admin") {
+        initImportExport({ timeZone: () => displayZone, onImported: loadRooms });
+    }
+    renderEquipmentFilter();
+    fillFilterForm();
     await loadRooms();
+    subscribeLive("/api/events", onLiveEvent);
 })();
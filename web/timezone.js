@@ -0,0 +1,60 @@
+// Часовые пояса на страницах: список зон для настроек и переключатель зоны,
+// в которой страница показывает и принимает время броней.
+
+import { browserTimeZone, timeZoneOffsetLabel } from "./format.js";
+
+// все IANA-зоны, которые знает браузер; UTC – всегда первой
+export function allTimeZones() {
+    const zones = typeof Intl.supportedValuesOf === "function"
+        ? Intl.supportedValuesOf("timeZone")
+        : [browserTimeZone()];
+    return ["UTC", ...zones.filter(z => z !== "UTC")];
+}
+
+// предпочитаемая зона из профиля, иначе зона браузера
+export function userTimeZone(user) {
+    return (user && user.time_zone) || browserTimeZone();
+}
+
+/**
+ * Заполняет <select> всеми зонами со смещением в подписи.
+ * @param {HTMLSelectElement} select
+ * @param {string} value выбранная зона
+ * @param {string} [emptyLabel] подпись пустого значения; без нее пустого варианта нет
+ */
+export function fillTimeZoneSelect(select, value, emptyLabel) {
+    select.innerHTML = "";
+    const zones = allTimeZones();
+    // зона из БД может отсутствовать в списке браузера – не теряем ее
+    if (value && !zones.includes(value)) zones.unshift(value);
+    if (emptyLabel !== undefined) {
+        select.appendChild(new Option(emptyLabel, ""));
+    }
+    zones.forEach(zone => {
+        select.appendChild(new Option(`${zone} (${timeZoneOffsetLabel(zone)})`, zone));
+    });
+    select.value = value || "";
+}
+
+/**
+ * Переключатель зоны отображения. Одинаковые зоны склеиваются в один вариант,
+ * выбранной оказывается первая.
+ * @param {HTMLSelectElement} select
+ * @param {{zone: string, label: string}[]} candidates по приоритету; пустые zone пропускаются
+ * @param {(zone: string) => void} onChange
+ * @returns {string} выбранная зона
+ */
+export function initDisplayZoneSelect(select, candidates, onChange) {
+    const labels = new Map();
+    candidates.forEach(({ zone, label }) => {
+        if (!zone) return;
+        labels.set(zone, [...(labels.get(zone) || []), label]);
+    });
+
+    select.innerHTML = "";
+    labels.forEach((names, zone) => {
+        select.appendChild(new Option(`${zone} (${timeZoneOffsetLabel(zone)}) – ${names.join(", ")}`, zone));
+    });
+    select.addEventListener("change", () => onChange(select.value));
+    return select.value;
+}
@@ -0,0 +1,30 @@
+// Плашка "email не подтвержден" над содержимым страницы: пока адрес не подтвержден,
+// сервер не принимает брони.
+
+import * as api from "./api.js";
+
+/** @param {import("./api.js").User} user */
+export function renderVerifyBanner(user) {
+    if (!user || user.email_verified) return;
+
+    const banner = document.createElement("div");
+    banner.className = "banner";
+    const text = document.createElement("span");
+    text.textContent = `Email ${user.email} не подтвержден – бронирование недоступно. Перейдите по ссылке из письма.`;
+    const resendBtn = document.createElement("button");
+    resendBtn.className = "btn btn--ghost";
+    resendBtn.textContent = "Отправить письмо еще раз";
+    resendBtn.addEventListener("click", async () => {
+        try {
+            await api.resendVerification();
+            text.textContent = `Письмо отправлено на ${user.email}`;
+            resendBtn.remove();
+        } catch (e) {
+            text.textContent = e.message;
+        }
+    });
+    banner.appendChild(text);
+    banner.appendChild(resendBtn);
+
+    document.querySelector(".app__main").prepend(banner);
+}
@@ -0,0 +1,22 @@
+import { API_BASE, verifyEmail } from "./api.js";
+
+document.getElementById("api-base-label").textContent = API_BASE;
+
+function showMessage(id, text) {
+    const el = document.getElementById(id);
+    el.textContent = text || "";
+}
+
+(async function init() {
+    const token = new URLSearchParams(window.location.search).get("token");
+    if (!token) {
+        showMessage("verify-message", "В ссылке нет токена");
+        return;
+    }
+    try {
+        await verifyEmail(token);
+        showMessage("verify-message", "Email подтвержден, теперь можно бронировать комнаты");
+    } catch (e) {
+        showMessage("verify-message", e.message);
+    }
+})();